@@ -2,14 +2,34 @@
    CYBERDUCK — OPTIMIZATIONS
 ========================= */
 
-// API Cache system para reducir llamadas repetidas
+// API Cache system para reducir llamadas repetidas: memoria + localStorage, con peticiones en curso compartidas
 const apiCache = new Map();
+const apiInFlight = new Map();
 const API_CACHE_DURATION = 5 * 60 * 1000; // 5 minutos
+const API_CACHE_STORAGE_PREFIX = 'cyberduck:apiCache:';
+const API_CACHE_MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000; // copias más viejas no se usan ni como respaldo
+const API_CACHE_INDEX_KEY = 'cyberduck:apiCacheIndex';
+const API_CACHE_MAX_BYTES = 1.5 * 1024 * 1024; // comparte cuota con pedidos y contabilidad: el resto queda libre
+const API_FETCH_TIMEOUT_MS = 10000;
+const API_FETCH_RETRIES = 2;
+const API_FETCH_RETRY_DELAY_MS = 500;
+const CATALOG_SOURCES_URL = './data/catalog_sources.json';
+const STATIC_CATALOG_URL = './data/catalogo_estatico.json';
+// Páginas estáticas por SKU (p/<SKU>.html) publicadas con tools/generar_paginas_producto.mjs
+const PRODUCT_PAGES_URL = './data/paginas_producto.json';
+let productPagesPromise = null;
+const CATALOG_FETCH_TIMEOUT_MS = 5000;
+const CATALOG_FETCH_DEADLINE_MS = 15000; // tope para todos los intentos antes de caer al catálogo estático
+let staticCatalogIndex = null;
+let staticCatalogPromise = null;
+const CART_STORAGE_KEY = 'cyberduck:cart';
+const MAX_CART_LINE_QUANTITY = 99;
 const ORDER_STORAGE_KEY = 'cyberduck:orders';
 const INVENTORY_MOVEMENTS_KEY = 'cyberduck:inventoryMovements';
 const PRODUCTION_LOGS_KEY = 'cyberduck:productionLogs';
 const KPI_REPORTS_KEY = 'cyberduck:kpiReports';
 const CHECKOUT_SUBMISSIONS_KEY = 'cyberduck:checkoutSubmissions';
+const CHECKOUT_RESUBMISSION_QUEUE_KEY = 'cyberduck:checkoutResubmissionQueue';
 const MATERIAL_STOCK_KEY = 'cyberduck:materialStock';
 const MATERIAL_STOCK_POLICIES_KEY = 'cyberduck:materialStockPolicies';
 const MATERIAL_STOCK_ALERTS_KEY = 'cyberduck:materialStockAlerts';
@@ -17,6 +37,15 @@ const ACCOUNTING_LEDGER_KEY = 'cyberduck:accountingLedger';
 const ACCOUNTING_SYNC_QUEUE_KEY = 'cyberduck:accountingSyncQueue';
 const ACCOUNTING_RECONCILIATIONS_KEY = 'cyberduck:accountingReconciliations';
 const ACCOUNTING_SYNC_BRIDGE_CONFIG_KEY = 'cyberduck:accountingSyncBridgeConfig';
+const ORDER_STATUS_SOURCE_CONFIG_KEY = 'cyberduck:orderStatusSourceConfig';
+const DISCOUNT_RULES_KEY = 'cyberduck:discountRules';
+const DISCOUNT_REDEMPTIONS_KEY = 'cyberduck:discountRedemptions';
+const GIFT_CARDS_KEY = 'cyberduck:giftCards';
+const QUOTES_KEY = 'cyberduck:quotes';
+const ARTWORK_STORAGE_CONFIG_KEY = 'cyberduck:artworkStorageConfig';
+const SHIPPING_RATES_KEY = 'cyberduck:shippingRates';
+const TAX_RATES_KEY = 'cyberduck:taxRates';
+const STATIC_CATALOG_KEY = 'cyberduck:staticCatalog';
 
 const CATEGORY_SOLID_GRAMS = {
   camisetas: 220,
@@ -60,6 +89,98 @@ const CATEGORY_MATERIAL_PROFILE = {
   default: { materialCode: 'MAT-GEN-SOLIDO', materialName: 'Material sólido genérico', unit: 'g', unitCostCOP: 60 }
 };
 
+// Variantes por categoría: cada opción aporta sufijo de SKU, delta de precio y disponibilidad;
+// solidFactor escala el consumo teórico de material (tallas grandes usan más tela)
+const CATEGORY_VARIANT_OPTIONS = {
+  camisetas: [
+    { attribute: 'talla', label: 'Talla', options: [
+      { value: 'S', skuSuffix: 'S', priceDeltaCOP: 0, available: true, solidFactor: 0.9 },
+      { value: 'M', skuSuffix: 'M', priceDeltaCOP: 0, available: true, solidFactor: 1 },
+      { value: 'L', skuSuffix: 'L', priceDeltaCOP: 0, available: true, solidFactor: 1.1 },
+      { value: 'XL', skuSuffix: 'XL', priceDeltaCOP: 5000, available: true, solidFactor: 1.2 },
+      { value: 'XXL', skuSuffix: 'XXL', priceDeltaCOP: 8000, available: false, solidFactor: 1.3 }
+    ] },
+    { attribute: 'color', label: 'Color', options: [
+      { value: 'Negro', skuSuffix: 'NEG', priceDeltaCOP: 0, available: true },
+      { value: 'Blanco', skuSuffix: 'BLA', priceDeltaCOP: 0, available: true }
+    ] }
+  ],
+  faldas: [
+    { attribute: 'talla', label: 'Talla', options: [
+      { value: 'XS', skuSuffix: 'XS', priceDeltaCOP: 0, available: true, solidFactor: 0.85 },
+      { value: 'S', skuSuffix: 'S', priceDeltaCOP: 0, available: true, solidFactor: 0.95 },
+      { value: 'M', skuSuffix: 'M', priceDeltaCOP: 0, available: true, solidFactor: 1 },
+      { value: 'L', skuSuffix: 'L', priceDeltaCOP: 4000, available: true, solidFactor: 1.1 }
+    ] }
+  ],
+  aretes: [
+    { attribute: 'color', label: 'Acabado', options: [
+      { value: 'Plateado', skuSuffix: 'PLA', priceDeltaCOP: 0, available: true },
+      { value: 'Dorado', skuSuffix: 'DOR', priceDeltaCOP: 3000, available: true },
+      { value: 'Negro', skuSuffix: 'NEG', priceDeltaCOP: 0, available: true }
+    ] }
+  ],
+  collares: [
+    { attribute: 'modelo', label: 'Largo', options: [
+      { value: '40 cm', skuSuffix: '40', priceDeltaCOP: 0, available: true, solidFactor: 1 },
+      { value: '50 cm', skuSuffix: '50', priceDeltaCOP: 2000, available: true, solidFactor: 1.2 }
+    ] }
+  ],
+  manillas: [
+    { attribute: 'talla', label: 'Talla', options: [
+      { value: 'S', skuSuffix: 'S', priceDeltaCOP: 0, available: true, solidFactor: 0.9 },
+      { value: 'M', skuSuffix: 'M', priceDeltaCOP: 0, available: true, solidFactor: 1 },
+      { value: 'L', skuSuffix: 'L', priceDeltaCOP: 0, available: true, solidFactor: 1.1 }
+    ] }
+  ],
+  gargantillas: [
+    { attribute: 'color', label: 'Color', options: [
+      { value: 'Negro', skuSuffix: 'NEG', priceDeltaCOP: 0, available: true },
+      { value: 'Plateado', skuSuffix: 'PLA', priceDeltaCOP: 2000, available: true }
+    ] }
+  ]
+};
+
+// Precios de catálogo con IVA incluido. gravado: tarifa > 0; exento: tarifa 0 con derecho a
+// descuento de IVA; excluido: fuera del impuesto (bonos de regalo hasta su redención)
+const CATEGORY_TAX_PROFILE = {
+  camisetas: { regime: 'gravado', ratePct: 19 },
+  faldas: { regime: 'gravado', ratePct: 19 },
+  aretes: { regime: 'gravado', ratePct: 19 },
+  collares: { regime: 'gravado', ratePct: 19 },
+  manillas: { regime: 'gravado', ratePct: 19 },
+  gargantillas: { regime: 'gravado', ratePct: 19 },
+  otros: { regime: 'gravado', ratePct: 19 },
+  impresion3d: { regime: 'gravado', ratePct: 19 },
+  personalizar: { regime: 'gravado', ratePct: 19 },
+  nuevo: { regime: 'gravado', ratePct: 19 },
+  'tarjeta-regalo': { regime: 'excluido', ratePct: 0 },
+  default: { regime: 'gravado', ratePct: 19 }
+};
+
+// Promociones base; el panel puede sobrescribirlas con upsertDiscountRule
+const DEFAULT_DISCOUNT_RULES = [
+  { code: 'BIENVENIDA10', type: 'percent', value: 10, categories: [], minPurchaseCOP: 40000, startsAt: '2026-01-01', expiresAt: '2026-12-31', usageLimit: 300, perCustomerLimit: 1, active: true },
+  { code: 'ACCESORIOS5K', type: 'fixed', value: 5000, categories: ['aretes', 'collares', 'manillas', 'gargantillas', 'otros'], minPurchaseCOP: 30000, startsAt: '2026-01-01', expiresAt: '2026-12-31', usageLimit: 150, perCustomerLimit: 2, active: true },
+  { code: 'PRINT3D15', type: 'percent', value: 15, categories: ['impresion3d', 'personalizar'], minPurchaseCOP: 0, startsAt: '2026-01-01', expiresAt: '2026-12-31', usageLimit: 100, perCustomerLimit: 0, active: true }
+];
+
+const SHIPPING_DEPARTMENTS = [
+  'Amazonas', 'Antioquia', 'Arauca', 'Atlántico', 'Bogotá D.C.', 'Bolívar', 'Boyacá', 'Caldas', 'Caquetá',
+  'Casanare', 'Cauca', 'Cesar', 'Chocó', 'Córdoba', 'Cundinamarca', 'Guainía', 'Guaviare', 'Huila',
+  'La Guajira', 'Magdalena', 'Meta', 'Nariño', 'Norte de Santander', 'Putumayo', 'Quindío', 'Risaralda',
+  'San Andrés y Providencia', 'Santander', 'Sucre', 'Tolima', 'Valle del Cauca', 'Vaupés', 'Vichada'
+];
+
+// Tarifas por zona; departments/cities vacíos marcan la zona por defecto
+const DEFAULT_SHIPPING_ZONES = [
+  { zoneCode: 'LOCAL', label: 'Bogotá', departments: ['Bogotá D.C.'], cities: ['Bogotá'], rateCOP: 8000, freeShippingFromCOP: 150000, etaDays: '1-2' },
+  { zoneCode: 'CENTRO', label: 'Región central', departments: ['Cundinamarca', 'Boyacá', 'Tolima', 'Meta', 'Huila'], cities: [], rateCOP: 12000, freeShippingFromCOP: 200000, etaDays: '2-3' },
+  { zoneCode: 'PRINCIPALES', label: 'Ciudades principales', departments: ['Antioquia', 'Valle del Cauca', 'Atlántico', 'Santander', 'Caldas', 'Risaralda', 'Quindío', 'Bolívar', 'Norte de Santander'], cities: [], rateCOP: 15000, freeShippingFromCOP: 250000, etaDays: '2-4' },
+  { zoneCode: 'ESPECIAL', label: 'Zonas de difícil acceso', departments: ['Amazonas', 'San Andrés y Providencia', 'Guainía', 'Guaviare', 'Vaupés', 'Vichada', 'Putumayo'], cities: [], rateCOP: 35000, freeShippingFromCOP: null, etaDays: '5-10' },
+  { zoneCode: 'NACIONAL', label: 'Resto del país', departments: [], cities: [], rateCOP: 20000, freeShippingFromCOP: 300000, etaDays: '3-6' }
+];
+
 const CRITICAL_COST_THRESHOLD = {
   critical: 90,
   high: 70,
@@ -106,10 +227,17 @@ function normalizeCartItem(item = {}, index = 0) {
   const unitPrice = normalizeCurrencyValue(pickFirstDefined(item.unitPrice, item.price, item.salePrice, item.amount));
   const unitCost = normalizeCurrencyValue(pickFirstDefined(item.unitCost, item.cost, item.standardCost));
   const lineTotal = unitPrice === null ? null : unitPrice * quantity;
+  // Los ids item-N son posicionales; no deben sobrevivir como SKU al renormalizar
+  const sourceId = /^item-\d+$/.test(String(item.id || '')) ? '' : item.id;
+  const variant = normalizeCartVariant(item.variant);
+  const catalogMatch = findStaticCatalogProduct(item);
+  const sku = pickFirstDefined(item.sku, item.code, sourceId, catalogMatch?.sku, '');
 
   return {
-    id: pickFirstDefined(item.id, item.sku, item.code, `item-${index + 1}`),
-    sku: pickFirstDefined(item.sku, item.code, item.id, ''),
+    id: pickFirstDefined(sourceId, sku, `item-${index + 1}`),
+    sku,
+    baseSku: pickFirstDefined(item.baseSku, variant ? '' : sku, ''),
+    variant,
     name: pickFirstDefined(item.name, item.title, item.productName, 'Producto'),
     category: pickFirstDefined(item.category, item.categoria, item.collection, ''),
     description: pickFirstDefined(item.desc, item.description, item.descripcion, ''),
@@ -117,9 +245,79 @@ function normalizeCartItem(item = {}, index = 0) {
     quantity,
     unitPrice,
     lineTotal,
-    unitCost,
+    unitCost: unitCost ?? catalogMatch?.standardCost ?? null,
     source: pickFirstDefined(item.source, ''),
-    inventoryStatus: pickFirstDefined(item.inventoryStatus, 'pending')
+    inventoryStatus: pickFirstDefined(item.inventoryStatus, 'pending'),
+    giftCard: normalizeGiftCardDetails(item.giftCard),
+    quoteId: pickFirstDefined(item.quoteId, ''),
+    artwork: normalizeArtworkReference(item.artwork),
+    printEstimate: normalizePrintEstimate(item.printEstimate)
+  };
+}
+
+function normalizeCartVariant(variant) {
+  if (!variant || typeof variant !== 'object' || !variant.key) {
+    return null;
+  }
+
+  return {
+    key: String(variant.key),
+    label: String(variant.label || ''),
+    attributes: variant.attributes && typeof variant.attributes === 'object' ? { ...variant.attributes } : {},
+    skuSuffix: String(variant.skuSuffix || ''),
+    priceDeltaCOP: Number(variant.priceDeltaCOP) || 0,
+    solidFactor: Number(variant.solidFactor) > 0 ? Number(variant.solidFactor) : 1
+  };
+}
+
+function getProductVariantGroups(product = {}) {
+  if (Array.isArray(product.variantGroups) && product.variantGroups.length) {
+    return product.variantGroups;
+  }
+
+  const category = String(product.category || '').trim().toLowerCase();
+  return CATEGORY_VARIANT_OPTIONS[category] || [];
+}
+
+// Combina la selección (atributo -> valor) con las opciones del producto
+function resolveProductVariant(product = {}, selection = {}) {
+  const groups = getProductVariantGroups(product);
+  const basePrice = normalizeCurrencyValue(product.unitPrice ?? product.price);
+  const baseSku = String(pickFirstDefined(product.baseSku, product.sku, '')).trim();
+  const chosen = [];
+  const missing = [];
+
+  groups.forEach(group => {
+    const option = (group.options || []).find(item => item.value === selection[group.attribute]);
+    if (option) {
+      chosen.push({ group, option });
+    } else {
+      missing.push(group.label || group.attribute);
+    }
+  });
+
+  const skuSuffix = chosen.map(({ option }) => option.skuSuffix).filter(Boolean).join('-');
+  const priceDeltaCOP = chosen.reduce((acc, { option }) => acc + (Number(option.priceDeltaCOP) || 0), 0);
+  const solidFactor = chosen.reduce((acc, { option }) => acc * (Number(option.solidFactor) > 0 ? Number(option.solidFactor) : 1), 1);
+
+  return {
+    hasVariants: groups.length > 0,
+    complete: missing.length === 0,
+    missing,
+    available: chosen.every(({ option }) => option.available !== false),
+    variant: groups.length && missing.length === 0
+      ? {
+          key: chosen.map(({ group, option }) => `${group.attribute}=${option.value}`).join(';'),
+          label: chosen.map(({ group, option }) => `${group.label || group.attribute} ${option.value}`).join(' · '),
+          attributes: Object.fromEntries(chosen.map(({ group, option }) => [group.attribute, option.value])),
+          skuSuffix,
+          priceDeltaCOP,
+          solidFactor: +solidFactor.toFixed(4)
+        }
+      : null,
+    baseSku,
+    sku: baseSku && skuSuffix ? `${baseSku}-${skuSuffix}` : baseSku,
+    unitPrice: basePrice === null ? null : basePrice + priceDeltaCOP
   };
 }
 
@@ -127,8 +325,42 @@ function normalizeCartItems(items = []) {
   return Array.isArray(items) ? items.map((item, index) => normalizeCartItem(item, index)) : [];
 }
 
-function computeCartTotals(cart = []) {
-  return normalizeCartItems(cart).reduce((acc, item) => {
+function getCartLineKey(item = {}) {
+  return [
+    String(item.sku || '').trim().toUpperCase(),
+    String(item.name || '').trim().toLowerCase(),
+    String(item.category || '').trim().toLowerCase(),
+    item.variant?.key || '',
+    item.unitPrice ?? '',
+    item.giftCard ? `${item.giftCard.recipientName}\u0000${item.giftCard.message}` : '',
+    item.artwork?.ref || '',
+    item.quoteId || '',
+    item.printEstimate?.fileHash || ''
+  ].join('|');
+}
+
+// Une líneas idénticas sumando cantidades; conserva el orden de la primera aparición
+function mergeCartItems(items = []) {
+  const lines = new Map();
+
+  normalizeCartItems(items).forEach(item => {
+    const key = getCartLineKey(item);
+    const existing = lines.get(key);
+
+    if (existing) {
+      const quantity = Math.min(MAX_CART_LINE_QUANTITY, existing.quantity + item.quantity);
+      lines.set(key, normalizeCartItem({ ...existing, quantity }));
+    } else {
+      lines.set(key, normalizeCartItem({ ...item, quantity: Math.min(MAX_CART_LINE_QUANTITY, item.quantity) }));
+    }
+  });
+
+  return Array.from(lines.values());
+}
+
+function computeCartTotals(cart = [], options = {}) {
+  const items = normalizeCartItems(cart);
+  const totals = items.reduce((acc, item) => {
     if (Number.isFinite(item.lineTotal)) {
       acc.subtotal += item.lineTotal;
     }
@@ -140,2279 +372,6084 @@ function computeCartTotals(cart = []) {
     acc.quantity += item.quantity;
     return acc;
   }, { quantity: 0, subtotal: 0, estimatedCost: 0 });
-}
 
-function buildOrderPayload({ customer = {}, cart = [], paymentMethod = '', discountCode = '' } = {}) {
-  const normalizedCart = normalizeCartItems(cart);
-  const totals = computeCartTotals(normalizedCart);
-  const estimatedMargin = totals.subtotal && Number.isFinite(totals.estimatedCost)
-    ? totals.subtotal - totals.estimatedCost
+  const discount = options.discountCode
+    ? evaluateDiscountCode(options.discountCode, cart, { customerEmail: options.customerEmail, now: options.now })
     : null;
-  const orderId = `CW-${Date.now().toString(36).toUpperCase()}`;
+  const discountAmount = discount?.valid ? discount.amountCOP : 0;
+  const tax = computeTaxBreakdown(items, discount?.valid ? discount : null);
+  const merchandiseTotal = Math.max(0, totals.subtotal - discountAmount);
+  const shipping = options.shippingAddress
+    ? computeShippingCost(options.shippingAddress, merchandiseTotal)
+    : null;
+  const shippingAmount = shipping ? shipping.amountCOP : 0;
+  const total = +(merchandiseTotal + shippingAmount).toFixed(2);
+  // La tarjeta de regalo es un medio de pago: no cambia el total de la orden, solo lo que queda por pagar
+  const giftCard = options.giftCardCode ? evaluateGiftCardCode(options.giftCardCode, total) : null;
+  const giftCardAmount = giftCard?.valid ? giftCard.amountCOP : 0;
 
   return {
-    orderId,
-    createdAt: new Date().toISOString(),
-    source: 'cyberweb-checkout',
-    flowStatus: 'CREADA',
-    currency: 'COP',
-    customer: {
-      fullName: pickFirstDefined(customer.fullName, customer.nombre, ''),
-      email: pickFirstDefined(customer.email, customer.correo, ''),
-      phone: pickFirstDefined(customer.phone, customer.celular, ''),
-      discountCode: pickFirstDefined(discountCode, customer.discountCode, '')
-    },
-    paymentMethod: pickFirstDefined(paymentMethod, customer.paymentMethod, ''),
-    summary: {
-      quantity: totals.quantity,
-      subtotal: totals.subtotal,
-      estimatedCost: totals.estimatedCost || null,
-      estimatedMargin
-    },
-    inventory: {
-      status: 'pending',
-      movementType: 'sale-reservation',
-      lines: normalizedCart.map(item => ({
-        sku: item.sku,
-        name: item.name,
-        category: item.category,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        unitCost: item.unitCost,
-        reserved: true
-      }))
-    },
-    production: {
-      status: 'pending',
-      lineCount: normalizedCart.length,
-      needsBomReview: normalizedCart.some(item => !item.sku)
-    },
-    items: normalizedCart
+    ...totals,
+    discount,
+    discountAmount,
+    tax,
+    taxBase: tax.baseCOP,
+    taxAmount: tax.taxCOP,
+    shipping,
+    shippingAmount,
+    total,
+    giftCard,
+    giftCardAmount,
+    amountDue: +(total - giftCardAmount).toFixed(2)
   };
 }
 
-function hashString(input) {
-  const text = String(input || '');
-  let hash = 2166136261;
+function normalizeTaxProfile(profile = {}) {
+  const regime = ['gravado', 'exento', 'excluido'].includes(profile.regime) ? profile.regime : 'gravado';
+  const ratePct = regime === 'gravado' ? Math.max(0, Number(profile.ratePct) || 0) : 0;
+  return { regime, ratePct };
+}
 
-  for (let i = 0; i < text.length; i += 1) {
-    hash ^= text.codePointAt(i) || 0;
-    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+function getTaxRates() {
+  const stored = safeReadJsonStorage(TAX_RATES_KEY, {});
+  return { ...CATEGORY_TAX_PROFILE, ...(stored && typeof stored === 'object' ? stored : {}) };
+}
+
+function upsertCategoryTaxRate(category, profile = {}) {
+  const key = String(category || '').trim().toLowerCase();
+  if (!key) {
+    return null;
   }
 
-  return (hash >>> 0).toString(36).toUpperCase();
+  const stored = safeReadJsonStorage(TAX_RATES_KEY, {});
+  const rates = stored && typeof stored === 'object' ? stored : {};
+  rates[key] = normalizeTaxProfile(profile);
+  safeWriteJsonStorage(TAX_RATES_KEY, rates);
+  return rates[key];
 }
 
-function createCheckoutFingerprint(orderPayload) {
-  const itemsSignature = normalizeCartItems(orderPayload.items || []).map(item => [
-    item.sku,
-    item.name,
-    item.quantity,
-    item.unitPrice,
-    item.unitCost
-  ].join(':')).join('|');
+function getCategoryTaxProfile(category) {
+  const rates = getTaxRates();
+  const key = String(category || '').trim().toLowerCase();
+  return normalizeTaxProfile(rates[key] || rates.default);
+}
 
-  const customerSignature = [
-    orderPayload.customer?.fullName || '',
-    orderPayload.customer?.email || '',
-    orderPayload.customer?.phone || '',
-    orderPayload.paymentMethod || '',
-    orderPayload.customer?.discountCode || ''
-  ].join('|');
+function getTaxLabel(profile) {
+  if (profile.regime === 'exento') return 'Exento';
+  if (profile.regime === 'excluido') return 'Excluido';
+  return `IVA ${profile.ratePct}%`;
+}
 
-  const numericSignature = [
-    orderPayload.summary?.subtotal || 0,
-    orderPayload.summary?.quantity || 0,
-    orderPayload.summary?.estimatedCost || 0,
-    orderPayload.summary?.estimatedMargin || 0
-  ].join('|');
+// El descuento se reparte entre las líneas elegibles antes de separar base e IVA
+function computeTaxBreakdown(items = [], discount = null) {
+  const groups = new Map();
 
-  return `CHK-${hashString([customerSignature, itemsSignature, numericSignature].join('::'))}`;
+  items.forEach(item => {
+    const gross = Number.isFinite(item.lineTotal) ? item.lineTotal : 0;
+    const lineDiscount = discount && discount.eligibleSubtotal > 0 && isDiscountEligibleItem(discount.rule, item)
+      ? discount.amountCOP * (gross / discount.eligibleSubtotal)
+      : 0;
+    const net = Math.max(0, gross - lineDiscount);
+    const profile = getCategoryTaxProfile(item.category);
+    const key = `${profile.regime}:${profile.ratePct}`;
+    const group = groups.get(key) || { ...profile, label: getTaxLabel(profile), netCOP: 0 };
+
+    group.netCOP += net;
+    groups.set(key, group);
+  });
+
+  const breakdown = Array.from(groups.values()).map(group => {
+    const taxCOP = +(group.netCOP - (group.netCOP / (1 + group.ratePct / 100))).toFixed(2);
+    return {
+      regime: group.regime,
+      ratePct: group.ratePct,
+      label: group.label,
+      baseCOP: +(group.netCOP - taxCOP).toFixed(2),
+      taxCOP,
+      totalCOP: +group.netCOP.toFixed(2)
+    };
+  });
+  const sumBy = (regime, field) => breakdown
+    .filter(group => !regime || group.regime === regime)
+    .reduce((acc, group) => acc + group[field], 0);
+
+  return {
+    pricesIncludeTax: true,
+    breakdown,
+    taxableBaseCOP: +sumBy('gravado', 'baseCOP').toFixed(2),
+    exemptBaseCOP: +sumBy('exento', 'baseCOP').toFixed(2),
+    excludedBaseCOP: +sumBy('excluido', 'baseCOP').toFixed(2),
+    baseCOP: +sumBy(null, 'baseCOP').toFixed(2),
+    taxCOP: +sumBy(null, 'taxCOP').toFixed(2)
+  };
 }
 
-function getCheckoutSubmissionRegistry() {
-  return safeReadJsonStorage(CHECKOUT_SUBMISSIONS_KEY, []);
+function normalizeLocationName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
 }
 
-function upsertCheckoutSubmissionRegistry(entry) {
-  const registry = getCheckoutSubmissionRegistry();
-  const index = registry.findIndex(item => item.submissionFingerprint === entry.submissionFingerprint);
+function normalizeShippingAddress(address = {}) {
+  return {
+    department: String(pickFirstDefined(address.department, address.departamento, '')).trim(),
+    city: String(pickFirstDefined(address.city, address.ciudad, '')).trim(),
+    address: String(pickFirstDefined(address.address, address.direccion, '')).trim(),
+    notes: String(pickFirstDefined(address.notes, address.notas, '')).trim()
+  };
+}
 
-  if (index >= 0) {
-    registry[index] = { ...registry[index], ...entry };
-  } else {
-    registry.push(entry);
-  }
+function normalizeShippingZone(zone = {}) {
+  const threshold = Number(zone.freeShippingFromCOP);
 
-  safeWriteJsonStorage(CHECKOUT_SUBMISSIONS_KEY, registry);
-  return entry;
+  return {
+    zoneCode: String(zone.zoneCode || '').trim().toUpperCase(),
+    label: zone.label || zone.zoneCode || '',
+    departments: Array.isArray(zone.departments) ? zone.departments : [],
+    cities: Array.isArray(zone.cities) ? zone.cities : [],
+    rateCOP: Math.max(0, Number(zone.rateCOP) || 0),
+    freeShippingFromCOP: zone.freeShippingFromCOP === null || !Number.isFinite(threshold) || threshold <= 0 ? null : threshold,
+    etaDays: zone.etaDays || ''
+  };
 }
 
-function findCheckoutSubmissionByFingerprint(submissionFingerprint) {
-  return getCheckoutSubmissionRegistry().find(item => item.submissionFingerprint === submissionFingerprint) || null;
+function getShippingRates() {
+  const stored = safeReadJsonStorage(SHIPPING_RATES_KEY, null);
+  const zones = Array.isArray(stored) && stored.length ? stored : DEFAULT_SHIPPING_ZONES;
+  return zones.map(normalizeShippingZone).filter(zone => zone.zoneCode);
 }
 
-function registerCheckoutSubmission(orderPayload, metadata = {}) {
-  const submissionFingerprint = metadata.submissionFingerprint || orderPayload.checkoutFingerprint || createCheckoutFingerprint(orderPayload);
-  const existing = findCheckoutSubmissionByFingerprint(submissionFingerprint);
-  const now = new Date().toISOString();
+function upsertShippingRates(zones = []) {
+  const normalized = (Array.isArray(zones) ? zones : []).map(normalizeShippingZone).filter(zone => zone.zoneCode);
+  safeWriteJsonStorage(SHIPPING_RATES_KEY, normalized);
+  return normalized;
+}
 
-  if (existing?.status === 'submitted') {
+function getShippingDepartments() {
+  return [...SHIPPING_DEPARTMENTS];
+}
+
+function resolveShippingZone(address = {}) {
+  const zones = getShippingRates();
+  const department = normalizeLocationName(address.department);
+  const city = normalizeLocationName(address.city);
+  const matches = (list, value) => Boolean(value) && list.some(item => normalizeLocationName(item) === value);
+
+  return zones.find(zone => matches(zone.cities, city))
+    || zones.find(zone => matches(zone.departments, department))
+    || zones.find(zone => zone.departments.length === 0 && zone.cities.length === 0)
+    || null;
+}
+
+function computeShippingCost(shippingAddress = {}, merchandiseTotal = 0) {
+  const address = normalizeShippingAddress(shippingAddress);
+  if (!address.department) {
     return {
-      ...existing,
-      isDuplicate: true,
-      orderPayload: null
+      address,
+      zoneCode: null,
+      zoneLabel: '',
+      rateCOP: 0,
+      freeShippingFromCOP: null,
+      isFree: false,
+      pending: true,
+      amountCOP: 0,
+      etaDays: ''
     };
   }
 
-  const registryEntry = {
-    submissionFingerprint,
-    orderId: orderPayload.orderId,
-    status: 'pending',
-    createdAt: existing?.createdAt || now,
-    lastAttemptAt: now,
-    submittedAt: existing?.submittedAt || null,
-    customerEmail: orderPayload.customer?.email || '',
-    total: orderPayload.summary?.subtotal || 0,
-    paymentMethod: orderPayload.paymentMethod || '',
-    itemCount: orderPayload.items?.length || 0
+  const zone = resolveShippingZone(address);
+  const rateCOP = zone ? zone.rateCOP : 0;
+  const freeShippingFromCOP = zone ? zone.freeShippingFromCOP : null;
+  const isFree = freeShippingFromCOP !== null && merchandiseTotal >= freeShippingFromCOP;
+
+  return {
+    address,
+    zoneCode: zone?.zoneCode || null,
+    zoneLabel: zone?.label || '',
+    rateCOP,
+    freeShippingFromCOP,
+    isFree,
+    pending: false,
+    amountCOP: isFree ? 0 : rateCOP,
+    etaDays: zone?.etaDays || ''
   };
+}
 
-  upsertCheckoutSubmissionRegistry(registryEntry);
+function normalizeDiscountCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeDiscountRule(rule = {}) {
+  const type = String(rule.type || '').trim().toLowerCase() === 'fixed' ? 'fixed' : 'percent';
+  const categories = Array.isArray(rule.categories)
+    ? rule.categories.map(category => String(category || '').trim().toLowerCase()).filter(Boolean)
+    : [];
 
   return {
-    ...registryEntry,
-    isDuplicate: false,
-    orderPayload
+    code: normalizeDiscountCode(rule.code),
+    type,
+    value: Math.max(0, Number(rule.value) || 0),
+    categories,
+    minPurchaseCOP: Math.max(0, Number(rule.minPurchaseCOP) || 0),
+    startsAt: rule.startsAt || null,
+    expiresAt: rule.expiresAt || null,
+    usageLimit: Math.max(0, Number.parseInt(rule.usageLimit, 10) || 0),
+    perCustomerLimit: Math.max(0, Number.parseInt(rule.perCustomerLimit, 10) || 0),
+    active: rule.active !== false,
+    description: rule.description || '',
+    updatedAt: rule.updatedAt || null
   };
 }
 
-function markCheckoutSubmissionCompleted(submissionFingerprint, orderId, centralRecordId = '') {
-  const current = findCheckoutSubmissionByFingerprint(submissionFingerprint);
-  if (!current) {
+function getDiscountRules() {
+  const stored = safeReadJsonStorage(DISCOUNT_RULES_KEY, []);
+  const byCode = new Map();
+
+  [...DEFAULT_DISCOUNT_RULES, ...(Array.isArray(stored) ? stored : [])].forEach(rule => {
+    const normalized = normalizeDiscountRule(rule);
+    if (normalized.code) {
+      byCode.set(normalized.code, normalized);
+    }
+  });
+
+  return Array.from(byCode.values());
+}
+
+function upsertDiscountRule(rule = {}) {
+  const normalized = normalizeDiscountRule({ ...rule, updatedAt: new Date().toISOString() });
+  if (!normalized.code) {
     return null;
   }
 
-  const completed = {
-    ...current,
-    orderId: orderId || current.orderId,
-    centralRecordId,
-    status: 'submitted',
-    submittedAt: new Date().toISOString()
-  };
+  const stored = safeReadJsonStorage(DISCOUNT_RULES_KEY, []);
+  const rules = Array.isArray(stored) ? stored : [];
+  const index = rules.findIndex(item => normalizeDiscountCode(item.code) === normalized.code);
 
-  upsertCheckoutSubmissionRegistry(completed);
-  return completed;
+  if (index >= 0) {
+    rules[index] = normalized;
+  } else {
+    rules.push(normalized);
+  }
+
+  safeWriteJsonStorage(DISCOUNT_RULES_KEY, rules);
+  return normalized;
 }
 
-function buildCheckoutSubmissionEnvelope({ customer = {}, cart = [], paymentMethod = '', discountCode = '' } = {}) {
-  const orderPayload = buildOrderPayload({ customer, cart, paymentMethod, discountCode });
-  const submissionFingerprint = createCheckoutFingerprint(orderPayload);
-  const existing = findCheckoutSubmissionByFingerprint(submissionFingerprint);
+function getDiscountRedemptions() {
+  return safeReadJsonStorage(DISCOUNT_REDEMPTIONS_KEY, []);
+}
 
-  if (existing?.status === 'submitted') {
-    return {
-      submissionFingerprint,
-      orderPayload: null,
-      inventoryPayload: null,
-      salePayload: null,
-      registryRecord: existing,
-      isDuplicate: true
-    };
+function parseRuleDate(value, endOfDay = false) {
+  if (!value) {
+    return null;
   }
 
-  if (existing?.status === 'pending' && existing.orderId) {
-    orderPayload.orderId = existing.orderId;
-    orderPayload.createdAt = existing.createdAt || orderPayload.createdAt;
+  const text = String(value);
+  const time = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999` : text).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function isDiscountEligibleItem(rule, item = {}) {
+  if (isGiftCardItem(item)) {
+    return false;
   }
 
-  const registryRecord = registerCheckoutSubmission(orderPayload, { submissionFingerprint });
+  if (!rule || rule.categories.length === 0) {
+    return true;
+  }
 
-  if (registryRecord.isDuplicate) {
-    return {
-      submissionFingerprint,
-      orderPayload: null,
-      inventoryPayload: null,
-      salePayload: null,
-      registryRecord,
-      isDuplicate: true
-    };
+  return rule.categories.includes(String(item.category || '').trim().toLowerCase());
+}
+
+function evaluateDiscountCode(code, cart = [], options = {}) {
+  const normalizedCode = normalizeDiscountCode(code);
+  const rejection = (reason, message) => ({
+    valid: false,
+    code: normalizedCode,
+    reason,
+    message,
+    amountCOP: 0,
+    eligibleSubtotal: 0,
+    rule: null
+  });
+
+  if (!normalizedCode) {
+    return rejection('empty', 'Ingresa un código de descuento.');
   }
 
-  orderPayload.checkoutFingerprint = submissionFingerprint;
-  orderPayload.checkoutSource = 'cyberweb-checkout';
-  orderPayload.checkoutCentralState = 'PENDING';
-  orderPayload.inventory = {
-    ...orderPayload.inventory,
-    reservationId: submissionFingerprint,
-    deduplicationKey: submissionFingerprint,
-    status: 'reserved',
-    lines: orderPayload.inventory.lines.map(line => ({
-      ...line,
-      reserved: true,
-      reservationId: submissionFingerprint
-    }))
-  };
-  orderPayload.sale = {
-    orderId: orderPayload.orderId,
-    subtotal: orderPayload.summary.subtotal,
-    total: orderPayload.summary.subtotal,
-    quantity: orderPayload.summary.quantity,
-    paymentMethod: orderPayload.paymentMethod,
-    discountCode: orderPayload.customer.discountCode,
-    currency: orderPayload.currency,
-    estimatedCost: orderPayload.summary.estimatedCost,
-    estimatedMargin: orderPayload.summary.estimatedMargin
-  };
-  orderPayload.checkout = {
-    submissionFingerprint,
-    idempotencyKey: submissionFingerprint,
-    status: 'PENDING',
-    submittedAt: registryRecord.createdAt,
-    retryCount: registryRecord.status === 'pending' ? 1 : 0
-  };
+  const rule = getDiscountRules().find(item => item.code === normalizedCode);
+  if (!rule || !rule.active) {
+    return rejection('not-found', 'El código no existe o ya no está activo.');
+  }
 
-  const inventoryPayload = {
-    orderId: orderPayload.orderId,
-    reservationId: submissionFingerprint,
-    status: 'reserved',
-    movementType: 'sale-reservation',
-    totalQuantity: orderPayload.summary.quantity,
-    total: orderPayload.summary.subtotal,
-    lines: orderPayload.inventory.lines,
-    theoreticalConsumption: computeTheoreticalConsumption(orderPayload.items)
-  };
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const startsAt = parseRuleDate(rule.startsAt);
+  const expiresAt = parseRuleDate(rule.expiresAt, true);
+  if (startsAt !== null && now < startsAt) {
+    return rejection('not-started', 'Este código todavía no está vigente.');
+  }
 
-  const salePayload = {
-    orderId: orderPayload.orderId,
-    customer: orderPayload.customer,
-    paymentMethod: orderPayload.paymentMethod,
-    total: orderPayload.summary.subtotal,
-    quantity: orderPayload.summary.quantity,
-    discountCode: orderPayload.customer.discountCode,
-    currency: orderPayload.currency,
-    estimatedCost: orderPayload.summary.estimatedCost,
-    estimatedMargin: orderPayload.summary.estimatedMargin,
-    itemCount: orderPayload.items.length
-  };
+  if (expiresAt !== null && now > expiresAt) {
+    return rejection('expired', 'Este código ya venció.');
+  }
+
+  const redemptions = getDiscountRedemptions().filter(item => item.code === normalizedCode);
+  if (rule.usageLimit > 0 && redemptions.length >= rule.usageLimit) {
+    return rejection('usage-limit', 'Este código alcanzó su límite de usos.');
+  }
+
+  const customerEmail = String(options.customerEmail || '').trim().toLowerCase();
+  if (rule.perCustomerLimit > 0 && customerEmail) {
+    const customerUses = redemptions.filter(item => String(item.customerEmail || '').toLowerCase() === customerEmail).length;
+    if (customerUses >= rule.perCustomerLimit) {
+      return rejection('customer-limit', 'Ya usaste este código el máximo de veces permitido.');
+    }
+  }
+
+  const items = normalizeCartItems(cart);
+  const cartSubtotal = items.reduce((acc, item) => acc + (Number.isFinite(item.lineTotal) ? item.lineTotal : 0), 0);
+  if (cartSubtotal < rule.minPurchaseCOP) {
+    return rejection('min-purchase', `Compra mínima de $${formatPrice(rule.minPurchaseCOP)} COP para usar este código.`);
+  }
+
+  const eligibleSubtotal = items
+    .filter(item => isDiscountEligibleItem(rule, item))
+    .reduce((acc, item) => acc + (Number.isFinite(item.lineTotal) ? item.lineTotal : 0), 0);
+  if (eligibleSubtotal <= 0) {
+    return rejection('no-eligible-items', 'Ningún producto del carrito aplica para este código.');
+  }
+
+  const rawAmount = rule.type === 'fixed' ? rule.value : eligibleSubtotal * (rule.value / 100);
+  const amountCOP = +Math.min(eligibleSubtotal, rawAmount).toFixed(2);
 
   return {
-    submissionFingerprint,
-    orderPayload,
-    inventoryPayload,
-    salePayload,
-    registryRecord,
-    isDuplicate: false
+    valid: true,
+    code: normalizedCode,
+    reason: 'ok',
+    message: `Descuento aplicado: -$${formatPrice(amountCOP)} COP`,
+    amountCOP,
+    eligibleSubtotal: +eligibleSubtotal.toFixed(2),
+    rule
   };
 }
 
-function safeReadJsonStorage(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch (error) {
-    console.warn(`No se pudo leer ${key}:`, error);
-    return fallback;
+function registerDiscountRedemption(orderPayload = {}) {
+  const discount = orderPayload.discount;
+  if (!discount?.valid || !orderPayload.orderId) {
+    return null;
   }
-}
 
-function safeWriteJsonStorage(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch (error) {
-    console.warn(`No se pudo escribir ${key}:`, error);
+  const redemptions = getDiscountRedemptions();
+  const existing = redemptions.find(item => item.orderId === orderPayload.orderId && item.code === discount.code);
+  if (existing) {
+    return existing;
   }
-}
 
-function getAccountingLedgerEntries() {
-  return safeReadJsonStorage(ACCOUNTING_LEDGER_KEY, []);
+  const redemption = {
+    code: discount.code,
+    orderId: orderPayload.orderId,
+    customerEmail: String(orderPayload.customer?.email || '').trim().toLowerCase(),
+    amountCOP: discount.amountCOP,
+    redeemedAt: new Date().toISOString()
+  };
+
+  redemptions.push(redemption);
+  safeWriteJsonStorage(DISCOUNT_REDEMPTIONS_KEY, redemptions);
+  return redemption;
 }
 
-function getAccountingSyncQueue() {
-  return safeReadJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, []);
+const GIFT_CARD_CATEGORY = 'tarjeta-regalo';
+const GIFT_CARD_LIABILITY_ACCOUNT = '280505-TARJETAS-REGALO';
+// Contrapartida de redenciones y reintegros: la tarjeta salda (o vuelve a abrir) la cuenta por cobrar de la orden
+const GIFT_CARD_RECEIVABLE_ACCOUNT = '130505-CLIENTES';
+const GIFT_CARD_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GIFT_CARD_MOVEMENT_LABELS = {
+  ISSUE: 'Emisión',
+  REDEEM: 'Redención',
+  CREDIT: 'Reintegro',
+  VOID: 'Anulación'
+};
+
+function isGiftCardItem(item = {}) {
+  return String(item.category || '').trim().toLowerCase() === GIFT_CARD_CATEGORY;
 }
 
-function getOrderInventoryOutCost(order = {}) {
-  const movements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
-  const orderId = String(order.orderId || '').trim();
-  if (!orderId) {
-    return 0;
+function normalizeGiftCardDetails(details) {
+  if (!details || typeof details !== 'object') {
+    return null;
   }
 
-  const total = movements
-    .filter(line => String(line.orderId || '').trim() === orderId)
-    .reduce((acc, line) => {
-      const explicit = Number(line.materialCostImpact);
-      if (Number.isFinite(explicit)) {
-        return acc + explicit;
-      }
+  return {
+    recipientName: String(details.recipientName || '').trim().slice(0, 80),
+    message: String(details.message || '').trim().slice(0, 280)
+  };
+}
 
-      const used = Number(line.actualSolidUsed) || 0;
-      const unitCost = Number(line.estimatedUnitCostCOP) || 0;
-      return acc + (used * unitCost);
-    }, 0);
+function normalizeGiftCardCode(code) {
+  return String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+}
 
-  return +total.toFixed(2);
+function getGiftCards() {
+  return safeReadJsonStorage(GIFT_CARDS_KEY, []);
 }
 
-function buildAccountingEntriesFromOrder(order = {}, options = {}) {
-  const orderId = String(order.orderId || '').trim();
-  if (!orderId) {
-    return [];
-  }
+function generateGiftCardCode(existingCodes = new Set()) {
+  const randomIndex = () => (globalThis.crypto?.getRandomValues
+    ? globalThis.crypto.getRandomValues(new Uint32Array(1))[0]
+    : Math.floor(Math.random() * 2 ** 32)) % GIFT_CARD_CODE_ALPHABET.length;
+  let code = '';
+
+  do {
+    const chars = Array.from({ length: 8 }, () => GIFT_CARD_CODE_ALPHABET[randomIndex()]).join('');
+    code = `GC-${chars.slice(0, 4)}-${chars.slice(4)}`;
+  } while (existingCodes.has(code));
+
+  return code;
+}
 
+// Cada movimiento ajusta el saldo y deja su asiento en la cuenta de pasivo; el saldo del pasivo es lo pendiente por redimir
+function recordGiftCardMovement(cards, index, { type, amountCOP, orderId = '', at = '' }) {
+  const card = cards[index];
   const now = new Date().toISOString();
-  const saleAmount = Number(order.summary?.subtotal) || 0;
-  const quantity = Number(order.summary?.quantity) || 0;
-  const kpis = options.kpis || order.closeSummary?.kpis || null;
-  const cogsAmount = Number(kpis?.margin?.totalCost)
-    || Number(order.closeSummary?.actualCost)
-    || Number(order.summary?.estimatedCost)
-    || getOrderInventoryOutCost(order);
-  const inventoryOutCost = getOrderInventoryOutCost(order);
+  const signedAmount = type === 'REDEEM' || type === 'VOID' ? -amountCOP : amountCOP;
+  const balanceCOP = +((Number(card.balanceCOP) || 0) + signedAmount).toFixed(2);
+  const movement = {
+    movementId: `${card.code}-${type}-${card.movements.length + 1}`,
+    type,
+    amountCOP,
+    orderId,
+    at: at || now,
+    balanceAfterCOP: balanceCOP
+  };
 
-  return [
-    {
-      entryId: `ACC-${orderId}-SALE`,
-      orderId,
-      entryType: 'SALE',
-      accountCode: '413000-VENTAS',
-      description: `Venta orden ${orderId}`,
-      amountCOP: +saleAmount.toFixed(2),
-      quantity,
-      currency: order.currency || 'COP',
-      source: 'checkout',
-      happenedAt: options.happenedAt || order.createdAt || now,
-      createdAt: now
-    },
-    {
-      entryId: `ACC-${orderId}-INVOUT`,
-      orderId,
-      entryType: 'INVENTORY_OUT',
-      accountCode: '143500-INVENTARIO-SALIDA',
-      description: `Salida inventario orden ${orderId}`,
-      amountCOP: +inventoryOutCost.toFixed(2),
-      quantity,
-      currency: order.currency || 'COP',
-      source: 'produccion',
-      happenedAt: options.happenedAt || order.closeSummary?.closedAt || now,
-      createdAt: now
-    },
-    {
-      entryId: `ACC-${orderId}-COGS`,
-      orderId,
-      entryType: 'COGS',
-      accountCode: '613500-COSTO-VENTAS',
-      description: `Costo de ventas orden ${orderId}`,
-      amountCOP: +Number(cogsAmount || 0).toFixed(2),
-      quantity,
-      currency: order.currency || 'COP',
-      source: 'kpi-close',
-      happenedAt: options.happenedAt || order.closeSummary?.closedAt || now,
-      createdAt: now
-    }
-  ];
+  cards[index] = {
+    ...card,
+    balanceCOP,
+    status: type === 'VOID' ? 'void' : (balanceCOP > 0 ? 'active' : 'depleted'),
+    movements: [...card.movements, movement],
+    updatedAt: now
+  };
+
+  const entry = {
+    entryId: `ACC-${movement.movementId}`,
+    orderId,
+    entryType: 'GIFT_CARD',
+    accountCode: GIFT_CARD_LIABILITY_ACCOUNT,
+    counterAccountCode: type === 'REDEEM' || type === 'CREDIT' ? GIFT_CARD_RECEIVABLE_ACCOUNT : '',
+    description: `${GIFT_CARD_MOVEMENT_LABELS[type]} tarjeta de regalo ${card.code}`,
+    amountCOP: signedAmount,
+    giftCardCode: card.code,
+    giftCardMovement: type,
+    quantity: 1,
+    currency: 'COP',
+    source: 'tarjetas-regalo',
+    happenedAt: movement.at,
+    createdAt: now
+  };
+  upsertAccountingLedgerEntries([entry]);
+  enqueueAccountingSyncMovements([{
+    syncId: `SYNC-${movement.movementId}`,
+    dedupeKey: `GIFT_CARD-${movement.movementId}`,
+    movementType: 'GIFT_CARD',
+    orderId,
+    source: 'giftCards',
+    payload: entry
+  }]);
+
+  return cards[index];
 }
 
-function upsertAccountingLedgerEntries(entries = []) {
-  const ledger = getAccountingLedgerEntries();
+// Emite una tarjeta por unidad comprada; idempotente por orden
+function issueGiftCardsForOrder(order = {}) {
+  const cards = getGiftCards();
+  const alreadyIssued = cards.filter(card => card.orderId === order.orderId);
+  if (alreadyIssued.length) {
+    return alreadyIssued.map(card => card.code);
+  }
 
-  entries.forEach(entry => {
-    const index = ledger.findIndex(item => item.entryId === entry.entryId);
-    if (index >= 0) {
-      ledger[index] = {
-        ...ledger[index],
-        ...entry,
-        updatedAt: new Date().toISOString()
-      };
-    } else {
-      ledger.push({
-        ...entry,
-        status: entry.status || 'PENDING_SYNC'
+  const giftItems = normalizeCartItems(order.items || []).filter(isGiftCardItem);
+  if (!giftItems.length) {
+    return [];
+  }
+
+  const existingCodes = new Set(cards.map(card => card.code));
+  const issuedAt = new Date().toISOString();
+  const issued = [];
+
+  giftItems.forEach(item => {
+    for (let unit = 0; unit < item.quantity; unit += 1) {
+      const code = generateGiftCardCode(existingCodes);
+      existingCodes.add(code);
+      cards.push({
+        code,
+        orderId: order.orderId,
+        initialValueCOP: Number(item.unitPrice) || 0,
+        balanceCOP: 0,
+        recipientName: item.giftCard?.recipientName || '',
+        message: item.giftCard?.message || '',
+        purchaserName: order.customer?.fullName || '',
+        purchaserEmail: order.customer?.email || '',
+        issuedAt,
+        status: 'active',
+        movements: []
+      });
+      recordGiftCardMovement(cards, cards.length - 1, {
+        type: 'ISSUE',
+        amountCOP: Number(item.unitPrice) || 0,
+        orderId: order.orderId,
+        at: issuedAt
       });
+      issued.push(code);
     }
   });
 
-  safeWriteJsonStorage(ACCOUNTING_LEDGER_KEY, ledger);
-  return ledger;
+  safeWriteJsonStorage(GIFT_CARDS_KEY, cards);
+  return issued;
 }
 
-function enqueueAccountingSyncMovements(movements = []) {
-  const queue = getAccountingSyncQueue();
-
-  movements.forEach(movement => {
-    const dedupeKey = String(movement.dedupeKey || movement.syncId || movement.orderId || '').trim();
-    const index = dedupeKey
-      ? queue.findIndex(item => item.dedupeKey === dedupeKey)
-      : -1;
+function evaluateGiftCardCode(code, amountDueCOP = Infinity) {
+  const normalizedCode = normalizeGiftCardCode(code);
+  const rejection = (reason, message) => ({ valid: false, code: normalizedCode, reason, message, balanceCOP: 0, amountCOP: 0 });
 
-    const enriched = {
-      syncId: movement.syncId || `SYNC-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
-      dedupeKey: dedupeKey || movement.syncId,
-      movementType: movement.movementType || 'GENERIC',
-      orderId: movement.orderId || '',
-      payload: movement.payload || {},
-      source: movement.source || 'cyberweb',
-      status: movement.status || 'PENDING',
-      createdAt: movement.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  if (!normalizedCode) {
+    return rejection('empty', 'Ingresa el código de la tarjeta de regalo.');
+  }
 
-    if (index >= 0) {
-      queue[index] = {
-        ...queue[index],
-        ...enriched,
-        status: queue[index].status === 'SYNCED' ? queue[index].status : enriched.status
-      };
-    } else {
-      queue.push(enriched);
-    }
-  });
+  const card = getGiftCards().find(item => item.code === normalizedCode);
+  if (!card) {
+    return rejection('not-found', 'La tarjeta de regalo no existe.');
+  }
 
-  safeWriteJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, queue);
-  return queue;
-}
+  if (card.status === 'void') {
+    return rejection('void', 'Esta tarjeta de regalo fue anulada.');
+  }
 
-function markAccountingMovementSynced(syncId, metadata = {}) {
-  if (!syncId) {
-    return null;
+  if (!(Number(card.balanceCOP) > 0)) {
+    return rejection('depleted', 'Esta tarjeta de regalo ya no tiene saldo.');
   }
 
-  const queue = getAccountingSyncQueue();
-  const index = queue.findIndex(item => item.syncId === syncId);
+  const balanceCOP = Number(card.balanceCOP);
+  const amountCOP = +Math.min(balanceCOP, Math.max(0, Number(amountDueCOP) || 0)).toFixed(2);
+
+  return {
+    valid: true,
+    code: normalizedCode,
+    reason: 'ok',
+    message: `Tarjeta aplicada: -$${formatPrice(amountCOP)} COP · saldo restante $${formatPrice(balanceCOP - amountCOP)} COP`,
+    balanceCOP,
+    amountCOP
+  };
+}
+
+function adjustGiftCardBalance(code, type, amountCOP, orderId, at) {
+  const cards = getGiftCards();
+  const index = cards.findIndex(card => card.code === normalizeGiftCardCode(code));
   if (index < 0) {
     return null;
   }
 
-  queue[index] = {
-    ...queue[index],
-    status: 'SYNCED',
-    syncedAt: new Date().toISOString(),
-    externalReference: metadata.externalReference || queue[index].externalReference || '',
-    response: metadata.response || queue[index].response || null,
-    updatedAt: new Date().toISOString()
-  };
+  const card = recordGiftCardMovement(cards, index, { type, amountCOP, orderId, at });
+  safeWriteJsonStorage(GIFT_CARDS_KEY, cards);
+  return card;
+}
 
-  safeWriteJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, queue);
+// Al cancelar una compra de tarjetas se anula el saldo que no se haya redimido
+function voidGiftCardsForOrder(orderId, at) {
+  const cards = getGiftCards();
+  const voided = [];
 
-  const movement = queue[index];
-  const ledger = getAccountingLedgerEntries();
-  const explicitEntryId = metadata.entryId
-    || movement?.payload?.entryId
-    || movement?.payload?.accountingEntryId
-    || '';
-  const movementType = String(movement?.movementType || '').trim().toUpperCase();
-  const orderId = String(movement?.orderId || '').trim();
-  let ledgerIndex = explicitEntryId
-    ? ledger.findIndex(item => item.entryId === explicitEntryId)
-    : -1;
+  cards.forEach((card, index) => {
+    if (card.orderId === orderId && card.status !== 'void') {
+      recordGiftCardMovement(cards, index, { type: 'VOID', amountCOP: Number(card.balanceCOP) || 0, orderId, at });
+      voided.push(card.code);
+    }
+  });
 
-  if (ledgerIndex < 0 && movementType && orderId) {
-    ledgerIndex = ledger.findIndex(item => String(item.entryType || '').toUpperCase() === movementType && String(item.orderId || '') === orderId);
+  safeWriteJsonStorage(GIFT_CARDS_KEY, cards);
+  return voided;
+}
+
+function getOrderGiftCardAmount(order = {}) {
+  return +normalizeCartItems(order.items || [])
+    .filter(isGiftCardItem)
+    .reduce((acc, item) => acc + (Number.isFinite(item.lineTotal) ? item.lineTotal : 0), 0)
+    .toFixed(2);
+}
+
+// Venta de mercancía neta de descuentos y sin IVA; envío e IVA se contabilizan aparte.
+// Las tarjetas de regalo vendidas no son ingreso: quedan en el pasivo hasta su redención
+function getOrderSaleAmount(order = {}) {
+  const giftCardAmount = getOrderGiftCardAmount(order);
+  const taxBase = Number(order.summary?.taxBase);
+  if (Number.isFinite(taxBase)) {
+    return Math.max(0, taxBase - giftCardAmount);
   }
 
-  if (ledgerIndex >= 0) {
-    ledger[ledgerIndex] = {
-      ...ledger[ledgerIndex],
-      status: 'SYNCED',
-      syncedAt: queue[index].syncedAt,
-      externalReference: queue[index].externalReference || ledger[ledgerIndex].externalReference || '',
-      updatedAt: new Date().toISOString()
-    };
-    safeWriteJsonStorage(ACCOUNTING_LEDGER_KEY, ledger);
-  }
-
-  return queue[index];
+  const subtotal = Number(order.summary?.subtotal) || 0;
+  const discountAmount = Number(order.summary?.discountAmount) || 0;
+  return Math.max(0, subtotal - discountAmount - giftCardAmount);
 }
 
-function getPendingAccountingSyncMovements() {
-  return getAccountingSyncQueue().filter(item => item.status !== 'SYNCED');
+function getOrderTaxAmount(order = {}) {
+  return Number(order.summary?.taxAmount) || 0;
 }
 
-const ACCOUNTING_SYNC_ALLOWED_TYPES = new Set(['SALE', 'INVENTORY_OUT', 'COGS']);
-const ACCOUNTING_SYNC_BRIDGE_DEFAULTS = {
-  endpoint: '',
-  apiKey: '',
-  intervalMs: 2 * 60 * 1000,
-  timeoutMs: 15000,
-  batchSize: 20,
-  runImmediately: true
-};
-
-let accountingSyncBridgeIntervalId = null;
-let accountingSyncBridgeInFlight = false;
-let accountingSyncBridgeState = {
-  isRunning: false,
-  lastRunAt: null,
-  lastResult: null,
-  lastError: null,
-  intervalMs: ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs
-};
-
-function getAccountingSyncBridgeConfig() {
-  return safeReadJsonStorage(ACCOUNTING_SYNC_BRIDGE_CONFIG_KEY, { ...ACCOUNTING_SYNC_BRIDGE_DEFAULTS });
+function getOrderShippingAmount(order = {}) {
+  return Number(order.summary?.shippingAmount) || 0;
 }
 
-function upsertAccountingSyncBridgeConfig(config = {}) {
-  const current = getAccountingSyncBridgeConfig();
-  const normalized = {
-    ...current,
-    ...config,
-    endpoint: String(config.endpoint ?? current.endpoint ?? '').trim(),
-    apiKey: String(config.apiKey ?? current.apiKey ?? '').trim(),
-    intervalMs: Math.max(15000, Number(config.intervalMs ?? current.intervalMs ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs),
-    timeoutMs: Math.max(3000, Number(config.timeoutMs ?? current.timeoutMs ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs),
-    batchSize: Math.max(1, Number(config.batchSize ?? current.batchSize ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.batchSize) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.batchSize),
-    runImmediately: config.runImmediately === undefined ? (current.runImmediately ?? true) : Boolean(config.runImmediately)
-  };
-
-  safeWriteJsonStorage(ACCOUNTING_SYNC_BRIDGE_CONFIG_KEY, normalized);
-  return normalized;
+function getOrderTotalAmount(order = {}) {
+  const total = Number(order.summary?.total);
+  return Number.isFinite(total) ? total : getOrderSaleAmount(order) + getOrderShippingAmount(order);
 }
 
-function resolveAccountingSyncBridgeConfig(options = {}) {
-  return upsertAccountingSyncBridgeConfig({
-    ...ACCOUNTING_SYNC_BRIDGE_DEFAULTS,
-    ...getAccountingSyncBridgeConfig(),
-    ...options
+function buildOrderPayload({ customer = {}, cart = [], paymentMethod = '', discountCode = '', giftCardCode = '', shippingAddress = {} } = {}) {
+  const normalizedCart = normalizeCartItems(cart);
+  const requestedDiscountCode = normalizeDiscountCode(pickFirstDefined(discountCode, customer.discountCode, ''));
+  const customerEmail = pickFirstDefined(customer.email, customer.correo, '');
+  const totals = computeCartTotals(normalizedCart, {
+    discountCode: requestedDiscountCode,
+    customerEmail,
+    shippingAddress: normalizeShippingAddress(shippingAddress),
+    giftCardCode: normalizeGiftCardCode(giftCardCode)
   });
-}
+  const estimatedMargin = totals.taxBase && Number.isFinite(totals.estimatedCost)
+    ? totals.taxBase - totals.estimatedCost
+    : null;
+  const orderId = `CW-${Date.now().toString(36).toUpperCase()}`;
+  const discount = totals.discount
+    ? {
+        code: totals.discount.code,
+        valid: totals.discount.valid,
+        reason: totals.discount.reason,
+        type: totals.discount.rule?.type || null,
+        value: totals.discount.rule?.value ?? null,
+        categories: totals.discount.rule?.categories || [],
+        eligibleSubtotal: totals.discount.eligibleSubtotal,
+        amountCOP: totals.discount.amountCOP
+      }
+    : null;
 
-function shouldSyncMovement(movement) {
-  const movementType = String(movement?.movementType || '').trim().toUpperCase();
-  return ACCOUNTING_SYNC_ALLOWED_TYPES.has(movementType);
+  return {
+    orderId,
+    createdAt: new Date().toISOString(),
+    source: 'cyberweb-checkout',
+    flowStatus: 'CREADA',
+    currency: 'COP',
+    customer: {
+      fullName: pickFirstDefined(customer.fullName, customer.nombre, ''),
+      email: customerEmail,
+      phone: pickFirstDefined(customer.phone, customer.celular, ''),
+      discountCode: requestedDiscountCode
+    },
+    paymentMethod: pickFirstDefined(paymentMethod, customer.paymentMethod, ''),
+    discount,
+    giftCard: totals.giftCard
+      ? {
+          code: totals.giftCard.code,
+          valid: totals.giftCard.valid,
+          reason: totals.giftCard.reason,
+          amountCOP: totals.giftCard.amountCOP
+        }
+      : null,
+    shipping: {
+      ...totals.shipping.address,
+      zoneCode: totals.shipping.zoneCode,
+      zoneLabel: totals.shipping.zoneLabel,
+      rateCOP: totals.shipping.rateCOP,
+      freeShippingFromCOP: totals.shipping.freeShippingFromCOP,
+      isFree: totals.shipping.isFree,
+      amountCOP: totals.shipping.amountCOP,
+      etaDays: totals.shipping.etaDays
+    },
+    tax: totals.tax,
+    summary: {
+      quantity: totals.quantity,
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxBase: totals.taxBase,
+      taxAmount: totals.taxAmount,
+      shippingAmount: totals.shippingAmount,
+      total: totals.total,
+      giftCardAmount: totals.giftCardAmount,
+      amountDue: totals.amountDue,
+      estimatedCost: totals.estimatedCost || null,
+      estimatedMargin
+    },
+    inventory: {
+      status: 'pending',
+      movementType: 'sale-reservation',
+      lines: normalizedCart.map(item => ({
+        sku: item.sku,
+        baseSku: item.baseSku,
+        variant: item.variant,
+        name: item.name,
+        category: item.category,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        unitCost: item.unitCost,
+        reserved: true
+      }))
+    },
+    production: {
+      status: 'pending',
+      lineCount: normalizedCart.length,
+      needsBomReview: normalizedCart.some(item => !item.sku)
+    },
+    items: normalizedCart
+  };
 }
 
-async function sendAccountingMovementToEndpoint(movement, config = {}) {
-  const endpoint = String(config.endpoint || '').trim();
-  if (!endpoint) {
-    return {
-      ok: false,
-      syncId: movement.syncId,
-      error: 'missing-endpoint'
-    };
+function hashString(input) {
+  const text = String(input || '');
+  let hash = 2166136261;
+
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.codePointAt(i) || 0;
+    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
   }
 
-  const controller = typeof AbortController === 'function' ? new AbortController() : null;
-  const timeoutId = controller
-    ? setTimeout(() => controller.abort(), Math.max(3000, Number(config.timeoutMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs))
-    : null;
+  return (hash >>> 0).toString(36).toUpperCase();
+}
 
-  try {
-    const requestPayload = {
-      source: 'cyberweb',
-      sentAt: new Date().toISOString(),
-      movement
-    };
+function createCheckoutFingerprint(orderPayload) {
+  const itemsSignature = normalizeCartItems(orderPayload.items || []).map(item => [
+    item.sku,
+    item.name,
+    item.variant?.key || '',
+    item.quantity,
+    item.unitPrice,
+    item.unitCost
+  ].join(':')).join('|');
 
-    if (config.apiKey) {
-      requestPayload.apiKey = config.apiKey;
-    }
+  const customerSignature = [
+    orderPayload.customer?.fullName || '',
+    orderPayload.customer?.email || '',
+    orderPayload.customer?.phone || '',
+    orderPayload.paymentMethod || '',
+    orderPayload.customer?.discountCode || '',
+    orderPayload.giftCard?.code || '',
+    orderPayload.shipping?.department || '',
+    orderPayload.shipping?.city || '',
+    orderPayload.shipping?.address || ''
+  ].join('|');
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestPayload),
-      signal: controller ? controller.signal : undefined
-    });
+  const numericSignature = [
+    orderPayload.summary?.subtotal || 0,
+    orderPayload.summary?.discountAmount || 0,
+    orderPayload.summary?.shippingAmount || 0,
+    orderPayload.summary?.quantity || 0,
+    orderPayload.summary?.estimatedCost || 0,
+    orderPayload.summary?.estimatedMargin || 0
+  ].join('|');
 
-    let payload = null;
-    try {
-      payload = await response.json();
-    } catch {
-      payload = null;
-    }
+  return `CHK-${hashString([customerSignature, itemsSignature, numericSignature].join('::'))}`;
+}
 
-    if (!response.ok) {
-      return {
-        ok: false,
-        syncId: movement.syncId,
-        status: response.status,
-        payload,
-        error: `http-${response.status}`
-      };
-    }
+function getCheckoutSubmissionRegistry() {
+  return safeReadJsonStorage(CHECKOUT_SUBMISSIONS_KEY, []);
+}
 
-    if (payload?.ok === false) {
-      return {
-        ok: false,
-        syncId: movement.syncId,
-        payload,
-        error: payload?.error || 'erp-rejected'
-      };
-    }
+function upsertCheckoutSubmissionRegistry(entry) {
+  const registry = getCheckoutSubmissionRegistry();
+  const index = registry.findIndex(item => item.submissionFingerprint === entry.submissionFingerprint);
 
-    const externalReference = String(
-      payload?.externalReference
-      || payload?.erpId
-      || payload?.id
-      || payload?.movementId
-      || `ERP-${movement.syncId}`
-    );
+  if (index >= 0) {
+    registry[index] = { ...registry[index], ...entry };
+  } else {
+    registry.push(entry);
+  }
 
-    const entryId = movement?.payload?.entryId || movement?.payload?.accountingEntryId || '';
-    markAccountingMovementSynced(movement.syncId, {
-      entryId,
-      externalReference,
-      response: payload || { ok: true }
-    });
+  safeWriteJsonStorage(CHECKOUT_SUBMISSIONS_KEY, registry);
+  return entry;
+}
 
-    return {
-      ok: true,
-      syncId: movement.syncId,
-      externalReference,
-      payload
-    };
-  } catch (error) {
-    return {
-      ok: false,
-      syncId: movement.syncId,
-      error: error?.name === 'AbortError' ? 'timeout' : String(error?.message || error)
-    };
-  } finally {
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-    }
-  }
+function findCheckoutSubmissionByFingerprint(submissionFingerprint) {
+  return getCheckoutSubmissionRegistry().find(item => item.submissionFingerprint === submissionFingerprint) || null;
 }
 
-async function syncPendingAccountingMovements(options = {}) {
-  const config = resolveAccountingSyncBridgeConfig(options);
-  if (!config.endpoint) {
+function registerCheckoutSubmission(orderPayload, metadata = {}) {
+  const submissionFingerprint = metadata.submissionFingerprint || orderPayload.checkoutFingerprint || createCheckoutFingerprint(orderPayload);
+  const existing = findCheckoutSubmissionByFingerprint(submissionFingerprint);
+  const now = new Date().toISOString();
+
+  if (existing?.status === 'submitted') {
     return {
-      ok: false,
-      reason: 'missing-endpoint',
-      attempted: 0,
-      synced: 0,
-      failed: 0,
-      failures: []
+      ...existing,
+      isDuplicate: true,
+      orderPayload: null
     };
   }
 
-  const pending = getPendingAccountingSyncMovements()
-    .filter(shouldSyncMovement)
-    .sort((a, b) => new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime())
-    .slice(0, config.batchSize);
-
-  const failures = [];
+  const registryEntry = {
+    submissionFingerprint,
+    orderId: orderPayload.orderId,
+    status: 'pending',
+    createdAt: existing?.createdAt || now,
+    lastAttemptAt: now,
+    submittedAt: existing?.submittedAt || null,
+    customerEmail: orderPayload.customer?.email || '',
+    total: getOrderTotalAmount(orderPayload),
+    paymentMethod: orderPayload.paymentMethod || '',
+    itemCount: orderPayload.items?.length || 0
+  };
+
+  upsertCheckoutSubmissionRegistry(registryEntry);
+
+  return {
+    ...registryEntry,
+    isDuplicate: false,
+    orderPayload
+  };
+}
+
+function markCheckoutSubmissionCompleted(submissionFingerprint, orderId, centralRecordId = '') {
+  const current = findCheckoutSubmissionByFingerprint(submissionFingerprint);
+  if (!current) {
+    return null;
+  }
+
+  const completed = {
+    ...current,
+    orderId: orderId || current.orderId,
+    centralRecordId,
+    status: 'submitted',
+    submittedAt: new Date().toISOString()
+  };
+
+  upsertCheckoutSubmissionRegistry(completed);
+
+  // Con el pedido ya confirmado (envío directo o reenvío desde la cola) se descuenta la tarjeta de regalo
+  const order = safeReadJsonStorage(ORDER_STORAGE_KEY, []).find(item => item.orderId === completed.orderId);
+  if (order?.giftCard) {
+    redeemCheckoutGiftCard({ orderId: order.orderId, giftCard: order.giftCard, createdAt: order.createdAt });
+  }
+  return completed;
+}
+
+function buildCheckoutSubmissionEnvelope({ customer = {}, cart = [], paymentMethod = '', discountCode = '', giftCardCode = '', shippingAddress = {} } = {}) {
+  const orderPayload = buildOrderPayload({ customer, cart, paymentMethod, discountCode, giftCardCode, shippingAddress });
+  const submissionFingerprint = createCheckoutFingerprint(orderPayload);
+  const existing = findCheckoutSubmissionByFingerprint(submissionFingerprint);
+
+  if (existing?.status === 'submitted' || existing?.status === 'queued') {
+    return {
+      submissionFingerprint,
+      orderPayload: null,
+      inventoryPayload: null,
+      salePayload: null,
+      registryRecord: existing,
+      isDuplicate: true
+    };
+  }
+
+  if (existing?.status === 'pending' && existing.orderId) {
+    orderPayload.orderId = existing.orderId;
+    orderPayload.createdAt = existing.createdAt || orderPayload.createdAt;
+  }
+
+  const registryRecord = registerCheckoutSubmission(orderPayload, { submissionFingerprint });
+
+  if (registryRecord.isDuplicate) {
+    return {
+      submissionFingerprint,
+      orderPayload: null,
+      inventoryPayload: null,
+      salePayload: null,
+      registryRecord,
+      isDuplicate: true
+    };
+  }
+
+  orderPayload.checkoutFingerprint = submissionFingerprint;
+  orderPayload.checkoutSource = 'cyberweb-checkout';
+  orderPayload.checkoutCentralState = 'PENDING';
+  orderPayload.inventory = {
+    ...orderPayload.inventory,
+    reservationId: submissionFingerprint,
+    deduplicationKey: submissionFingerprint,
+    status: 'reserved',
+    lines: orderPayload.inventory.lines.map(line => ({
+      ...line,
+      reserved: true,
+      reservationId: submissionFingerprint
+    }))
+  };
+  orderPayload.sale = {
+    orderId: orderPayload.orderId,
+    subtotal: orderPayload.summary.subtotal,
+    discountAmount: orderPayload.summary.discountAmount,
+    taxBase: orderPayload.summary.taxBase,
+    taxAmount: orderPayload.summary.taxAmount,
+    shippingAmount: orderPayload.summary.shippingAmount,
+    total: orderPayload.summary.total,
+    quantity: orderPayload.summary.quantity,
+    paymentMethod: orderPayload.paymentMethod,
+    discountCode: orderPayload.discount?.valid ? orderPayload.discount.code : '',
+    currency: orderPayload.currency,
+    estimatedCost: orderPayload.summary.estimatedCost,
+    estimatedMargin: orderPayload.summary.estimatedMargin
+  };
+  orderPayload.checkout = {
+    submissionFingerprint,
+    idempotencyKey: submissionFingerprint,
+    status: 'PENDING',
+    submittedAt: registryRecord.createdAt,
+    retryCount: registryRecord.status === 'pending' ? 1 : 0
+  };
+
+  const inventoryPayload = {
+    orderId: orderPayload.orderId,
+    reservationId: submissionFingerprint,
+    status: 'reserved',
+    movementType: 'sale-reservation',
+    totalQuantity: orderPayload.summary.quantity,
+    total: orderPayload.summary.total,
+    lines: orderPayload.inventory.lines,
+    theoreticalConsumption: computeTheoreticalConsumption(orderPayload.items)
+  };
+
+  const salePayload = {
+    orderId: orderPayload.orderId,
+    customer: orderPayload.customer,
+    paymentMethod: orderPayload.paymentMethod,
+    shipping: orderPayload.shipping,
+    tax: orderPayload.tax,
+    subtotal: orderPayload.summary.subtotal,
+    discountAmount: orderPayload.summary.discountAmount,
+    taxBase: orderPayload.summary.taxBase,
+    taxAmount: orderPayload.summary.taxAmount,
+    shippingAmount: orderPayload.summary.shippingAmount,
+    total: orderPayload.summary.total,
+    giftCardCode: orderPayload.giftCard?.valid ? orderPayload.giftCard.code : '',
+    giftCardAmount: orderPayload.summary.giftCardAmount,
+    amountDue: orderPayload.summary.amountDue,
+    quantity: orderPayload.summary.quantity,
+    discountCode: orderPayload.discount?.valid ? orderPayload.discount.code : '',
+    currency: orderPayload.currency,
+    estimatedCost: orderPayload.summary.estimatedCost,
+    estimatedMargin: orderPayload.summary.estimatedMargin,
+    itemCount: orderPayload.items.length
+  };
+
+  return {
+    submissionFingerprint,
+    orderPayload,
+    inventoryPayload,
+    salePayload,
+    registryRecord,
+    isDuplicate: false
+  };
+}
+
+const CHECKOUT_RESUBMISSION_DEFAULTS = {
+  baseDelayMs: 15000,
+  maxDelayMs: 15 * 60 * 1000,
+  maxAttempts: 12,
+  timeoutMs: 20000
+};
+
+let checkoutResubmissionTimerId = null;
+let checkoutResubmissionInFlight = false;
+let checkoutResubmissionWorkerStarted = false;
+
+function getCheckoutResubmissionQueue() {
+  return safeReadJsonStorage(CHECKOUT_RESUBMISSION_QUEUE_KEY, []);
+}
+
+function computeCheckoutResubmissionDelay(attempts = 0) {
+  const exponential = CHECKOUT_RESUBMISSION_DEFAULTS.baseDelayMs * (2 ** Math.max(0, attempts - 1));
+  const capped = Math.min(CHECKOUT_RESUBMISSION_DEFAULTS.maxDelayMs, exponential);
+  return Math.round(capped * (0.85 + Math.random() * 0.3));
+}
+
+function upsertCheckoutResubmission(entry) {
+  const queue = getCheckoutResubmissionQueue();
+  const index = queue.findIndex(item => item.submissionFingerprint === entry.submissionFingerprint);
+
+  if (index >= 0) {
+    queue[index] = { ...queue[index], ...entry, updatedAt: new Date().toISOString() };
+  } else {
+    queue.push({ ...entry, updatedAt: new Date().toISOString() });
+  }
+
+  safeWriteJsonStorage(CHECKOUT_RESUBMISSION_QUEUE_KEY, queue);
+  return index >= 0 ? queue[index] : queue[queue.length - 1];
+}
+
+// Guarda el envelope completo y los campos del formulario; el fingerprint es la llave de idempotencia
+function enqueueCheckoutResubmission({ endpoint = '', fields = {}, envelope = null, whatsappMessage = '', error = '' } = {}) {
+  const submissionFingerprint = envelope?.submissionFingerprint || fields.submissionFingerprint || '';
+  if (!submissionFingerprint || !endpoint) {
+    return null;
+  }
+
+  const existing = getCheckoutResubmissionQueue().find(item => item.submissionFingerprint === submissionFingerprint);
+  if (existing?.status === 'submitted') {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const orderId = envelope?.orderPayload?.orderId || fields.orderId || '';
+  const queuedFields = {
+    ...fields,
+    checkoutStatus: 'QUEUED'
+  };
+
+  const registryRecord = findCheckoutSubmissionByFingerprint(submissionFingerprint);
+  if (registryRecord) {
+    upsertCheckoutSubmissionRegistry({
+      ...registryRecord,
+      status: 'queued',
+      queuedAt: registryRecord.queuedAt || now,
+      lastError: String(error || '')
+    });
+  }
+
+  const entry = upsertCheckoutResubmission({
+    submissionFingerprint,
+    orderId,
+    endpoint,
+    fields: queuedFields,
+    envelope,
+    whatsappMessage,
+    status: 'queued',
+    attempts: existing?.attempts || 0,
+    lastError: String(error || ''),
+    queuedAt: existing?.queuedAt || now,
+    nextAttemptAt: new Date(Date.now() + computeCheckoutResubmissionDelay(1)).toISOString()
+  });
+
+  scheduleCheckoutResubmission();
+  return entry;
+}
+
+async function sendCheckoutResubmission(entry) {
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timeoutId = controller
+    ? setTimeout(() => controller.abort(), CHECKOUT_RESUBMISSION_DEFAULTS.timeoutMs)
+    : null;
+
+  try {
+    const body = new FormData();
+    Object.entries(entry.fields || {}).forEach(([key, value]) => body.append(key, value));
+    body.append('checkoutRetryAttempt', String((entry.attempts || 0) + 1));
+
+    const response = await fetch(entry.endpoint, {
+      method: 'POST',
+      body,
+      signal: controller ? controller.signal : undefined
+    });
+
+    return response.ok
+      ? { ok: true }
+      : { ok: false, error: `http-${response.status}` };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error?.name === 'AbortError' ? 'timeout' : String(error?.message || error)
+    };
+  } finally {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+async function processCheckoutResubmissionQueue(options = {}) {
+  if (checkoutResubmissionInFlight) {
+    return { ok: false, skipped: true, reason: 'in-flight' };
+  }
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return { ok: false, skipped: true, reason: 'offline' };
+  }
+
+  checkoutResubmissionInFlight = true;
+  const now = Date.now();
+  const result = { ok: true, attempted: 0, submitted: 0, failed: 0 };
+
+  try {
+    const due = getCheckoutResubmissionQueue().filter(entry => {
+      if (entry.status !== 'queued' && !(options.force && entry.status === 'failed')) {
+        return false;
+      }
+
+      return options.force || new Date(entry.nextAttemptAt || 0).getTime() <= now;
+    });
+
+    for (const entry of due) {
+      // Si otro intento ya confirmó el fingerprint, nunca se reenvía
+      if (findCheckoutSubmissionByFingerprint(entry.submissionFingerprint)?.status === 'submitted') {
+        upsertCheckoutResubmission({ ...entry, status: 'submitted' });
+        continue;
+      }
+
+      result.attempted += 1;
+      const attempts = (entry.attempts || 0) + 1;
+      const response = await sendCheckoutResubmission(entry);
+
+      if (response.ok) {
+        result.submitted += 1;
+        markCheckoutSubmissionCompleted(entry.submissionFingerprint, entry.orderId, entry.orderId);
+        const submitted = upsertCheckoutResubmission({
+          ...entry,
+          status: 'submitted',
+          attempts,
+          lastError: '',
+          submittedAt: new Date().toISOString()
+        });
+
+        try {
+          globalThis.dispatchEvent(new CustomEvent('cyberduck:checkout-resubmitted', { detail: submitted }));
+        } catch (error) {
+          console.warn('No se pudo notificar el reenvío del pedido:', error);
+        }
+      } else {
+        result.failed += 1;
+        upsertCheckoutResubmission({
+          ...entry,
+          status: attempts >= CHECKOUT_RESUBMISSION_DEFAULTS.maxAttempts ? 'failed' : 'queued',
+          attempts,
+          lastError: response.error,
+          nextAttemptAt: new Date(Date.now() + computeCheckoutResubmissionDelay(attempts + 1)).toISOString()
+        });
+      }
+    }
+  } finally {
+    checkoutResubmissionInFlight = false;
+  }
+
+  result.ok = result.failed === 0;
+  scheduleCheckoutResubmission();
+  return result;
+}
+
+function scheduleCheckoutResubmission() {
+  if (checkoutResubmissionTimerId) {
+    clearTimeout(checkoutResubmissionTimerId);
+    checkoutResubmissionTimerId = null;
+  }
+
+  const nextAttempt = getCheckoutResubmissionQueue()
+    .filter(entry => entry.status === 'queued')
+    .map(entry => new Date(entry.nextAttemptAt || 0).getTime())
+    .sort((a, b) => a - b)[0];
+
+  if (nextAttempt === undefined) {
+    return null;
+  }
+
+  const delay = Math.max(1000, nextAttempt - Date.now());
+  checkoutResubmissionTimerId = setTimeout(() => {
+    processCheckoutResubmissionQueue().catch(error => {
+      console.warn('Error reenviando pedidos en cola:', error);
+    });
+  }, delay);
+
+  return delay;
+}
+
+function acknowledgeCheckoutResubmission(submissionFingerprint) {
+  const queue = getCheckoutResubmissionQueue();
+  const remaining = queue.filter(entry => !(entry.submissionFingerprint === submissionFingerprint && entry.status === 'submitted'));
+  safeWriteJsonStorage(CHECKOUT_RESUBMISSION_QUEUE_KEY, remaining);
+  return remaining;
+}
+
+function startCheckoutResubmissionWorker() {
+  if (checkoutResubmissionWorkerStarted) {
+    return false;
+  }
+
+  checkoutResubmissionWorkerStarted = true;
+  globalThis.addEventListener('online', () => {
+    processCheckoutResubmissionQueue({ force: true }).catch(error => {
+      console.warn('Error reenviando pedidos al recuperar conexión:', error);
+    });
+  });
+
+  processCheckoutResubmissionQueue().catch(error => {
+    console.warn('Error reenviando pedidos en cola:', error);
+  });
+  return true;
+}
+
+function safeReadJsonStorage(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`No se pudo leer ${key}:`, error);
+    return fallback;
+  }
+}
+
+function safeWriteJsonStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`No se pudo escribir ${key}:`, error);
+  }
+}
+
+function getAccountingLedgerEntries() {
+  return safeReadJsonStorage(ACCOUNTING_LEDGER_KEY, []);
+}
+
+function getAccountingSyncQueue() {
+  return safeReadJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, []);
+}
+
+function getOrderInventoryOutCost(order = {}) {
+  const movements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+  const orderId = String(order.orderId || '').trim();
+  if (!orderId) {
+    return 0;
+  }
+
+  const total = movements
+    .filter(line => String(line.orderId || '').trim() === orderId)
+    .reduce((acc, line) => {
+      const explicit = Number(line.materialCostImpact);
+      if (Number.isFinite(explicit)) {
+        return acc + explicit;
+      }
+
+      const used = Number(line.actualSolidUsed) || 0;
+      const unitCost = Number(line.estimatedUnitCostCOP) || 0;
+      return acc + (used * unitCost);
+    }, 0);
+
+  return +total.toFixed(2);
+}
+
+function buildAccountingEntriesFromOrder(order = {}, options = {}) {
+  const orderId = String(order.orderId || '').trim();
+  if (!orderId) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const saleAmount = getOrderSaleAmount(order);
+  const shippingAmount = getOrderShippingAmount(order);
+  const taxAmount = getOrderTaxAmount(order);
+  const discountAmount = Number(order.summary?.discountAmount) || 0;
+  const quantity = Number(order.summary?.quantity) || 0;
+  const kpis = options.kpis || order.closeSummary?.kpis || null;
+  const cogsAmount = Number(kpis?.margin?.totalCost)
+    || Number(order.closeSummary?.actualCost)
+    || Number(order.summary?.estimatedCost)
+    || getOrderInventoryOutCost(order);
+  const inventoryOutCost = getOrderInventoryOutCost(order);
+
+  const entries = [
+    {
+      entryId: `ACC-${orderId}-SALE`,
+      orderId,
+      entryType: 'SALE',
+      accountCode: '413000-VENTAS',
+      description: `Venta orden ${orderId}`,
+      amountCOP: +saleAmount.toFixed(2),
+      grossAmountCOP: +(Number(order.summary?.subtotal) || saleAmount).toFixed(2),
+      discountCOP: +discountAmount.toFixed(2),
+      discountCode: order.discount?.valid ? order.discount.code : '',
+      taxableBaseCOP: +(Number(order.tax?.taxableBaseCOP) || 0).toFixed(2),
+      exemptBaseCOP: +(Number(order.tax?.exemptBaseCOP) || 0).toFixed(2),
+      excludedBaseCOP: +(Number(order.tax?.excludedBaseCOP) || 0).toFixed(2),
+      quantity,
+      currency: order.currency || 'COP',
+      source: 'checkout',
+      happenedAt: options.happenedAt || order.createdAt || now,
+      createdAt: now
+    },
+    {
+      entryId: `ACC-${orderId}-INVOUT`,
+      orderId,
+      entryType: 'INVENTORY_OUT',
+      accountCode: '143500-INVENTARIO-SALIDA',
+      description: `Salida inventario orden ${orderId}`,
+      amountCOP: +inventoryOutCost.toFixed(2),
+      quantity,
+      currency: order.currency || 'COP',
+      source: 'produccion',
+      happenedAt: options.happenedAt || order.closeSummary?.closedAt || now,
+      createdAt: now
+    },
+    {
+      entryId: `ACC-${orderId}-COGS`,
+      orderId,
+      entryType: 'COGS',
+      accountCode: '613500-COSTO-VENTAS',
+      description: `Costo de ventas orden ${orderId}`,
+      amountCOP: +Number(cogsAmount || 0).toFixed(2),
+      quantity,
+      currency: order.currency || 'COP',
+      source: 'kpi-close',
+      happenedAt: options.happenedAt || order.closeSummary?.closedAt || now,
+      createdAt: now
+    }
+  ];
+
+  if (taxAmount > 0) {
+    entries.push({
+      entryId: `ACC-${orderId}-VAT`,
+      orderId,
+      entryType: 'VAT',
+      accountCode: '240800-IVA-POR-PAGAR',
+      description: `IVA generado orden ${orderId}`,
+      amountCOP: +taxAmount.toFixed(2),
+      taxableBaseCOP: +(Number(order.tax?.taxableBaseCOP) || 0).toFixed(2),
+      breakdown: (order.tax?.breakdown || []).filter(group => group.regime === 'gravado'),
+      quantity,
+      currency: order.currency || 'COP',
+      source: 'checkout',
+      happenedAt: options.happenedAt || order.createdAt || now,
+      createdAt: now
+    });
+  }
+
+  if (shippingAmount > 0) {
+    entries.push({
+      entryId: `ACC-${orderId}-SHIPPING`,
+      orderId,
+      entryType: 'SHIPPING',
+      accountCode: '414500-INGRESOS-ENVIO',
+      description: `Ingreso por envío orden ${orderId}`,
+      amountCOP: +shippingAmount.toFixed(2),
+      shippingZone: order.shipping?.zoneCode || '',
+      quantity: 1,
+      currency: order.currency || 'COP',
+      source: 'checkout',
+      happenedAt: options.happenedAt || order.createdAt || now,
+      createdAt: now
+    });
+  }
+
+  return entries;
+}
+
+function upsertAccountingLedgerEntries(entries = []) {
+  const ledger = getAccountingLedgerEntries();
+
+  entries.forEach(entry => {
+    const index = ledger.findIndex(item => item.entryId === entry.entryId);
+    if (index >= 0) {
+      ledger[index] = {
+        ...ledger[index],
+        ...entry,
+        updatedAt: new Date().toISOString()
+      };
+    } else {
+      ledger.push({
+        ...entry,
+        status: entry.status || 'PENDING_SYNC'
+      });
+    }
+  });
+
+  safeWriteJsonStorage(ACCOUNTING_LEDGER_KEY, ledger);
+  return ledger;
+}
+
+function enqueueAccountingSyncMovements(movements = []) {
+  const queue = getAccountingSyncQueue();
+
+  movements.forEach(movement => {
+    const dedupeKey = String(movement.dedupeKey || movement.syncId || movement.orderId || '').trim();
+    const index = dedupeKey
+      ? queue.findIndex(item => item.dedupeKey === dedupeKey)
+      : -1;
+
+    const enriched = {
+      syncId: movement.syncId || `SYNC-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
+      dedupeKey: dedupeKey || movement.syncId,
+      movementType: movement.movementType || 'GENERIC',
+      orderId: movement.orderId || '',
+      payload: movement.payload || {},
+      source: movement.source || 'cyberweb',
+      status: movement.status || 'PENDING',
+      createdAt: movement.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (index >= 0) {
+      queue[index] = {
+        ...queue[index],
+        ...enriched,
+        status: queue[index].status === 'SYNCED' ? queue[index].status : enriched.status
+      };
+    } else {
+      queue.push(enriched);
+    }
+  });
+
+  safeWriteJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, queue);
+  return queue;
+}
+
+function markAccountingMovementSynced(syncId, metadata = {}) {
+  if (!syncId) {
+    return null;
+  }
+
+  const queue = getAccountingSyncQueue();
+  const index = queue.findIndex(item => item.syncId === syncId);
+  if (index < 0) {
+    return null;
+  }
+
+  queue[index] = {
+    ...queue[index],
+    status: 'SYNCED',
+    syncedAt: new Date().toISOString(),
+    externalReference: metadata.externalReference || queue[index].externalReference || '',
+    response: metadata.response || queue[index].response || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  safeWriteJsonStorage(ACCOUNTING_SYNC_QUEUE_KEY, queue);
+
+  const movement = queue[index];
+  const ledger = getAccountingLedgerEntries();
+  const explicitEntryId = metadata.entryId
+    || movement?.payload?.entryId
+    || movement?.payload?.accountingEntryId
+    || '';
+  const movementType = String(movement?.movementType || '').trim().toUpperCase();
+  const orderId = String(movement?.orderId || '').trim();
+  let ledgerIndex = explicitEntryId
+    ? ledger.findIndex(item => item.entryId === explicitEntryId)
+    : -1;
+
+  if (ledgerIndex < 0 && movementType && orderId) {
+    ledgerIndex = ledger.findIndex(item => String(item.entryType || '').toUpperCase() === movementType && String(item.orderId || '') === orderId);
+  }
+
+  if (ledgerIndex >= 0) {
+    ledger[ledgerIndex] = {
+      ...ledger[ledgerIndex],
+      status: 'SYNCED',
+      syncedAt: queue[index].syncedAt,
+      externalReference: queue[index].externalReference || ledger[ledgerIndex].externalReference || '',
+      updatedAt: new Date().toISOString()
+    };
+    safeWriteJsonStorage(ACCOUNTING_LEDGER_KEY, ledger);
+  }
+
+  return queue[index];
+}
+
+function getPendingAccountingSyncMovements() {
+  return getAccountingSyncQueue().filter(item => item.status !== 'SYNCED');
+}
+
+const ACCOUNTING_SYNC_ALLOWED_TYPES = new Set(['SALE', 'VAT', 'SHIPPING', 'INVENTORY_OUT', 'COGS', 'PAYMENT', 'REFUND', 'SCRAP', 'GIFT_CARD']);
+const ACCOUNTING_SYNC_BRIDGE_DEFAULTS = {
+  endpoint: '',
+  apiKey: '',
+  intervalMs: 2 * 60 * 1000,
+  timeoutMs: 15000,
+  batchSize: 20,
+  runImmediately: true
+};
+
+let accountingSyncBridgeIntervalId = null;
+let accountingSyncBridgeInFlight = false;
+let accountingSyncBridgeState = {
+  isRunning: false,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null,
+  intervalMs: ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs
+};
+
+function getAccountingSyncBridgeConfig() {
+  return safeReadJsonStorage(ACCOUNTING_SYNC_BRIDGE_CONFIG_KEY, { ...ACCOUNTING_SYNC_BRIDGE_DEFAULTS });
+}
+
+function upsertAccountingSyncBridgeConfig(config = {}) {
+  const current = getAccountingSyncBridgeConfig();
+  const normalized = {
+    ...current,
+    ...config,
+    endpoint: String(config.endpoint ?? current.endpoint ?? '').trim(),
+    apiKey: String(config.apiKey ?? current.apiKey ?? '').trim(),
+    intervalMs: Math.max(15000, Number(config.intervalMs ?? current.intervalMs ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.intervalMs),
+    timeoutMs: Math.max(3000, Number(config.timeoutMs ?? current.timeoutMs ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs),
+    batchSize: Math.max(1, Number(config.batchSize ?? current.batchSize ?? ACCOUNTING_SYNC_BRIDGE_DEFAULTS.batchSize) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.batchSize),
+    runImmediately: config.runImmediately === undefined ? (current.runImmediately ?? true) : Boolean(config.runImmediately)
+  };
+
+  safeWriteJsonStorage(ACCOUNTING_SYNC_BRIDGE_CONFIG_KEY, normalized);
+  return normalized;
+}
+
+function resolveAccountingSyncBridgeConfig(options = {}) {
+  return upsertAccountingSyncBridgeConfig({
+    ...ACCOUNTING_SYNC_BRIDGE_DEFAULTS,
+    ...getAccountingSyncBridgeConfig(),
+    ...options
+  });
+}
+
+function shouldSyncMovement(movement) {
+  const movementType = String(movement?.movementType || '').trim().toUpperCase();
+  return ACCOUNTING_SYNC_ALLOWED_TYPES.has(movementType);
+}
+
+async function sendAccountingMovementToEndpoint(movement, config = {}) {
+  const endpoint = String(config.endpoint || '').trim();
+  if (!endpoint) {
+    return {
+      ok: false,
+      syncId: movement.syncId,
+      error: 'missing-endpoint'
+    };
+  }
+
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timeoutId = controller
+    ? setTimeout(() => controller.abort(), Math.max(3000, Number(config.timeoutMs) || ACCOUNTING_SYNC_BRIDGE_DEFAULTS.timeoutMs))
+    : null;
+
+  try {
+    const requestPayload = {
+      source: 'cyberweb',
+      sentAt: new Date().toISOString(),
+      movement
+    };
+
+    if (config.apiKey) {
+      requestPayload.apiKey = config.apiKey;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestPayload),
+      signal: controller ? controller.signal : undefined
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      payload = null;
+    }
+
+    if (!response.ok) {
+      return {
+        ok: false,
+        syncId: movement.syncId,
+        status: response.status,
+        payload,
+        error: `http-${response.status}`
+      };
+    }
+
+    if (payload?.ok === false) {
+      return {
+        ok: false,
+        syncId: movement.syncId,
+        payload,
+        error: payload?.error || 'erp-rejected'
+      };
+    }
+
+    const externalReference = String(
+      payload?.externalReference
+      || payload?.erpId
+      || payload?.id
+      || payload?.movementId
+      || `ERP-${movement.syncId}`
+    );
+
+    const entryId = movement?.payload?.entryId || movement?.payload?.accountingEntryId || '';
+    markAccountingMovementSynced(movement.syncId, {
+      entryId,
+      externalReference,
+      response: payload || { ok: true }
+    });
+
+    return {
+      ok: true,
+      syncId: movement.syncId,
+      externalReference,
+      payload
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      syncId: movement.syncId,
+      error: error?.name === 'AbortError' ? 'timeout' : String(error?.message || error)
+    };
+  } finally {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+async function syncPendingAccountingMovements(options = {}) {
+  const config = resolveAccountingSyncBridgeConfig(options);
+  if (!config.endpoint) {
+    return {
+      ok: false,
+      reason: 'missing-endpoint',
+      attempted: 0,
+      synced: 0,
+      failed: 0,
+      failures: []
+    };
+  }
+
+  const pending = getPendingAccountingSyncMovements()
+    .filter(shouldSyncMovement)
+    .sort((a, b) => new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime())
+    .slice(0, config.batchSize);
+
+  const failures = [];
   let synced = 0;
 
-  for (const movement of pending) {
-    const result = await sendAccountingMovementToEndpoint(movement, config);
-    if (result.ok) {
-      synced += 1;
-    } else {
-      failures.push(result);
+  for (const movement of pending) {
+    const result = await sendAccountingMovementToEndpoint(movement, config);
+    if (result.ok) {
+      synced += 1;
+    } else {
+      failures.push(result);
+    }
+  }
+
+  buildAccountingReconciliationSnapshot({ scope: 'erp-sync' });
+
+  return {
+    ok: failures.length === 0,
+    attempted: pending.length,
+    synced,
+    failed: failures.length,
+    failures
+  };
+}
+
+async function runAccountingSyncBridgeCycle(options = {}) {
+  if (accountingSyncBridgeInFlight) {
+    return {
+      ok: false,
+      skipped: true,
+      reason: 'in-flight'
+    };
+  }
+
+  accountingSyncBridgeInFlight = true;
+  try {
+    const result = await syncPendingAccountingMovements(options);
+    accountingSyncBridgeState.lastRunAt = new Date().toISOString();
+    accountingSyncBridgeState.lastResult = result;
+    accountingSyncBridgeState.lastError = result.ok ? null : result.reason || (result.failures?.[0]?.error || null);
+    return result;
+  } catch (error) {
+    accountingSyncBridgeState.lastRunAt = new Date().toISOString();
+    accountingSyncBridgeState.lastError = String(error?.message || error);
+    return {
+      ok: false,
+      error: accountingSyncBridgeState.lastError
+    };
+  } finally {
+    accountingSyncBridgeInFlight = false;
+  }
+}
+
+function startAccountingSyncBridge(options = {}) {
+  const config = resolveAccountingSyncBridgeConfig(options);
+  if (!config.endpoint) {
+    return {
+      started: false,
+      reason: 'missing-endpoint',
+      config
+    };
+  }
+
+  if (accountingSyncBridgeIntervalId) {
+    clearInterval(accountingSyncBridgeIntervalId);
+  }
+
+  accountingSyncBridgeState = {
+    ...accountingSyncBridgeState,
+    isRunning: true,
+    intervalMs: config.intervalMs,
+    lastError: null
+  };
+
+  if (config.runImmediately) {
+    runAccountingSyncBridgeCycle(config).catch(error => {
+      console.warn('Error en ciclo inmediato de sincronización contable:', error);
+    });
+  }
+
+  accountingSyncBridgeIntervalId = setInterval(() => {
+    runAccountingSyncBridgeCycle(config).catch(error => {
+      console.warn('Error en sincronización contable programada:', error);
+    });
+  }, config.intervalMs);
+
+  return {
+    started: true,
+    intervalMs: config.intervalMs,
+    batchSize: config.batchSize,
+    endpoint: config.endpoint
+  };
+}
+
+function stopAccountingSyncBridge() {
+  if (accountingSyncBridgeIntervalId) {
+    clearInterval(accountingSyncBridgeIntervalId);
+    accountingSyncBridgeIntervalId = null;
+  }
+
+  accountingSyncBridgeState = {
+    ...accountingSyncBridgeState,
+    isRunning: false
+  };
+
+  return {
+    stopped: true,
+    lastRunAt: accountingSyncBridgeState.lastRunAt,
+    lastError: accountingSyncBridgeState.lastError
+  };
+}
+
+function getAccountingSyncBridgeState() {
+  return {
+    ...accountingSyncBridgeState,
+    inFlight: accountingSyncBridgeInFlight,
+    pending: getPendingAccountingSyncMovements().filter(shouldSyncMovement).length,
+    config: getAccountingSyncBridgeConfig()
+  };
+}
+
+function formatRowsToCsv(rows = [], headers = []) {
+  const toCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (/[,"\n\r]/.test(text)) {
+      return `"${text.replaceAll('"', '""')}"`;
+    }
+    return text;
+  };
+
+  const lines = [headers.join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(header => toCell(row[header])).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function exportAccountingData(options = {}) {
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const ledger = getAccountingLedgerEntries();
+  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+  const fromDate = options.fromDate ? new Date(options.fromDate) : null;
+  const toDate = options.toDate ? new Date(options.toDate) : null;
+
+  const inRange = (value) => {
+    if (!value) {
+      return true;
+    }
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      return true;
+    }
+
+    const meetsFrom = fromDate ? time >= fromDate.getTime() : true;
+    const meetsTo = toDate ? time <= toDate.getTime() : true;
+    return meetsFrom && meetsTo;
+  };
+
+  const sales = orders
+    .filter(order => inRange(order.createdAt))
+    .map(order => ({ order, payment: getOrderPaymentSummary(order) }))
+    .map(({ order, payment }) => ({
+      orderId: order.orderId,
+      fecha: order.createdAt,
+      cliente: order.customer?.fullName || '',
+      medioPago: order.paymentMethod || '',
+      moneda: order.currency || 'COP',
+      cantidad: Number(order.summary?.quantity) || 0,
+      descuentoCOP: +(Number(order.summary?.discountAmount) || 0).toFixed(2),
+      codigoDescuento: order.discount?.valid ? order.discount.code : '',
+      totalVentaCOP: +getOrderSaleAmount(order).toFixed(2),
+      ivaCOP: +getOrderTaxAmount(order).toFixed(2),
+      envioCOP: +getOrderShippingAmount(order).toFixed(2),
+      zonaEnvio: order.shipping?.zoneCode || '',
+      departamento: order.shipping?.department || '',
+      ciudad: order.shipping?.city || '',
+      estadoPago: payment.status,
+      pagadoCOP: payment.paidCOP
+    }));
+
+  // Solo caja y bancos: las redenciones de tarjetas de regalo viajan como movimientos GIFT_CARD
+  const payments = orders
+    .flatMap(order => (order.payments || []).map(payment => ({ ...payment, orderId: order.orderId })))
+    .filter(payment => inRange(payment.receivedAt) && !isGiftCardPaymentMethod(payment.method))
+    .map(payment => ({
+      orderId: payment.orderId,
+      paymentId: payment.paymentId,
+      fecha: payment.receivedAt,
+      medioPago: payment.method,
+      referencia: payment.reference || '',
+      cuentaContable: PAYMENT_METHODS[payment.method]?.accountCode || '',
+      valorCOP: +Number(payment.amountCOP || 0).toFixed(2),
+      operario: payment.operator || ''
+    }));
+
+  const inventoryOut = inventoryMovements
+    .filter(line => inRange(line.producedAt || line.createdAt))
+    .map(line => ({
+      orderId: line.orderId || '',
+      movementBatchId: line.movementBatchId || '',
+      fecha: line.producedAt || line.createdAt || '',
+      sku: line.productSku || '',
+      materialCode: line.materialCode || '',
+      cantidad: Number(line.actualSolidUsed) || 0,
+      unidad: line.unit || 'g',
+      costoSalidaCOP: Number.isFinite(line.materialCostImpact)
+        ? +Number(line.materialCostImpact).toFixed(2)
+        : +((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0)).toFixed(2)
+    }));
+
+  const cogs = ledger
+    .filter(entry => entry.entryType === 'COGS' && inRange(entry.happenedAt || entry.createdAt))
+    .map(entry => ({
+      orderId: entry.orderId,
+      fecha: entry.happenedAt || entry.createdAt,
+      cuentaContable: entry.accountCode,
+      costoVentasCOP: +Number(entry.amountCOP || 0).toFixed(2),
+      estadoSync: entry.status || 'PENDING_SYNC'
+    }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    filters: {
+      fromDate: options.fromDate || null,
+      toDate: options.toDate || null
+    },
+    sales,
+    inventoryOut,
+    cogs,
+    payments,
+    csv: {
+      sales: formatRowsToCsv(sales, ['orderId', 'fecha', 'cliente', 'medioPago', 'moneda', 'cantidad', 'descuentoCOP', 'codigoDescuento', 'totalVentaCOP', 'ivaCOP', 'envioCOP', 'zonaEnvio', 'departamento', 'ciudad', 'estadoPago', 'pagadoCOP']),
+      payments: formatRowsToCsv(payments, ['orderId', 'paymentId', 'fecha', 'medioPago', 'referencia', 'cuentaContable', 'valorCOP', 'operario']),
+      inventoryOut: formatRowsToCsv(inventoryOut, ['orderId', 'movementBatchId', 'fecha', 'sku', 'materialCode', 'cantidad', 'unidad', 'costoSalidaCOP']),
+      cogs: formatRowsToCsv(cogs, ['orderId', 'fecha', 'cuentaContable', 'costoVentasCOP', 'estadoSync'])
+    }
+  };
+}
+
+function buildAccountingReconciliationSnapshot(options = {}) {
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const ledger = getAccountingLedgerEntries();
+  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+
+  const closedOrders = orders.filter(order => String(order.flowStatus || '').toUpperCase() === 'CERRADA');
+  const totalSales = closedOrders.reduce((acc, order) => acc + getOrderSaleAmount(order), 0);
+  const totalTax = closedOrders.reduce((acc, order) => acc + getOrderTaxAmount(order), 0);
+  const totalShipping = closedOrders.reduce((acc, order) => acc + getOrderShippingAmount(order), 0);
+  const totalInventoryOut = inventoryMovements.reduce((acc, line) => {
+    const explicit = Number(line.materialCostImpact);
+    if (Number.isFinite(explicit)) {
+      return acc + explicit;
+    }
+
+    return acc + ((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0));
+  }, 0);
+  const totalCogs = closedOrders.reduce((acc, order) => {
+    const kpiCost = Number(order.closeSummary?.kpis?.margin?.totalCost);
+    if (Number.isFinite(kpiCost) && kpiCost > 0) {
+      return acc + kpiCost;
+    }
+
+    return acc + (Number(order.summary?.estimatedCost) || 0);
+  }, 0);
+
+  const ledgerSales = ledger.filter(entry => entry.entryType === 'SALE').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const ledgerTax = ledger.filter(entry => entry.entryType === 'VAT').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const ledgerShipping = ledger.filter(entry => entry.entryType === 'SHIPPING').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const ledgerInventoryOut = ledger.filter(entry => entry.entryType === 'INVENTORY_OUT').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const ledgerCogs = ledger.filter(entry => entry.entryType === 'COGS').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const totalPayments = orders.reduce((acc, order) => acc + summarizeOrderPayments(
+    order,
+    (order.payments || []).filter(payment => !isGiftCardPaymentMethod(payment.method)),
+    (order.refunds || []).filter(refund => !isGiftCardPaymentMethod(refund.method))
+  ).paidCOP, 0);
+  const ledgerPayments = ledger.filter(entry => entry.entryType === 'PAYMENT' || entry.entryType === 'REFUND').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const totalScrap = orders.reduce((acc, order) => acc + (Number(order.cancellation?.scrapCostCOP) || 0), 0);
+  const totalGiftCards = getGiftCards().reduce((acc, card) => acc + (Number(card.balanceCOP) || 0), 0);
+  const ledgerGiftCards = ledger.filter(entry => entry.entryType === 'GIFT_CARD').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const ledgerScrap = ledger.filter(entry => entry.entryType === 'SCRAP').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+
+  const snapshot = {
+    generatedAt: new Date().toISOString(),
+    scope: options.scope || 'global',
+    ordersClosed: closedOrders.length,
+    totals: {
+      salesOperationalCOP: +totalSales.toFixed(2),
+      taxOperationalCOP: +totalTax.toFixed(2),
+      shippingOperationalCOP: +totalShipping.toFixed(2),
+      inventoryOutOperationalCOP: +totalInventoryOut.toFixed(2),
+      cogsOperationalCOP: +totalCogs.toFixed(2),
+      paymentsOperationalCOP: +totalPayments.toFixed(2),
+      scrapOperationalCOP: +totalScrap.toFixed(2),
+      giftCardLiabilityOperationalCOP: +totalGiftCards.toFixed(2),
+      salesLedgerCOP: +ledgerSales.toFixed(2),
+      taxLedgerCOP: +ledgerTax.toFixed(2),
+      shippingLedgerCOP: +ledgerShipping.toFixed(2),
+      inventoryOutLedgerCOP: +ledgerInventoryOut.toFixed(2),
+      cogsLedgerCOP: +ledgerCogs.toFixed(2),
+      paymentsLedgerCOP: +ledgerPayments.toFixed(2),
+      scrapLedgerCOP: +ledgerScrap.toFixed(2),
+      giftCardLiabilityLedgerCOP: +ledgerGiftCards.toFixed(2)
+    },
+    deltas: {
+      salesVsLedgerCOP: +(totalSales - ledgerSales).toFixed(2),
+      taxVsLedgerCOP: +(totalTax - ledgerTax).toFixed(2),
+      shippingVsLedgerCOP: +(totalShipping - ledgerShipping).toFixed(2),
+      inventoryOutVsLedgerCOP: +(totalInventoryOut - ledgerInventoryOut).toFixed(2),
+      cogsVsLedgerCOP: +(totalCogs - ledgerCogs).toFixed(2),
+      paymentsVsLedgerCOP: +(totalPayments - ledgerPayments).toFixed(2),
+      scrapVsLedgerCOP: +(totalScrap - ledgerScrap).toFixed(2),
+      giftCardLiabilityVsLedgerCOP: +(totalGiftCards - ledgerGiftCards).toFixed(2),
+      inventoryVsCogsOperationalCOP: +(totalInventoryOut - totalCogs - totalScrap).toFixed(2)
+    },
+    queue: {
+      pending: getPendingAccountingSyncMovements().length,
+      synced: getAccountingSyncQueue().filter(item => item.status === 'SYNCED').length,
+      total: getAccountingSyncQueue().length
+    }
+  };
+
+  const snapshots = safeReadJsonStorage(ACCOUNTING_RECONCILIATIONS_KEY, []);
+  snapshots.push(snapshot);
+  safeWriteJsonStorage(ACCOUNTING_RECONCILIATIONS_KEY, snapshots);
+
+  return snapshot;
+}
+
+function categorySolidPerUnit(category) {
+  const key = String(category || '').trim().toLowerCase();
+  return CATEGORY_SOLID_GRAMS[key] || CATEGORY_SOLID_GRAMS.default;
+}
+
+function computeTheoreticalConsumption(items = []) {
+  return normalizeCartItems(items).map(item => {
+    // Las piezas cotizadas desde STL traen su propio peso estimado
+    const solidPerUnit = item.printEstimate
+      ? item.printEstimate.grams
+      : +(categorySolidPerUnit(item.category) * (item.variant?.solidFactor || 1)).toFixed(2);
+    const theoreticalSolid = +(solidPerUnit * item.quantity).toFixed(2);
+
+    return {
+      sku: item.sku || item.id,
+      baseSku: item.baseSku,
+      variant: item.variant,
+      variantLabel: item.variant?.label || '',
+      artwork: item.artwork,
+      name: item.name,
+      category: item.category,
+      quantity: item.quantity,
+      solidPerUnit,
+      theoreticalSolid
+    };
+  });
+}
+
+function normalizeMaterialCode(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function resolveMaterialProfile(category = '') {
+  const key = String(category || '').trim().toLowerCase();
+  return CATEGORY_MATERIAL_PROFILE[key] || CATEGORY_MATERIAL_PROFILE.default;
+}
+
+function getHistoricalMaterialConsumption(materialCode, movements = []) {
+  const target = normalizeMaterialCode(materialCode);
+  const summary = movements
+    .filter(line => normalizeMaterialCode(line.materialCode) === target)
+    .reduce((acc, line) => {
+      const consumed = Number(line.actualSolidUsed) || 0;
+      const batchId = String(line.movementBatchId || 'SIN_LOTE');
+      acc.totalConsumed += consumed;
+      acc.batches.add(batchId);
+      return acc;
+    }, { totalConsumed: 0, batches: new Set() });
+
+  return {
+    totalConsumed: summary.totalConsumed,
+    batchCount: summary.batches.size || 1,
+    averagePerBatch: summary.totalConsumed > 0 ? summary.totalConsumed / (summary.batches.size || 1) : 0
+  };
+}
+
+function deriveMaterialPolicy(materialCode, context = {}, movements = []) {
+  const normalizedCode = normalizeMaterialCode(materialCode);
+  const historical = getHistoricalMaterialConsumption(normalizedCode, movements);
+  const unitCostCOP = Number(context.unitCostCOP) || resolveMaterialProfile(context.category).unitCostCOP;
+  const averagePerBatch = historical.averagePerBatch || Number(context.consumedSolid) || 50;
+  let criticalityMultiplier = 1.3;
+  if (unitCostCOP >= CRITICAL_COST_THRESHOLD.critical) {
+    criticalityMultiplier = 1.8;
+  } else if (unitCostCOP >= CRITICAL_COST_THRESHOLD.high) {
+    criticalityMultiplier = 1.5;
+  }
+  const safetyStock = Math.max(30, Math.round(averagePerBatch * criticalityMultiplier));
+  const minStock = Math.max(safetyStock + 10, Math.round(averagePerBatch * (criticalityMultiplier + 0.8)));
+  const maxStock = Math.max(minStock + 20, Math.round(minStock * 2.2));
+
+  return {
+    materialCode: normalizedCode,
+    materialName: context.materialName || resolveMaterialProfile(context.category).materialName,
+    unit: context.unit || resolveMaterialProfile(context.category).unit,
+    unitCostCOP,
+    safetyStock,
+    minStock,
+    maxStock,
+    reorderPoint: minStock,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function getMaterialStockControlState() {
+  return safeReadJsonStorage(MATERIAL_STOCK_KEY, {});
+}
+
+function getMaterialStockPolicies() {
+  return safeReadJsonStorage(MATERIAL_STOCK_POLICIES_KEY, {});
+}
+
+function upsertMaterialStockAlert(alert) {
+  const alerts = safeReadJsonStorage(MATERIAL_STOCK_ALERTS_KEY, []);
+  alerts.push({ ...alert, createdAt: new Date().toISOString() });
+  safeWriteJsonStorage(MATERIAL_STOCK_ALERTS_KEY, alerts);
+  return alerts;
+}
+
+function setMaterialStockLevel(materialCode, onHand, metadata = {}) {
+  const normalizedCode = normalizeMaterialCode(materialCode);
+  if (!normalizedCode) {
+    return null;
+  }
+
+  const state = getMaterialStockControlState();
+  const current = state[normalizedCode] || {};
+  state[normalizedCode] = {
+    ...current,
+    materialCode: normalizedCode,
+    materialName: metadata.materialName || current.materialName || resolveMaterialProfile(metadata.category).materialName,
+    unit: metadata.unit || current.unit || resolveMaterialProfile(metadata.category).unit,
+    unitCostCOP: Number(metadata.unitCostCOP) || Number(current.unitCostCOP) || resolveMaterialProfile(metadata.category).unitCostCOP,
+    onHand: Number(onHand) || 0,
+    updatedAt: new Date().toISOString()
+  };
+
+  safeWriteJsonStorage(MATERIAL_STOCK_KEY, state);
+  return state[normalizedCode];
+}
+
+function upsertMaterialStockPolicy(materialCode, policyInput = {}) {
+  const normalizedCode = normalizeMaterialCode(materialCode);
+  if (!normalizedCode) {
+    return null;
+  }
+
+  const movements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+  const policies = getMaterialStockPolicies();
+  const derived = deriveMaterialPolicy(normalizedCode, policyInput, movements);
+  policies[normalizedCode] = {
+    ...derived,
+    ...policyInput,
+    materialCode: normalizedCode,
+    safetyStock: Number(policyInput.safetyStock) || derived.safetyStock,
+    minStock: Number(policyInput.minStock) || derived.minStock,
+    maxStock: Number(policyInput.maxStock) || derived.maxStock,
+    reorderPoint: Number(policyInput.reorderPoint) || Number(policyInput.minStock) || derived.reorderPoint,
+    unitCostCOP: Number(policyInput.unitCostCOP) || derived.unitCostCOP,
+    updatedAt: new Date().toISOString()
+  };
+
+  safeWriteJsonStorage(MATERIAL_STOCK_POLICIES_KEY, policies);
+  return policies[normalizedCode];
+}
+
+function getStockStatus(onHand, policy) {
+  if (onHand <= 0) {
+    return 'QUIEBRE';
+  }
+
+  if (onHand <= policy.safetyStock) {
+    return 'BAJO_SEGURIDAD';
+  }
+
+  if (onHand <= policy.minStock) {
+    return 'BAJO_MINIMO';
+  }
+
+  if (onHand > policy.maxStock) {
+    return 'SOBRESTOCK';
+  }
+
+  return 'OK';
+}
+
+function getStatusPenalty(status) {
+  if (status === 'QUIEBRE') {
+    return 6000;
+  }
+
+  if (status === 'BAJO_SEGURIDAD') {
+    return 3500;
+  }
+
+  if (status === 'BAJO_MINIMO') {
+    return 1800;
+  }
+
+  return 0;
+}
+
+function mapPriorityLabel(score) {
+  if (score >= 9000) {
+    return 'CRITICA';
+  }
+  if (score >= 5000) {
+    return 'ALTA';
+  }
+  if (score >= 2500) {
+    return 'MEDIA';
+  }
+  return 'BAJA';
+}
+
+function applyMaterialStockControl(movements = [], context = {}) {
+  const state = getMaterialStockControlState();
+  const policies = getMaterialStockPolicies();
+  const alerts = [];
+  const perMaterial = new Map();
+
+  movements.forEach(line => {
+    const materialCode = normalizeMaterialCode(line.materialCode);
+    if (!materialCode) {
+      return;
+    }
+
+    const category = String(line.category || '').trim().toLowerCase();
+    const profile = resolveMaterialProfile(category);
+    const existingPolicy = policies[materialCode];
+    const policy = existingPolicy || deriveMaterialPolicy(materialCode, {
+      category,
+      unitCostCOP: line.estimatedUnitCostCOP || profile.unitCostCOP,
+      materialName: line.materialName || profile.materialName,
+      consumedSolid: line.actualSolidUsed,
+      unit: line.unit || profile.unit
+    }, safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []));
+
+    if (!existingPolicy) {
+      policies[materialCode] = policy;
+    }
+
+    const current = state[materialCode] || {
+      materialCode,
+      materialName: line.materialName || profile.materialName,
+      unit: line.unit || profile.unit,
+      unitCostCOP: Number(line.estimatedUnitCostCOP) || policy.unitCostCOP,
+      onHand: policy.maxStock,
+      updatedAt: new Date().toISOString()
+    };
+
+    const consumed = Number(line.actualSolidUsed) || 0;
+    const before = Number(current.onHand) || 0;
+    const after = +(before - consumed).toFixed(2);
+    const status = getStockStatus(after, policy);
+    const reorderSuggestedQty = status === 'QUIEBRE' || status === 'BAJO_SEGURIDAD' || status === 'BAJO_MINIMO'
+      ? +(Math.max(policy.maxStock - Math.max(after, 0), 0)).toFixed(2)
+      : 0;
+    const costImpact = Number.isFinite(line.materialCostImpact) ? line.materialCostImpact : +(consumed * (Number(current.unitCostCOP) || policy.unitCostCOP || 0)).toFixed(2);
+
+    state[materialCode] = {
+      ...current,
+      materialName: line.materialName || current.materialName || profile.materialName,
+      unit: line.unit || current.unit || profile.unit,
+      unitCostCOP: Number(line.estimatedUnitCostCOP) || Number(current.unitCostCOP) || policy.unitCostCOP,
+      onHand: after,
+      status,
+      reorderSuggestedQty,
+      lastMovementBatchId: context.movementBatchId,
+      updatedAt: new Date().toISOString()
+    };
+
+    const previousSummary = perMaterial.get(materialCode) || {
+      materialCode,
+      materialName: state[materialCode].materialName,
+      unit: state[materialCode].unit,
+      consumed: 0,
+      costImpact: 0,
+      status,
+      onHand: after,
+      reorderSuggestedQty,
+      policy
+    };
+    previousSummary.consumed = +(previousSummary.consumed + consumed).toFixed(2);
+    previousSummary.costImpact = +(previousSummary.costImpact + costImpact).toFixed(2);
+    previousSummary.status = status;
+    previousSummary.onHand = after;
+    previousSummary.reorderSuggestedQty = reorderSuggestedQty;
+    perMaterial.set(materialCode, previousSummary);
+
+    if (status !== 'OK') {
+      const stockAlert = {
+        type: 'stock-threshold',
+        severity: status === 'QUIEBRE' ? 'critical' : 'warning',
+        scope: 'material',
+        materialCode,
+        materialName: state[materialCode].materialName,
+        orderId: context.orderId,
+        movementBatchId: context.movementBatchId,
+        operator: context.operator,
+        status,
+        onHand: after,
+        minStock: policy.minStock,
+        maxStock: policy.maxStock,
+        safetyStock: policy.safetyStock,
+        reorderSuggestedQty,
+        message: `Stock ${status.toLowerCase()} para ${materialCode}`
+      };
+      alerts.push(stockAlert);
+      upsertMaterialStockAlert(stockAlert);
+    }
+
+    if (line.withinTolerance === false && Number(line.variancePct) > 0) {
+      const overconsumptionAlert = {
+        type: 'stock-overconsumption',
+        severity: Number(line.variancePct) > 10 ? 'critical' : 'warning',
+        scope: 'material',
+        materialCode,
+        materialName: state[materialCode].materialName,
+        orderId: context.orderId,
+        movementBatchId: context.movementBatchId,
+        operator: context.operator,
+        variancePct: Number(line.variancePct),
+        varianceSolid: Number(line.varianceSolid) || 0,
+        message: `Sobreconsumo de material ${materialCode}`
+      };
+      alerts.push(overconsumptionAlert);
+      upsertMaterialStockAlert(overconsumptionAlert);
+    }
+  });
+
+  const priorities = Array.from(perMaterial.values()).map(item => {
+    const riskScore = getStatusPenalty(item.status);
+    const score = +(item.costImpact + riskScore + item.reorderSuggestedQty * (item.policy.unitCostCOP || 0)).toFixed(2);
+    return {
+      materialCode: item.materialCode,
+      materialName: item.materialName,
+      unit: item.unit,
+      consumed: item.consumed,
+      costImpact: item.costImpact,
+      status: item.status,
+      onHand: item.onHand,
+      reorderSuggestedQty: item.reorderSuggestedQty,
+      priorityScore: score,
+      priority: mapPriorityLabel(score)
+    };
+  }).sort((a, b) => b.priorityScore - a.priorityScore);
+
+  safeWriteJsonStorage(MATERIAL_STOCK_KEY, state);
+  safeWriteJsonStorage(MATERIAL_STOCK_POLICIES_KEY, policies);
+
+  return {
+    orderId: context.orderId,
+    movementBatchId: context.movementBatchId,
+    operator: context.operator,
+    materials: Array.from(perMaterial.values()),
+    alerts,
+    priorities,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+function buildMarginImpactAlertFromConsumption(order, entries = [], context = {}) {
+  if (!order || !Array.isArray(entries) || entries.length === 0) {
+    return null;
+  }
+
+  const saleTotal = getOrderSaleAmount(order);
+  if (saleTotal <= 0) {
+    return null;
+  }
+
+  const overconsumptionCostCOP = entries.reduce((acc, entry) => {
+    const varianceSolid = Number(entry.varianceSolid);
+    if (!Number.isFinite(varianceSolid) || varianceSolid <= 0) {
+      return acc;
+    }
+
+    const unitCost = Number(entry.estimatedUnitCostCOP) || 0;
+    if (!Number.isFinite(unitCost) || unitCost <= 0) {
+      return acc;
+    }
+
+    return acc + (varianceSolid * unitCost);
+  }, 0);
+
+  if (overconsumptionCostCOP <= 0) {
+    return null;
+  }
+
+  const projectedMarginCOP = +(saleTotal - overconsumptionCostCOP).toFixed(2);
+  const impactPct = +((overconsumptionCostCOP / saleTotal) * 100).toFixed(2);
+  const projectedMarginPct = +((projectedMarginCOP / saleTotal) * 100).toFixed(2);
+
+  if (impactPct < 5) {
+    return null;
+  }
+
+  const severity = impactPct >= 10 || projectedMarginPct < 25 ? 'critical' : 'warning';
+
+  return {
+    type: 'margin-impact-overconsumption',
+    severity,
+    scope: 'orden',
+    orderId: context.orderId || order.orderId,
+    movementBatchId: context.movementBatchId,
+    operator: context.operator,
+    overconsumptionCostCOP: +overconsumptionCostCOP.toFixed(2),
+    impactPct,
+    projectedMarginCOP,
+    projectedMarginPct,
+    message: `Sobreconsumo con impacto estimado de ${impactPct.toFixed(2)}% sobre la venta de la orden ${context.orderId || order.orderId}`
+  };
+}
+
+function getMaterialStockControlSnapshot() {
+  const state = getMaterialStockControlState();
+  const policies = getMaterialStockPolicies();
+  const alerts = safeReadJsonStorage(MATERIAL_STOCK_ALERTS_KEY, []);
+
+  const materials = Object.keys(state).map(materialCode => {
+    const stock = state[materialCode];
+    const policy = policies[materialCode] || {};
+    return {
+      materialCode,
+      materialName: stock.materialName || policy.materialName || '',
+      unit: stock.unit || policy.unit || 'g',
+      onHand: Number(stock.onHand) || 0,
+      status: stock.status || getStockStatus(Number(stock.onHand) || 0, {
+        minStock: Number(policy.minStock) || 0,
+        maxStock: Number(policy.maxStock) || Number(stock.onHand) || 0,
+        safetyStock: Number(policy.safetyStock) || 0
+      }),
+      minStock: Number(policy.minStock) || 0,
+      maxStock: Number(policy.maxStock) || 0,
+      safetyStock: Number(policy.safetyStock) || 0,
+      reorderSuggestedQty: Number(stock.reorderSuggestedQty) || 0,
+      unitCostCOP: Number(stock.unitCostCOP) || Number(policy.unitCostCOP) || 0
+    };
+  });
+
+  const priorities = materials
+    .map(item => {
+      const exposure = +(Math.max(item.minStock - item.onHand, 0) * item.unitCostCOP).toFixed(2);
+      const statusPenalty = getStatusPenalty(item.status);
+      const priorityScore = +(exposure + statusPenalty).toFixed(2);
+      return {
+        materialCode: item.materialCode,
+        materialName: item.materialName,
+        status: item.status,
+        onHand: item.onHand,
+        minStock: item.minStock,
+        safetyStock: item.safetyStock,
+        unitCostCOP: item.unitCostCOP,
+        priorityScore,
+        priority: mapPriorityLabel(priorityScore)
+      };
+    })
+    .sort((a, b) => b.priorityScore - a.priorityScore);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    materials,
+    priorities,
+    alerts
+  };
+}
+
+function getConsumptionTolerance(category) {
+  const key = String(category || '').trim().toLowerCase();
+  return CATEGORY_CONSUMPTION_TOLERANCES[key] || CATEGORY_CONSUMPTION_TOLERANCES.default;
+}
+
+function buildIndexBySku(items = []) {
+  const index = new Map();
+
+  for (const item of items) {
+    const key = String(item.sku || item.productSku || item.id || '').trim();
+    if (!key) {
+      continue;
+    }
+
+    index.set(key, item);
+  }
+
+  return index;
+}
+
+function normalizeProductionConsumptionInput(actualConsumption = [], options = {}) {
+  const source = Array.isArray(actualConsumption) ? { lines: actualConsumption } : {};
+  const sourceObject = actualConsumption && typeof actualConsumption === 'object' && !Array.isArray(actualConsumption) ? actualConsumption : {};
+  let sourceLines = [];
+
+  if (Array.isArray(source.lines)) {
+    sourceLines = source.lines;
+  } else if (Array.isArray(source.items)) {
+    sourceLines = source.items;
+  } else if (Array.isArray(sourceObject.lines)) {
+    sourceLines = sourceObject.lines;
+  } else if (Array.isArray(sourceObject.items)) {
+    sourceLines = sourceObject.items;
+  }
+
+  return {
+    lines: sourceLines,
+    lotId: pickFirstDefined(options.lotId, source.lotId, sourceObject.lotId, source.loteId, sourceObject.loteId, ''),
+    lotCode: pickFirstDefined(options.lotCode, source.lotCode, sourceObject.lotCode, source.lote, sourceObject.lote, options.batchCode, ''),
+    operator: pickFirstDefined(options.operator, source.operator, sourceObject.operator, source.operario, sourceObject.operario, 'sistema'),
+    producedAt: pickFirstDefined(options.productionAt, source.productionAt, sourceObject.productionAt, source.producedAt, sourceObject.producedAt, new Date().toISOString()),
+    notes: pickFirstDefined(options.notes, source.notes, sourceObject.notes, '')
+  };
+}
+
+function normalizeProductionConsumptionLine(line = {}, context = {}, theoreticalLine = null, skuCount = 1, index = 0) {
+  const actualSolidUsed = normalizeCurrencyValue(pickFirstDefined(
+    line.actualSolidUsed,
+    line.actualSolid,
+    line.usedSolid,
+    line.consumedSolid,
+    line.materialUsed,
+    line.consumoRealSolid
+  )) || 0;
+  const theoreticalSolid = theoreticalLine ? theoreticalLine.theoreticalSolid : null;
+  const expectedSolidUsed = normalizeCurrencyValue(pickFirstDefined(line.expectedSolidUsed, line.expectedSolid));
+  let finalExpectedSolidUsed = expectedSolidUsed;
+  if (finalExpectedSolidUsed === null || finalExpectedSolidUsed === undefined) {
+    if (theoreticalSolid !== null && theoreticalSolid !== undefined) {
+      finalExpectedSolidUsed = +(theoreticalSolid / Math.max(1, skuCount)).toFixed(2);
+    } else {
+      finalExpectedSolidUsed = null;
+    }
+  }
+  const varianceSolid = finalExpectedSolidUsed === null
+    ? null
+    : +(actualSolidUsed - finalExpectedSolidUsed).toFixed(2);
+  const variancePct = finalExpectedSolidUsed ? +((varianceSolid / finalExpectedSolidUsed) * 100).toFixed(2) : null;
+  const resolvedCategory = pickFirstDefined(line.category, theoreticalLine?.category, '');
+  const materialProfile = resolveMaterialProfile(resolvedCategory);
+  const tolerance = getConsumptionTolerance(resolvedCategory);
+  const estimatedUnitCostCOP = normalizeCurrencyValue(pickFirstDefined(line.estimatedUnitCostCOP, line.materialUnitCostCOP, line.unitCostCOP));
+  const effectiveUnitCostCOP = estimatedUnitCostCOP === null || estimatedUnitCostCOP === undefined
+    ? materialProfile.unitCostCOP
+    : estimatedUnitCostCOP;
+  const materialCostImpact = +(actualSolidUsed * (effectiveUnitCostCOP || 0)).toFixed(2);
+  const withinTolerance = variancePct === null
+    ? true
+    : variancePct >= tolerance.lowerPct && variancePct <= tolerance.upperPct;
+
+  return {
+    entryId: pickFirstDefined(line.entryId, `${context.movementBatchId}-${index + 1}`),
+    orderId: context.orderId,
+    movementBatchId: context.movementBatchId,
+    lotId: pickFirstDefined(line.lotId, context.lotId, ''),
+    lotCode: pickFirstDefined(line.lotCode, context.lotCode, context.movementBatchId),
+    operator: pickFirstDefined(line.operator, context.operator, 'sistema'),
+    producedAt: pickFirstDefined(line.producedAt, context.producedAt),
+    productSku: pickFirstDefined(line.productSku, line.sku, line.code, theoreticalLine?.sku, ''),
+    productName: pickFirstDefined(line.productName, line.name, theoreticalLine?.name, 'Producto'),
+    category: resolvedCategory,
+    materialCode: pickFirstDefined(line.materialCode, line.material_code, materialProfile.materialCode, ''),
+    materialName: pickFirstDefined(line.materialName, line.material_name, materialProfile.materialName, ''),
+    quantity: Math.max(1, Number.parseInt(pickFirstDefined(line.quantity, theoreticalLine?.quantity, 1), 10) || 1),
+    expectedSolidUsed: finalExpectedSolidUsed,
+    actualSolidUsed,
+    estimatedUnitCostCOP: effectiveUnitCostCOP,
+    materialCostImpact,
+    varianceSolid,
+    variancePct,
+    toleranceLowerPct: tolerance.lowerPct,
+    toleranceUpperPct: tolerance.upperPct,
+    withinTolerance,
+    unit: pickFirstDefined(line.unit, line.measureUnit, 'g'),
+    notes: pickFirstDefined(line.notes, context.notes, ''),
+    evidence: normalizeConsumptionEvidence(line.evidence)
+  };
+}
+
+// Respaldo del consumo real: hoy solo el G-code laminado; el nombre del archivo queda en el movimiento
+function normalizeConsumptionEvidence(evidence) {
+  if (!evidence || typeof evidence !== 'object' || !evidence.fileName) {
+    return null;
+  }
+
+  return {
+    type: pickFirstDefined(evidence.type, 'gcode'),
+    fileName: String(evidence.fileName),
+    slicer: String(evidence.slicer || ''),
+    filamentLengthMm: Number(evidence.filamentLengthMm) || 0,
+    filamentDiameterMm: Number(evidence.filamentDiameterMm) || 0,
+    densityGcm3: Number(evidence.densityGcm3) || 0,
+    grams: Number(evidence.grams) || 0
+  };
+}
+
+const GCODE_DEFAULT_FILAMENT_DIAMETER_MM = 1.75;
+
+function readGcodeCommentNumbers(source, pattern) {
+  const match = pattern.exec(source);
+  if (!match) {
+    return null;
+  }
+
+  const values = match[1].split(',').map(value => Number.parseFloat(value)).filter(Number.isFinite);
+  return values.length ? values : null;
+}
+
+// Suma neta del eje E: retracciones y recuperaciones se cancelan entre sí
+function sumGcodeExtrusionMm(source) {
+  let absolute = true;
+  let lastE = 0;
+  let total = 0;
+  let moves = 0;
+
+  for (const rawLine of source.split('\n')) {
+    const line = rawLine.split(';')[0].trim().toUpperCase();
+    if (!line) {
+      continue;
+    }
+
+    const command = line.split(/\s+/)[0];
+    if (command === 'M82' || command === 'G90') {
+      absolute = true;
+      continue;
+    }
+
+    if (command === 'M83' || command === 'G91') {
+      absolute = false;
+      continue;
+    }
+
+    const eMatch = /\bE(-?\d*\.?\d+)/.exec(line);
+    if (!eMatch) {
+      continue;
+    }
+
+    const value = Number.parseFloat(eMatch[1]);
+    if (command === 'G92') {
+      lastE = value;
+    } else if (/^G[0-3]$/.test(command)) {
+      total += absolute ? value - lastE : value;
+      lastE = absolute ? value : lastE;
+      moves += 1;
+    }
+  }
+
+  return moves ? Math.max(0, total) : null;
+}
+
+// Lee los totales que escriben Cura (";Filament used: 1.2m") y PrusaSlicer ("; filament used [mm] = 1200");
+// si el archivo no los trae se suma la extrusión de los movimientos
+function parseGcodeFilamentUsage(text = '') {
+  const source = String(text || '');
+  const sum = values => values.reduce((acc, value) => acc + value, 0);
+  const slicer = /PrusaSlicer|SuperSlicer|Slic3r/i.test(source)
+    ? 'prusaslicer'
+    : (/Cura/i.test(source) ? 'cura' : 'desconocido');
+
+  const prusaLengthMm = readGcodeCommentNumbers(source, /^;\s*filament used \[mm\]\s*=\s*(.+)$/m);
+  const curaLengthM = readGcodeCommentNumbers(source, /^;\s*Filament used:\s*(.+)$/m);
+  const diameters = readGcodeCommentNumbers(source, /^;\s*filament_diameter\s*=\s*(.+)$/m)
+    || readGcodeCommentNumbers(source, /material_diameter\s*=\s*([\d.]+)/);
+  const densities = readGcodeCommentNumbers(source, /^;\s*filament_density\s*=\s*(.+)$/m);
+
+  let lengthMm = null;
+  let lengthSource = 'comentario';
+  if (prusaLengthMm) {
+    lengthMm = sum(prusaLengthMm);
+  } else if (curaLengthM) {
+    lengthMm = sum(curaLengthM) * 1000;
+  } else {
+    lengthMm = sumGcodeExtrusionMm(source);
+    lengthSource = 'extrusion';
+  }
+
+  if (!(lengthMm > 0)) {
+    return { ok: false, reason: 'no-extrusion', message: 'El archivo no tiene extrusión ni totales de filamento reconocibles.' };
+  }
+
+  const filamentDiameterMm = diameters ? diameters[0] : GCODE_DEFAULT_FILAMENT_DIAMETER_MM;
+  const densityGcm3 = densities && densities[0] > 0 ? densities[0] : PRINT_QUOTE_SETTINGS.densityGcm3;
+  const volumeCm3 = lengthMm * Math.PI * (filamentDiameterMm / 2) ** 2 / 1000;
+
+  return {
+    ok: true,
+    slicer,
+    lengthSource,
+    filamentLengthMm: +lengthMm.toFixed(2),
+    filamentDiameterMm,
+    densityGcm3,
+    volumeCm3: +volumeCm3.toFixed(3),
+    grams: +(volumeCm3 * densityGcm3).toFixed(2)
+  };
+}
+
+function groupConsumptionEntries(keyGetter, entries = []) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = keyGetter(entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+
+    groups.get(key).push(entry);
+  }
+
+  return groups;
+}
+
+function summarizeConsumptionGroup(key, entries = [], fallbackExpected = null) {
+  const totals = entries.reduce((acc, entry) => {
+    acc.actualSolidUsed += Number(entry.actualSolidUsed) || 0;
+    if (Number.isFinite(entry.expectedSolidUsed)) {
+      acc.expectedSolidUsed += Number(entry.expectedSolidUsed);
+    }
+    acc.quantity += Number(entry.quantity) || 0;
+    return acc;
+  }, { expectedSolidUsed: 0, actualSolidUsed: 0, quantity: 0 });
+
+  let expectedSolidUsed = null;
+  if (totals.expectedSolidUsed > 0) {
+    expectedSolidUsed = +totals.expectedSolidUsed.toFixed(2);
+  } else if (Number.isFinite(fallbackExpected)) {
+    expectedSolidUsed = +Number(fallbackExpected).toFixed(2);
+  }
+  const actualSolidUsed = +totals.actualSolidUsed.toFixed(2);
+  const varianceSolid = expectedSolidUsed === null ? null : +(actualSolidUsed - expectedSolidUsed).toFixed(2);
+  const variancePct = expectedSolidUsed ? +((varianceSolid / expectedSolidUsed) * 100).toFixed(2) : null;
+
+  return {
+    key,
+    quantity: totals.quantity,
+    expectedSolidUsed,
+    actualSolidUsed,
+    varianceSolid,
+    variancePct,
+    withinTolerance: entries.every(entry => entry.withinTolerance !== false),
+    lines: entries
+  };
+}
+
+function buildKpiAlerts({ order, report, marginPct, marginValue, actualConsumptionPct, orderKpis }) {
+  const alerts = [];
+
+  if (Number.isFinite(marginValue) && marginValue < 0) {
+    alerts.push({
+      type: 'margin-negative',
+      severity: 'critical',
+      scope: 'orden',
+      message: `Margen negativo en la orden ${order.orderId}`,
+      value: marginValue
+    });
+  }
+
+  if (Number.isFinite(marginPct) && marginPct < 20) {
+    alerts.push({
+      type: 'margin-low',
+      severity: 'warning',
+      scope: 'orden',
+      message: `Margen por debajo del umbral recomendado en la orden ${order.orderId}`,
+      value: marginPct
+    });
+  }
+
+  if (Number.isFinite(actualConsumptionPct) && actualConsumptionPct > 0) {
+    alerts.push({
+      type: 'consumption-over-plan',
+      severity: actualConsumptionPct > 10 ? 'critical' : 'warning',
+      scope: 'orden',
+      message: `El consumo real supera el consumo planificado en ${actualConsumptionPct.toFixed(2)}%`,
+      value: actualConsumptionPct
+    });
+  }
+
+  if (report) {
+    const breakdowns = [
+      { scope: 'producto', entries: report.productBreakdown || [] },
+      { scope: 'lote', entries: report.lotBreakdown || [] },
+      { scope: 'operario', entries: report.operatorBreakdown || [] }
+    ];
+
+    breakdowns.forEach(({ scope, entries }) => {
+      entries.filter(entry => entry?.withinTolerance === false).forEach(entry => {
+        const variancePct = Number.isFinite(entry.variancePct) ? entry.variancePct.toFixed(2) : 'n/a';
+        alerts.push({
+          type: 'consumption-out-of-range',
+          severity: Number.isFinite(entry.variancePct) && entry.variancePct > 0 ? 'critical' : 'warning',
+          scope,
+          key: entry.key,
+          message: `Consumo fuera de rango en ${scope} ${entry.key}`,
+          value: variancePct,
+          expectedSolidUsed: entry.expectedSolidUsed,
+          actualSolidUsed: entry.actualSolidUsed,
+          varianceSolid: entry.varianceSolid,
+          variancePct: entry.variancePct,
+          productSku: scope === 'producto' ? entry.key : undefined,
+          lotCode: scope === 'lote' ? entry.key : undefined,
+          operator: scope === 'operario' ? entry.key : undefined
+        });
+      });
+    });
+  }
+
+  if (orderKpis && Array.isArray(orderKpis.consumptionAlerts)) {
+    orderKpis.consumptionAlerts.forEach(alert => {
+      alerts.push({
+        ...alert,
+        source: 'kpi'
+      });
+    });
+  }
+
+  return alerts;
+}
+
+function persistKpiReport(kpiReport) {
+  const reports = safeReadJsonStorage(KPI_REPORTS_KEY, []);
+  const nextReport = {
+    ...kpiReport,
+    recordedAt: new Date().toISOString()
+  };
+  const index = reports.findIndex(report => report.orderId === nextReport.orderId);
+
+  if (index >= 0) {
+    reports[index] = nextReport;
+  } else {
+    reports.push(nextReport);
+  }
+
+  safeWriteJsonStorage(KPI_REPORTS_KEY, reports);
+  return nextReport;
+}
+
+function resolveOrderActualCost(order, options, fallbackCost) {
+  let actualCost = normalizeCurrencyValue(options.actualCost);
+
+  if (actualCost !== null && actualCost !== undefined) {
+    return actualCost;
+  }
+
+  const closeSummaryCost = normalizeCurrencyValue(order.closeSummary?.actualCost);
+  if (closeSummaryCost !== null && closeSummaryCost !== undefined) {
+    return closeSummaryCost;
+  }
+
+  const productionCost = normalizeCurrencyValue(order.production?.actualCost);
+  if (productionCost !== null && productionCost !== undefined) {
+    return productionCost;
+  }
+
+  return fallbackCost;
+}
+
+function buildConsumptionAlertsFromReport(consumptionReport) {
+  const alerts = [];
+  if (!consumptionReport) {
+    return alerts;
+  }
+
+  const groups = [
+    { scope: 'producto', entries: consumptionReport.productBreakdown || [] },
+    { scope: 'lote', entries: consumptionReport.lotBreakdown || [] },
+    { scope: 'operario', entries: consumptionReport.operatorBreakdown || [] }
+  ];
+
+  groups.forEach(({ scope, entries }) => {
+    entries.filter(entry => entry?.withinTolerance === false).forEach(entry => {
+      alerts.push({
+        type: `${scope}-consumption-deviation`,
+        severity: Number.isFinite(entry.variancePct) && entry.variancePct > 0 ? 'critical' : 'warning',
+        scope,
+        key: entry.key,
+        variancePct: entry.variancePct,
+        varianceSolid: entry.varianceSolid,
+        expectedSolidUsed: entry.expectedSolidUsed,
+        actualSolidUsed: entry.actualSolidUsed,
+        message: `Consumo fuera de rango en ${scope} ${entry.key}`
+      });
+    });
+  });
+
+  return alerts;
+}
+
+function buildOrderConsumptionSummary(order, consumptionReport) {
+  const plannedConsumption = consumptionReport
+    ? Number(consumptionReport.expectedSolidUsed) || 0
+    : (order.theoreticalConsumption || []).reduce((acc, line) => acc + (Number(line.theoreticalSolid) || 0), 0);
+  const actualConsumptionSolid = consumptionReport ? Number(consumptionReport.actualSolidUsed) || 0 : plannedConsumption;
+  const varianceSolid = +(actualConsumptionSolid - plannedConsumption).toFixed(2);
+  const variancePct = plannedConsumption > 0 ? +((varianceSolid / plannedConsumption) * 100).toFixed(2) : null;
+  const expectedRange = consumptionReport && Array.isArray(consumptionReport.entries) && consumptionReport.entries.length > 0
+    ? {
+        lowerPct: Math.min(...consumptionReport.entries.map(entry => Number(entry.toleranceLowerPct) || 0)),
+        upperPct: Math.max(...consumptionReport.entries.map(entry => Number(entry.toleranceUpperPct) || 0))
+      }
+    : null;
+
+  return {
+    plannedConsumption: +plannedConsumption.toFixed(2),
+    actualConsumptionSolid: +actualConsumptionSolid.toFixed(2),
+    varianceSolid,
+    variancePct,
+    expectedRange
+  };
+}
+
+function buildOrderMarginSummary(saleTotal, actualCost, quantity) {
+  const apu = quantity > 0 ? +(actualCost / quantity).toFixed(2) : null;
+  const marginValue = +(saleTotal - actualCost).toFixed(2);
+  const marginPct = saleTotal > 0 ? +((marginValue / saleTotal) * 100).toFixed(2) : null;
+  const unitSalePrice = quantity > 0 ? +(saleTotal / quantity).toFixed(2) : null;
+
+  return {
+    apu,
+    marginValue,
+    marginPct,
+    unitSalePrice
+  };
+}
+
+function buildOrderKpiSnapshot(order, consumptionReport, actualCost, quantity, saleTotal) {
+  const marginSummary = buildOrderMarginSummary(saleTotal, actualCost, quantity);
+  const consumptionSummary = buildOrderConsumptionSummary(order, consumptionReport);
+  const consumptionAlerts = buildConsumptionAlertsFromReport(consumptionReport);
+
+  return {
+    orderId: order.orderId,
+    flowStatus: order.flowStatus,
+    apu: {
+      totalCost: +actualCost.toFixed(2),
+      unitCost: marginSummary.apu,
+      unitSalePrice: marginSummary.unitSalePrice,
+      quantity
+    },
+    margin: {
+      totalSale: +saleTotal.toFixed(2),
+      totalCost: +actualCost.toFixed(2),
+      grossMargin: marginSummary.marginValue,
+      grossMarginPct: marginSummary.marginPct
+    },
+    consumption: consumptionSummary,
+    consumptionAlerts,
+    alerts: buildKpiAlerts({
+      order,
+      report: consumptionReport,
+      marginPct: marginSummary.marginPct,
+      marginValue: marginSummary.marginValue,
+      actualConsumptionPct: consumptionSummary.variancePct,
+      orderKpis: { consumptionAlerts }
+    }),
+    report: consumptionReport
+  };
+}
+
+function computeOrderKPIs(orderRef, options = {}) {
+  const order = resolveOrderSnapshot(orderRef);
+  if (!order) {
+    return null;
+  }
+
+  const actualConsumption = Array.isArray(options.actualConsumption) ? options.actualConsumption : [];
+  const consumptionReport = options.consumptionReport || order.closeSummary?.report || order.production?.report || (actualConsumption.length > 0 ? buildConsumptionDeviationReport(order, actualConsumption) : null);
+  const summary = typeof order.summary === 'object' && order.summary ? order.summary : {};
+  const saleTotal = getOrderSaleAmount(order);
+  const quantity = Number(summary.quantity) || (order.items || []).reduce((acc, item) => acc + (Number(item.quantity) || 0), 0);
+  const fallbackCost = Number(summary.estimatedCost) || 0;
+  const actualCost = resolveOrderActualCost(order, options, fallbackCost);
+  const kpis = buildOrderKpiSnapshot(order, consumptionReport, actualCost, quantity, saleTotal);
+
+  return kpis;
+}
+
+function buildConsumptionDeviationReport(order, entries = []) {
+  if (!order) {
+    return null;
+  }
+
+  const theoreticalBySku = buildIndexBySku(order.theoreticalConsumption || []);
+  const normalizedEntries = entries.map((entry, index) => {
+    const theoreticalLine = theoreticalBySku.get(String(entry.productSku || entry.sku || '').trim()) || null;
+    return normalizeProductionConsumptionLine(entry, entry, theoreticalLine, entries.filter(candidate => String(candidate.productSku || candidate.sku || '').trim() === String(entry.productSku || entry.sku || '').trim()).length || 1, index);
+  });
+
+  const productGroups = groupConsumptionEntries(entry => String(entry.productSku || entry.sku || entry.productName || 'SIN_SKU'), normalizedEntries);
+  const lotGroups = groupConsumptionEntries(entry => String(entry.lotCode || entry.lotId || entry.movementBatchId || 'SIN_LOTE'), normalizedEntries);
+  const operatorGroups = groupConsumptionEntries(entry => String(entry.operator || 'sin-operario'), normalizedEntries);
+
+  const productBreakdown = Array.from(productGroups.entries()).map(([sku, groupEntries]) => {
+    const theoreticalLine = theoreticalBySku.get(sku) || null;
+    return summarizeConsumptionGroup(sku, groupEntries, theoreticalLine ? theoreticalLine.theoreticalSolid : null);
+  });
+
+  const lotBreakdown = Array.from(lotGroups.entries()).map(([lotKey, groupEntries]) => summarizeConsumptionGroup(lotKey, groupEntries));
+  const operatorBreakdown = Array.from(operatorGroups.entries()).map(([operatorKey, groupEntries]) => summarizeConsumptionGroup(operatorKey, groupEntries));
+
+  const orderTotals = normalizedEntries.reduce((acc, entry) => {
+    acc.actualSolidUsed += Number(entry.actualSolidUsed) || 0;
+    if (Number.isFinite(entry.expectedSolidUsed)) {
+      acc.expectedSolidUsed += Number(entry.expectedSolidUsed);
+    }
+    return acc;
+  }, { expectedSolidUsed: 0, actualSolidUsed: 0 });
+
+  const theoreticalOrderTotals = (order.theoreticalConsumption || []).reduce((acc, line) => {
+    acc.expectedSolidUsed += Number(line.theoreticalSolid) || 0;
+    acc.quantity += Number(line.quantity) || 0;
+    return acc;
+  }, { expectedSolidUsed: 0, quantity: 0 });
+
+  const expectedSolidUsed = theoreticalOrderTotals.expectedSolidUsed ? +theoreticalOrderTotals.expectedSolidUsed.toFixed(2) : null;
+  const actualSolidUsed = +orderTotals.actualSolidUsed.toFixed(2);
+  const varianceSolid = expectedSolidUsed === null ? null : +(actualSolidUsed - expectedSolidUsed).toFixed(2);
+  const variancePct = expectedSolidUsed ? +((varianceSolid / expectedSolidUsed) * 100).toFixed(2) : null;
+
+  return {
+    orderId: order.orderId,
+    flowStatus: order.flowStatus,
+    expectedSolidUsed,
+    actualSolidUsed,
+    varianceSolid,
+    variancePct,
+    quantity: theoreticalOrderTotals.quantity,
+    productBreakdown,
+    lotBreakdown,
+    operatorBreakdown,
+    entries: normalizedEntries
+  };
+}
+
+function gatherProductData(product) {
+  const name = product.dataset.title || product.querySelector('.gallery__name')?.textContent || 'Producto';
+  const price = product.dataset.price || product.querySelector('.gallery__price')?.textContent || '—';
+  const desc = product.dataset.description || product.querySelector('.gallery__meta')?.textContent || '';
+  let image = '';
+  const imgElement = product.querySelector('.gallery__image img');
+
+  if (imgElement) {
+    image = imgElement.src;
+  } else {
+    const galleryImage = product.querySelector('.gallery__image');
+    image = galleryImage ? galleryImage.dataset.bgImage || '' : '';
+  }
+
+  return {
+    name,
+    price,
+    desc,
+    image,
+    category: product.dataset.category || '',
+    sku: product.dataset.sku || ''
+  };
+}
+
+function formatPrice(value) {
+  const numericValue = typeof value === 'number' ? value : Number(value) || 0;
+  return numericValue.toLocaleString('es-CO');
+}
+
+function readCartItems() {
+  return mergeCartItems(safeReadJsonStorage(CART_STORAGE_KEY, []));
+}
+
+function writeCartItems(cart = []) {
+  const merged = mergeCartItems(cart);
+  safeWriteJsonStorage(CART_STORAGE_KEY, merged);
+
+  try {
+    globalThis.dispatchEvent(new Event('cyberduck:cart-updated'));
+  } catch (error) {
+    console.warn('No se pudo disparar el evento de carrito:', error);
+  }
+
+  return merged;
+}
+
+function addCartItem(item = {}, quantity = 1) {
+  // Sin precio la línea entraría al carrito en $0; esos productos pasan por cotización
+  if (requiresQuote(item)) {
+    console.warn('El producto requiere cotización antes de agregarse al carrito:', item.name || item.title);
+    return readCartItems();
+  }
+
+  const units = Math.max(1, Number.parseInt(quantity, 10) || 1);
+  return writeCartItems([...readCartItems(), { ...item, quantity: units }]);
+}
+
+function updateCartItemQuantity(index, quantity) {
+  const cart = readCartItems();
+  if (!cart[index]) {
+    return cart;
+  }
+
+  const nextQuantity = Number.parseInt(quantity, 10) || 0;
+  if (nextQuantity <= 0) {
+    cart.splice(index, 1);
+  } else {
+    cart[index] = normalizeCartItem({ ...cart[index], quantity: Math.min(MAX_CART_LINE_QUANTITY, nextQuantity) });
+  }
+
+  return writeCartItems(cart);
+}
+
+function keepCartDropdownOpen() {
+  const dd = document.getElementById('cartDropdown');
+  if (dd) {
+    dd.hidden = false;
+  }
+}
+
+function createCartRemoveHandler(index) {
+  return function handleCartRemoveClick(event) {
+    event.stopPropagation();
+    updateCartItemQuantity(index, 0);
+    keepCartDropdownOpen();
+  };
+}
+
+function createCartQuantityHandler(index, delta) {
+  return function handleCartQuantityClick(event) {
+    event.stopPropagation();
+    const line = readCartItems()[index];
+    if (line) {
+      updateCartItemQuantity(index, line.quantity + delta);
+    }
+    keepCartDropdownOpen();
+  };
+}
+
+const ORDER_FLOW_TRANSITIONS = {
+  CREADA: ['PAGADA', 'CANCELADA'],
+  PAGADA: ['EN_PRODUCCION', 'CANCELADA'],
+  EN_PRODUCCION: ['DESPACHADA', 'CANCELADA'],
+  DESPACHADA: ['ENTREGADA'],
+  ENTREGADA: ['CERRADA'],
+  CERRADA: [],
+  CANCELADA: []
+};
+
+const ORDER_FLOW_LABELS = {
+  CREADA: 'Creada',
+  PAGADA: 'Pagada',
+  EN_PRODUCCION: 'En producción',
+  DESPACHADA: 'Despachada',
+  ENTREGADA: 'Entregada',
+  CERRADA: 'Cerrada',
+  CANCELADA: 'Cancelada'
+};
+
+// Una orden ya despachada solo se cancela devolviendo el dinero (refundOrder)
+const ORDER_REFUND_CANCELLABLE_STATUSES = new Set(['DESPACHADA', 'ENTREGADA', 'CERRADA']);
+
+// Estados en los que el taller puede reportar consumo real (incluye reportes tardíos tras el despacho)
+const ORDER_CONSUMPTION_STATUSES = new Set(['PAGADA', 'EN_PRODUCCION', 'DESPACHADA', 'ENTREGADA']);
+
+function normalizeOrderFlowStatus(status) {
+  return String(status || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+function getOrderFlowStatuses() {
+  return Object.keys(ORDER_FLOW_TRANSITIONS).map(status => ({ status, label: ORDER_FLOW_LABELS[status] }));
+}
+
+function getAllowedOrderTransitions(status, options = {}) {
+  const normalized = normalizeOrderFlowStatus(status || 'CREADA');
+  const allowed = [...(ORDER_FLOW_TRANSITIONS[normalized] || [])];
+  if (options.viaRefund && ORDER_REFUND_CANCELLABLE_STATUSES.has(normalized)) {
+    allowed.push('CANCELADA');
+  }
+  return allowed;
+}
+
+function canTransitionOrderStatus(fromStatus, toStatus) {
+  return getAllowedOrderTransitions(fromStatus).includes(normalizeOrderFlowStatus(toStatus));
+}
+
+function buildOrderStatusHistoryEntry(status, from, { operator = '', note = '', at = '' } = {}) {
+  return {
+    status,
+    from: from || null,
+    at: at || new Date().toISOString(),
+    operator: String(operator || '').trim() || 'sistema',
+    note: String(note || '').trim()
+  };
+}
+
+function transitionOrderStatus(orderRef, nextStatus, options = {}) {
+  const orderId = typeof orderRef === 'object' && orderRef ? orderRef.orderId : String(orderRef || '');
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const index = orders.findIndex(order => order.orderId === orderId);
+
+  if (index < 0) {
+    return { ok: false, reason: 'not-found', message: `No existe la orden ${orderId || '(sin ID)'}.` };
+  }
+
+  const order = orders[index];
+  const from = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  const to = normalizeOrderFlowStatus(nextStatus);
+
+  if (!ORDER_FLOW_TRANSITIONS[to]) {
+    return { ok: false, reason: 'unknown-status', message: `El estado ${nextStatus} no existe.`, from };
+  }
+
+  if (!getAllowedOrderTransitions(from, { viaRefund: options.viaRefund }).includes(to)) {
+    const allowed = getAllowedOrderTransitions(from);
+    return {
+      ok: false,
+      reason: 'invalid-transition',
+      message: allowed.length
+        ? `La orden ${orderId} no puede pasar de ${from} a ${to}. Siguiente estado válido: ${allowed.join(' o ')}.`
+        : `La orden ${orderId} está ${from} y ya no admite cambios de estado.`,
+      from,
+      to,
+      allowed
+    };
+  }
+
+  const entry = buildOrderStatusHistoryEntry(to, from, options);
+  const updated = {
+    ...order,
+    flowStatus: to,
+    updatedAt: new Date().toISOString(),
+    statusHistory: [...(Array.isArray(order.statusHistory) ? order.statusHistory : []), entry]
+  };
+
+  if (to === 'PAGADA') {
+    const giftCardsIssued = issueGiftCardsForOrder(updated);
+    if (giftCardsIssued.length) {
+      updated.giftCardsIssued = giftCardsIssued;
+    }
+  }
+
+  orders[index] = updated;
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
+  return { ok: true, order: updated, entry };
+}
+
+// Crea o refresca la foto de la orden. El estado solo cambia con transitionOrderStatus
+function upsertOrderSnapshot(orderPayload) {
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const theoretical = computeTheoreticalConsumption(orderPayload.items || []);
+  const now = new Date().toISOString();
+
+  const snapshot = {
+    orderId: orderPayload.orderId,
+    createdAt: orderPayload.createdAt || now,
+    updatedAt: now,
+    customer: orderPayload.customer || {},
+    paymentMethod: orderPayload.paymentMethod || '',
+    discount: orderPayload.discount || null,
+    shipping: orderPayload.shipping || null,
+    tax: orderPayload.tax || null,
+    giftCard: orderPayload.giftCard || null,
+    summary: orderPayload.summary || {},
+    items: normalizeCartItems(orderPayload.items || []),
+    theoreticalConsumption: theoretical,
+    inventory: orderPayload.inventory || { status: 'pending', lines: [] },
+    production: orderPayload.production || { status: 'pending', lineCount: theoretical.length },
+    closeSummary: orderPayload.closeSummary || null
+  };
+
+  const index = orders.findIndex(order => order.orderId === snapshot.orderId);
+  let stored;
+  if (index >= 0) {
+    stored = { ...orders[index], ...snapshot };
+    orders[index] = stored;
+  } else {
+    stored = {
+      ...snapshot,
+      payments: [],
+      payment: summarizeOrderPayments(snapshot, []),
+      flowStatus: 'CREADA',
+      statusHistory: [buildOrderStatusHistoryEntry('CREADA', null, {
+        operator: orderPayload.checkoutSource || 'checkout',
+        note: 'Pedido recibido',
+        at: snapshot.createdAt
+      })]
+    };
+    orders.push(stored);
+  }
+
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
+  return stored;
+}
+
+function registerOrderFromCheckout(orderPayload) {
+  return upsertOrderSnapshot(orderPayload);
+}
+
+function resolveOrderSnapshot(orderRef) {
+  if (!orderRef) {
+    return null;
+  }
+
+  if (typeof orderRef === 'object' && orderRef.orderId) {
+    return upsertOrderSnapshot(orderRef);
+  }
+
+  const orderId = String(orderRef);
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  return orders.find(order => order.orderId === orderId) || null;
+}
+
+function registerProductionConsumption(orderRef, actualConsumption = [], options = {}) {
+  const order = resolveOrderSnapshot(orderRef);
+  if (!order) {
+    return null;
+  }
+
+  const currentStatus = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  if (!ORDER_CONSUMPTION_STATUSES.has(currentStatus)) {
+    console.warn(`La orden ${order.orderId} está ${currentStatus}; el consumo se registra desde PAGADA.`);
+    return null;
+  }
+
+  // El consumo descuenta stock y se sincroniza con el ERP: una segunda vez solo entra como ajuste explícito
+  if (isProductionConsumed(order) && !options.adjustment) {
+    console.warn(`La orden ${order.orderId} ya tiene consumo registrado (${order.production.movementBatchId}); usa { adjustment: true } para ajustarlo.`);
+    return null;
+  }
+
+  const normalizedInput = normalizeProductionConsumptionInput(actualConsumption, options);
+  const theoreticalBySku = buildIndexBySku(order.theoreticalConsumption || []);
+  const skuCounts = normalizedInput.lines.reduce((acc, line) => {
+    const key = String(line.productSku || line.sku || line.code || '').trim();
+    if (!key) {
+      return acc;
+    }
+
+    acc.set(key, (acc.get(key) || 0) + 1);
+    return acc;
+  }, new Map());
+  const movementBatchId = `MOV-${Date.now().toString(36).toUpperCase()}`;
+  const movements = normalizedInput.lines.length
+    ? normalizedInput.lines.map((line, index) => {
+        const key = String(line.productSku || line.sku || line.code || '').trim();
+        const theoreticalLine = theoreticalBySku.get(key) || null;
+        return normalizeProductionConsumptionLine(
+          line,
+          {
+            ...normalizedInput,
+            orderId: order.orderId,
+            movementBatchId
+          },
+          theoreticalLine,
+          skuCounts.get(key) || 1,
+          index
+        );
+      })
+    : (order.theoreticalConsumption || []).map((line, index) => normalizeProductionConsumptionLine(
+        {
+          productSku: line.sku,
+          productName: line.name,
+          category: line.category,
+          quantity: line.quantity,
+          expectedSolidUsed: line.theoreticalSolid,
+          actualSolidUsed: line.theoreticalSolid,
+          lotCode: normalizedInput.lotCode,
+          operator: normalizedInput.operator,
+          producedAt: normalizedInput.producedAt,
+          notes: 'fallback-theoretical'
+        },
+        {
+          ...normalizedInput,
+          orderId: order.orderId,
+          movementBatchId
+        },
+        line,
+        1,
+        index
+      ));
+
+  const report = buildConsumptionDeviationReport(order, movements);
+  const stockControl = applyMaterialStockControl(movements, {
+    orderId: order.orderId,
+    movementBatchId,
+    operator: normalizedInput.operator
+  });
+  const totalMaterialCostCOP = +movements.reduce((acc, line) => {
+    if (Number.isFinite(line.materialCostImpact)) {
+      return acc + Number(line.materialCostImpact);
+    }
+
+    return acc + ((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0));
+  }, 0).toFixed(2);
+
+  const marginImpactAlert = buildMarginImpactAlertFromConsumption(order, movements, {
+    orderId: order.orderId,
+    movementBatchId,
+    operator: normalizedInput.operator
+  });
+  if (marginImpactAlert) {
+    stockControl.alerts = Array.isArray(stockControl.alerts)
+      ? [...stockControl.alerts, marginImpactAlert]
+      : [marginImpactAlert];
+    upsertMaterialStockAlert(marginImpactAlert);
+  }
+
+  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+  inventoryMovements.push(...movements);
+  safeWriteJsonStorage(INVENTORY_MOVEMENTS_KEY, inventoryMovements);
+
+  const inventoryOutEntry = {
+    entryId: `ACC-${order.orderId}-INVOUT`,
+    orderId: order.orderId,
+    entryType: 'INVENTORY_OUT',
+    accountCode: '143500-INVENTARIO-SALIDA',
+    description: `Salida inventario orden ${order.orderId}`,
+    amountCOP: getOrderInventoryOutCost(order),
+    quantity: Number(order.summary?.quantity) || 0,
+    currency: order.currency || 'COP',
+    source: 'produccion',
+    happenedAt: normalizedInput.producedAt,
+    movementBatchId,
+    status: 'PENDING_SYNC',
+    createdAt: new Date().toISOString()
+  };
+  upsertAccountingLedgerEntries([inventoryOutEntry]);
+
+  const productionLogs = safeReadJsonStorage(PRODUCTION_LOGS_KEY, []);
+  const totals = report ? {
+    theoretical: report.expectedSolidUsed || 0,
+    actual: report.actualSolidUsed,
+    variance: report.varianceSolid || 0,
+    variancePct: report.variancePct || 0
+  } : {
+    theoretical: 0,
+    actual: 0,
+    variance: 0,
+    variancePct: 0
+  };
+
+  productionLogs.push({
+    orderId: order.orderId,
+    movementBatchId,
+    productionAt: normalizedInput.producedAt,
+    lotId: normalizedInput.lotId,
+    lotCode: normalizedInput.lotCode,
+    operator: normalizedInput.operator,
+    totals,
+    report,
+    stockControl,
+    lines: movements
+  });
+  safeWriteJsonStorage(PRODUCTION_LOGS_KEY, productionLogs);
+
+  enqueueAccountingSyncMovements([{
+    syncId: `SYNC-${movementBatchId}-INVOUT`,
+    dedupeKey: `INVOUT-${movementBatchId}`,
+    movementType: 'INVENTORY_OUT',
+    orderId: order.orderId,
+    source: 'registerProductionConsumption',
+    payload: {
+      orderId: order.orderId,
+      movementBatchId,
+      producedAt: normalizedInput.producedAt,
+      operator: normalizedInput.operator,
+      totalMaterialCostCOP,
+      accountingEntryId: inventoryOutEntry.entryId,
+      lines: movements
+    }
+  }]);
+
+  const inventoryBase = typeof order.inventory === 'object' && order.inventory ? order.inventory : {};
+  const productionBase = typeof order.production === 'object' && order.production ? order.production : {};
+
+  upsertOrderSnapshot({
+    ...order,
+    inventory: {
+      ...inventoryBase,
+      status: 'consumed',
+      movementType: 'PRODUCCION_CONSUMO',
+      movementBatchId,
+      lotId: normalizedInput.lotId,
+      lotCode: normalizedInput.lotCode,
+      operator: normalizedInput.operator
+    },
+    production: {
+      ...productionBase,
+      status: 'consumed',
+      producedAt: normalizedInput.producedAt,
+      movementBatchId,
+      lotId: normalizedInput.lotId,
+      lotCode: normalizedInput.lotCode,
+      operator: normalizedInput.operator,
+      report,
+      stockControl,
+      totals,
+      actualCost: totalMaterialCostCOP
+    }
+  });
+
+  if (currentStatus === 'PAGADA') {
+    transitionOrderStatus(order.orderId, 'EN_PRODUCCION', {
+      operator: normalizedInput.operator,
+      note: normalizedInput.lotCode ? `Consumo registrado · lote ${normalizedInput.lotCode}` : 'Consumo registrado',
+      at: normalizedInput.producedAt
+    });
+  }
+
+  return {
+    orderId: order.orderId,
+    movementBatchId,
+    lotId: normalizedInput.lotId,
+    lotCode: normalizedInput.lotCode,
+    operator: normalizedInput.operator,
+    totals,
+    report,
+    stockControl,
+    lines: movements,
+    actualCost: totalMaterialCostCOP
+  };
+}
+
+function isProductionConsumed(order = {}) {
+  return order.production?.status === 'consumed' && Boolean(order.production.movementBatchId);
+}
+
+// Reconstruye el resultado de registerProductionConsumption con lo ya guardado en la orden y sus movimientos
+function getRegisteredProductionResult(order) {
+  const production = order.production;
+  const lines = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, [])
+    .filter(line => line.orderId === order.orderId && line.movementBatchId === production.movementBatchId);
+  const actualCost = Number.isFinite(Number(production.actualCost))
+    ? Number(production.actualCost)
+    : +lines.reduce((acc, line) => acc + (Number.isFinite(line.materialCostImpact)
+      ? Number(line.materialCostImpact)
+      : (Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0)), 0).toFixed(2);
+
+  return {
+    orderId: order.orderId,
+    movementBatchId: production.movementBatchId,
+    lotId: production.lotId,
+    lotCode: production.lotCode,
+    operator: production.operator,
+    totals: production.totals || { theoretical: 0, actual: 0, variance: 0, variancePct: 0 },
+    report: production.report || null,
+    stockControl: production.stockControl || null,
+    lines,
+    actualCost
+  };
+}
+
+function closeOrderWithConsumption(orderRef, actualConsumption = [], options = {}) {
+  const current = resolveOrderSnapshot(orderRef);
+  if (!current) {
+    return null;
+  }
+
+  if (!canTransitionOrderStatus(current.flowStatus, 'CERRADA')) {
+    console.warn(`La orden ${current.orderId} debe estar ENTREGADA para cerrarse (estado actual: ${current.flowStatus}).`);
+    return null;
+  }
+
+  // El consumo normalmente ya se registró al pasar a EN_PRODUCCION; solo se registra aquí si faltó
+  const productionResult = isProductionConsumed(current)
+    ? getRegisteredProductionResult(current)
+    : registerProductionConsumption(current.orderId, actualConsumption, options);
+  if (!productionResult) {
+    return null;
+  }
+
+  const closedAt = options.closedAt || new Date().toISOString();
+  const order = resolveOrderSnapshot(productionResult.orderId);
+  if (!order) {
+    return null;
+  }
+
+  const derivedActualCost = Number(productionResult.actualCost) || Number(productionResult.totalMaterialCostCOP) || null;
+  const actualCost = Number.isFinite(normalizeCurrencyValue(options.actualCost))
+    ? normalizeCurrencyValue(options.actualCost)
+    : derivedActualCost;
+
+  const closeSummary = {
+    closedAt,
+    theoreticalSolid: productionResult.totals.theoretical,
+    actualSolid: productionResult.totals.actual,
+    varianceSolid: productionResult.totals.variance,
+    variancePct: productionResult.totals.variancePct,
+    movementBatchId: productionResult.movementBatchId,
+    lotId: productionResult.lotId || null,
+    lotCode: productionResult.lotCode || null,
+    operator: productionResult.operator || null,
+    report: productionResult.report || null,
+    actualCost: Number.isFinite(actualCost) ? +Number(actualCost).toFixed(2) : null
+  };
+
+  const kpis = computeOrderKPIs(order, {
+    actualConsumption,
+    actualCost: Number.isFinite(actualCost) ? actualCost : options.actualCost,
+    consumptionReport: productionResult.report || null
+  });
+
+  if (kpis) {
+    closeSummary.kpis = kpis;
+    closeSummary.alerts = kpis.alerts;
+    closeSummary.apu = kpis.apu;
+    closeSummary.margin = kpis.margin;
+    closeSummary.consumption = kpis.consumption;
+    persistKpiReport(kpis);
+  }
+
+  const closingProductionBase = typeof order.production === 'object' && order.production ? order.production : {};
+
+  upsertOrderSnapshot({
+    ...order,
+    closeSummary,
+    production: {
+      ...closingProductionBase,
+      status: 'closed',
+      closedAt,
+      kpis
+    }
+  });
+
+  const closeTransition = transitionOrderStatus(order.orderId, 'CERRADA', {
+    operator: options.operator || productionResult.operator,
+    note: options.notes || 'Cierre con consumo real',
+    at: closedAt
+  });
+  if (!closeTransition.ok) {
+    console.warn(closeTransition.message);
+    return null;
+  }
+
+  const closedOrder = closeTransition.order;
+
+  const accountingEntries = buildAccountingEntriesFromOrder(closedOrder, {
+    kpis,
+    happenedAt: closedAt
+  });
+  upsertAccountingLedgerEntries(accountingEntries);
+  enqueueAccountingSyncMovements([
+    {
+      syncId: `SYNC-${closedOrder.orderId}-SALE`,
+      dedupeKey: `SALE-${closedOrder.orderId}`,
+      movementType: 'SALE',
+      orderId: closedOrder.orderId,
+      source: 'closeOrderWithConsumption',
+      payload: accountingEntries.find(entry => entry.entryType === 'SALE') || null
+    },
+    ...accountingEntries.filter(entry => ['VAT', 'SHIPPING'].includes(entry.entryType)).map(entry => ({
+      syncId: `SYNC-${closedOrder.orderId}-${entry.entryType}`,
+      dedupeKey: `${entry.entryType}-${closedOrder.orderId}`,
+      movementType: entry.entryType,
+      orderId: closedOrder.orderId,
+      source: 'closeOrderWithConsumption',
+      payload: entry
+    })),
+    {
+      syncId: `SYNC-${closedOrder.orderId}-COGS`,
+      dedupeKey: `COGS-${closedOrder.orderId}`,
+      movementType: 'COGS',
+      orderId: closedOrder.orderId,
+      source: 'closeOrderWithConsumption',
+      payload: accountingEntries.find(entry => entry.entryType === 'COGS') || null
+    }
+  ]);
+  buildAccountingReconciliationSnapshot({ scope: 'order-close' });
+
+  const pendingOrder = safeReadJsonStorage('cyberduck:pendingOrder', null);
+  if (pendingOrder && pendingOrder.orderId === closedOrder.orderId) {
+    try {
+      localStorage.removeItem('cyberduck:pendingOrder');
+    } catch (error) {
+      console.warn('No se pudo limpiar pendingOrder:', error);
     }
   }
 
-  buildAccountingReconciliationSnapshot({ scope: 'erp-sync' });
+  return closedOrder;
+}
 
-  return {
-    ok: failures.length === 0,
-    attempted: pending.length,
-    synced,
-    failed: failures.length,
-    failures
-  };
+// La tarjeta de regalo no se redime aquí: el envío puede fallar o quedar en cola (ver markCheckoutSubmissionCompleted)
+function persistPendingOrder(payload) {
+  safeWriteJsonStorage('cyberduck:pendingOrder', payload);
+  registerOrderFromCheckout(payload);
+  registerDiscountRedemption(payload);
 }
 
-async function runAccountingSyncBridgeCycle(options = {}) {
-  if (accountingSyncBridgeInFlight) {
-    return {
-      ok: false,
-      skipped: true,
-      reason: 'in-flight'
-    };
+// La tarjeta aplicada en checkout se registra como pago de la orden una vez confirmado el pedido; no se redime dos veces
+function redeemCheckoutGiftCard(orderPayload = {}) {
+  const giftCard = orderPayload.giftCard;
+  if (!giftCard?.valid || !(giftCard.amountCOP > 0)) {
+    return null;
   }
 
-  accountingSyncBridgeInFlight = true;
-  try {
-    const result = await syncPendingAccountingMovements(options);
-    accountingSyncBridgeState.lastRunAt = new Date().toISOString();
-    accountingSyncBridgeState.lastResult = result;
-    accountingSyncBridgeState.lastError = result.ok ? null : result.reason || (result.failures?.[0]?.error || null);
-    return result;
-  } catch (error) {
-    accountingSyncBridgeState.lastRunAt = new Date().toISOString();
-    accountingSyncBridgeState.lastError = String(error?.message || error);
-    return {
-      ok: false,
-      error: accountingSyncBridgeState.lastError
-    };
-  } finally {
-    accountingSyncBridgeInFlight = false;
+  const order = safeReadJsonStorage(ORDER_STORAGE_KEY, []).find(item => item.orderId === orderPayload.orderId);
+  if ((order?.payments || []).some(payment => payment.method === 'tarjeta-regalo' && payment.reference === giftCard.code)) {
+    return null;
   }
-}
 
-function startAccountingSyncBridge(options = {}) {
-  const config = resolveAccountingSyncBridgeConfig(options);
-  if (!config.endpoint) {
-    return {
-      started: false,
-      reason: 'missing-endpoint',
-      config
-    };
+  const result = registerOrderPayment(orderPayload.orderId, {
+    method: 'tarjeta-regalo',
+    amountCOP: giftCard.amountCOP,
+    reference: giftCard.code,
+    operator: 'checkout',
+    note: 'Redención en checkout',
+    receivedAt: orderPayload.createdAt
+  });
+  if (!result.ok) {
+    console.warn(`No se pudo redimir la tarjeta ${giftCard.code} en la orden ${orderPayload.orderId}:`, result.message);
+    flagGiftCardRedemptionFailure(orderPayload.orderId, giftCard, result.message);
   }
+  return result;
+}
 
-  if (accountingSyncBridgeIntervalId) {
-    clearInterval(accountingSyncBridgeIntervalId);
+// Si la redención falla la orden vuelve a deber el total y queda una alerta en su historial para el panel operativo
+function flagGiftCardRedemptionFailure(orderId, giftCard = {}, reason = '') {
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const index = orders.findIndex(order => order.orderId === orderId);
+  if (index < 0) {
+    return null;
   }
 
-  accountingSyncBridgeState = {
-    ...accountingSyncBridgeState,
-    isRunning: true,
-    intervalMs: config.intervalMs,
-    lastError: null
+  const order = orders[index];
+  const total = Number(order.summary?.total) || 0;
+  const detail = String(reason || 'sin detalle').replace(/\.+$/, '');
+  const entry = {
+    ...buildOrderStatusHistoryEntry(normalizeOrderFlowStatus(order.flowStatus || 'CREADA'), null, {
+      operator: 'checkout',
+      note: `No se pudo redimir la tarjeta de regalo ${giftCard.code}: ${detail}. Se deben cobrar $${formatPrice(total)} COP por otro medio.`
+    }),
+    alert: 'gift-card-redemption-failed'
   };
-
-  if (config.runImmediately) {
-    runAccountingSyncBridgeCycle(config).catch(error => {
-      console.warn('Error en ciclo inmediato de sincronización contable:', error);
-    });
-  }
-
-  accountingSyncBridgeIntervalId = setInterval(() => {
-    runAccountingSyncBridgeCycle(config).catch(error => {
-      console.warn('Error en sincronización contable programada:', error);
-    });
-  }, config.intervalMs);
-
-  return {
-    started: true,
-    intervalMs: config.intervalMs,
-    batchSize: config.batchSize,
-    endpoint: config.endpoint
+  const updated = {
+    ...order,
+    updatedAt: entry.at,
+    // Sin valid un reenvío no la vuelve a intentar; el saldo se cobra desde el panel operativo
+    giftCard: { ...giftCard, valid: false, redemptionFailed: true, redemptionError: reason },
+    summary: { ...order.summary, giftCardAmount: 0, amountDue: total },
+    statusHistory: [...(Array.isArray(order.statusHistory) ? order.statusHistory : []), entry]
   };
+
+  orders[index] = updated;
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
+  return updated;
 }
 
-function stopAccountingSyncBridge() {
-  if (accountingSyncBridgeIntervalId) {
-    clearInterval(accountingSyncBridgeIntervalId);
-    accountingSyncBridgeIntervalId = null;
-  }
+// Nequi y tarjeta llegan a la cuenta bancaria; el efectivo entra a caja
+const PAYMENT_METHODS = {
+  nequi: { label: 'Nequi', accountCode: '111005-BANCOS', requiresReference: true, uniqueReference: true },
+  transferencia: { label: 'Transferencia bancaria', accountCode: '111005-BANCOS', requiresReference: true, uniqueReference: true },
+  tarjeta: { label: 'Tarjeta', accountCode: '111005-BANCOS', requiresReference: true, uniqueReference: true },
+  efectivo: { label: 'Efectivo', accountCode: '110505-CAJA', requiresReference: false },
+  // La referencia es el código de la tarjeta; no es caja ni banco: solo deja el asiento GIFT_CARD que descuenta el pasivo
+  'tarjeta-regalo': { label: 'Tarjeta de regalo', accountCode: GIFT_CARD_LIABILITY_ACCOUNT, requiresReference: true, giftCard: true }
+};
 
-  accountingSyncBridgeState = {
-    ...accountingSyncBridgeState,
-    isRunning: false
-  };
+function getPaymentMethods() {
+  return Object.entries(PAYMENT_METHODS).map(([code, method]) => ({ code, ...method }));
+}
 
-  return {
-    stopped: true,
-    lastRunAt: accountingSyncBridgeState.lastRunAt,
-    lastError: accountingSyncBridgeState.lastError
-  };
+function isGiftCardPaymentMethod(methodCode) {
+  return Boolean(PAYMENT_METHODS[methodCode]?.giftCard);
 }
 
-function getAccountingSyncBridgeState() {
+function summarizeOrderPayments(order = {}, payments = order.payments || [], refunds = order.refunds || []) {
+  const totalCOP = Math.round(getOrderTotalAmount(order));
+  const refundedCOP = Math.round(refunds.reduce((acc, refund) => acc + (Number(refund.amountCOP) || 0), 0));
+  const paidCOP = Math.round(payments.reduce((acc, payment) => acc + (Number(payment.amountCOP) || 0), 0)) - refundedCOP;
+  const balanceCOP = Math.max(0, totalCOP - paidCOP);
+  let status = paidCOP <= 0 ? 'unpaid' : (balanceCOP === 0 ? 'paid' : 'partial');
+  if (refundedCOP > 0 && paidCOP <= 0) {
+    status = 'refunded';
+  }
+
   return {
-    ...accountingSyncBridgeState,
-    inFlight: accountingSyncBridgeInFlight,
-    pending: getPendingAccountingSyncMovements().filter(shouldSyncMovement).length,
-    config: getAccountingSyncBridgeConfig()
+    status,
+    totalCOP,
+    paidCOP,
+    refundedCOP,
+    balanceCOP,
+    lastPaymentAt: payments.length ? payments[payments.length - 1].receivedAt : null
   };
 }
 
-function formatRowsToCsv(rows = [], headers = []) {
-  const toCell = (value) => {
-    const text = value === undefined || value === null ? '' : String(value);
-    if (/[,"\n\r]/.test(text)) {
-      return `"${text.replaceAll('"', '""')}"`;
-    }
-    return text;
-  };
-
-  const lines = [headers.join(',')];
-  rows.forEach(row => {
-    lines.push(headers.map(header => toCell(row[header])).join(','));
-  });
-
-  return `${lines.join('\n')}\n`;
+function getOrderPaymentSummary(orderRef) {
+  const order = typeof orderRef === 'object' && orderRef
+    ? orderRef
+    : safeReadJsonStorage(ORDER_STORAGE_KEY, []).find(item => item.orderId === String(orderRef || ''));
+  return order ? summarizeOrderPayments(order, Array.isArray(order.payments) ? order.payments : []) : null;
 }
 
-function exportAccountingData(options = {}) {
+function registerOrderPayment(orderRef, input = {}) {
+  const orderId = typeof orderRef === 'object' && orderRef ? orderRef.orderId : String(orderRef || '');
   const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
-  const ledger = getAccountingLedgerEntries();
-  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
-  const fromDate = options.fromDate ? new Date(options.fromDate) : null;
-  const toDate = options.toDate ? new Date(options.toDate) : null;
-
-  const inRange = (value) => {
-    if (!value) {
-      return true;
-    }
-
-    const time = new Date(value).getTime();
-    if (Number.isNaN(time)) {
-      return true;
-    }
-
-    const meetsFrom = fromDate ? time >= fromDate.getTime() : true;
-    const meetsTo = toDate ? time <= toDate.getTime() : true;
-    return meetsFrom && meetsTo;
-  };
+  const index = orders.findIndex(order => order.orderId === orderId);
 
-  const sales = orders
-    .filter(order => inRange(order.createdAt))
-    .map(order => ({
-      orderId: order.orderId,
-      fecha: order.createdAt,
-      cliente: order.customer?.fullName || '',
-      medioPago: order.paymentMethod || '',
-      moneda: order.currency || 'COP',
-      cantidad: Number(order.summary?.quantity) || 0,
-      totalVentaCOP: +(Number(order.summary?.subtotal) || 0).toFixed(2)
-    }));
+  if (index < 0) {
+    return { ok: false, reason: 'not-found', message: `No existe la orden ${orderId || '(sin ID)'}.` };
+  }
 
-  const inventoryOut = inventoryMovements
-    .filter(line => inRange(line.producedAt || line.createdAt))
-    .map(line => ({
-      orderId: line.orderId || '',
-      movementBatchId: line.movementBatchId || '',
-      fecha: line.producedAt || line.createdAt || '',
-      sku: line.productSku || '',
-      materialCode: line.materialCode || '',
-      cantidad: Number(line.actualSolidUsed) || 0,
-      unidad: line.unit || 'g',
-      costoSalidaCOP: Number.isFinite(line.materialCostImpact)
-        ? +Number(line.materialCostImpact).toFixed(2)
-        : +((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0)).toFixed(2)
-    }));
+  const order = orders[index];
+  const flowStatus = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  if (flowStatus === 'CANCELADA' || flowStatus === 'CERRADA') {
+    return { ok: false, reason: 'order-locked', message: `La orden ${orderId} está ${flowStatus} y no recibe pagos.` };
+  }
 
-  const cogs = ledger
-    .filter(entry => entry.entryType === 'COGS' && inRange(entry.happenedAt || entry.createdAt))
-    .map(entry => ({
-      orderId: entry.orderId,
-      fecha: entry.happenedAt || entry.createdAt,
-      cuentaContable: entry.accountCode,
-      costoVentasCOP: +Number(entry.amountCOP || 0).toFixed(2),
-      estadoSync: entry.status || 'PENDING_SYNC'
-    }));
+  const methodCode = String(input.method || order.paymentMethod || '').trim().toLowerCase();
+  const method = PAYMENT_METHODS[methodCode];
+  if (!method) {
+    return { ok: false, reason: 'invalid-method', message: 'Selecciona un medio de pago válido.' };
+  }
 
-  return {
-    generatedAt: new Date().toISOString(),
-    filters: {
-      fromDate: options.fromDate || null,
-      toDate: options.toDate || null
-    },
-    sales,
-    inventoryOut,
-    cogs,
-    csv: {
-      sales: formatRowsToCsv(sales, ['orderId', 'fecha', 'cliente', 'medioPago', 'moneda', 'cantidad', 'totalVentaCOP']),
-      inventoryOut: formatRowsToCsv(inventoryOut, ['orderId', 'movementBatchId', 'fecha', 'sku', 'materialCode', 'cantidad', 'unidad', 'costoSalidaCOP']),
-      cogs: formatRowsToCsv(cogs, ['orderId', 'fecha', 'cuentaContable', 'costoVentasCOP', 'estadoSync'])
-    }
-  };
-}
+  const amountCOP = Math.round(normalizeCurrencyValue(input.amountCOP));
+  if (!Number.isFinite(amountCOP) || amountCOP <= 0) {
+    return { ok: false, reason: 'invalid-amount', message: 'El valor recibido debe ser mayor a cero.' };
+  }
 
-function buildAccountingReconciliationSnapshot(options = {}) {
-  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
-  const ledger = getAccountingLedgerEntries();
-  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+  const reference = String(input.reference || '').trim();
+  if (method.requiresReference && !reference) {
+    return { ok: false, reason: 'missing-reference', message: `Ingresa la referencia de ${method.label}.` };
+  }
 
-  const closedOrders = orders.filter(order => String(order.flowStatus || '').toUpperCase() === 'CERRADA');
-  const totalSales = closedOrders.reduce((acc, order) => acc + (Number(order.summary?.subtotal) || 0), 0);
-  const totalInventoryOut = inventoryMovements.reduce((acc, line) => {
-    const explicit = Number(line.materialCostImpact);
-    if (Number.isFinite(explicit)) {
-      return acc + explicit;
-    }
+  const receivedAt = input.receivedAt ? new Date(input.receivedAt) : new Date();
+  if (Number.isNaN(receivedAt.getTime())) {
+    return { ok: false, reason: 'invalid-date', message: 'La fecha del pago no es válida.' };
+  }
 
-    return acc + ((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0));
-  }, 0);
-  const totalCogs = closedOrders.reduce((acc, order) => {
-    const kpiCost = Number(order.closeSummary?.kpis?.margin?.totalCost);
-    if (Number.isFinite(kpiCost) && kpiCost > 0) {
-      return acc + kpiCost;
+  // La misma referencia bancaria no puede respaldar dos pagos, ni siquiera en órdenes distintas
+  if (reference && method.uniqueReference) {
+    const normalizedReference = reference.toUpperCase();
+    const duplicate = orders.find(item => (item.payments || []).some(payment => payment.method === methodCode && String(payment.reference || '').toUpperCase() === normalizedReference));
+    if (duplicate) {
+      return { ok: false, reason: 'duplicate-reference', message: `La referencia ${reference} ya está registrada en la orden ${duplicate.orderId}.` };
     }
+  }
 
-    return acc + (Number(order.summary?.estimatedCost) || 0);
-  }, 0);
-
-  const ledgerSales = ledger.filter(entry => entry.entryType === 'SALE').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
-  const ledgerInventoryOut = ledger.filter(entry => entry.entryType === 'INVENTORY_OUT').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
-  const ledgerCogs = ledger.filter(entry => entry.entryType === 'COGS').reduce((acc, entry) => acc + (Number(entry.amountCOP) || 0), 0);
+  const payments = Array.isArray(order.payments) ? order.payments : [];
+  const before = summarizeOrderPayments(order, payments);
+  if (amountCOP > before.balanceCOP) {
+    return {
+      ok: false,
+      reason: 'overpayment',
+      message: `El valor supera el saldo pendiente ($${before.balanceCOP.toLocaleString('es-CO')} COP).`
+    };
+  }
 
-  const snapshot = {
-    generatedAt: new Date().toISOString(),
-    scope: options.scope || 'global',
-    ordersClosed: closedOrders.length,
-    totals: {
-      salesOperationalCOP: +totalSales.toFixed(2),
-      inventoryOutOperationalCOP: +totalInventoryOut.toFixed(2),
-      cogsOperationalCOP: +totalCogs.toFixed(2),
-      salesLedgerCOP: +ledgerSales.toFixed(2),
-      inventoryOutLedgerCOP: +ledgerInventoryOut.toFixed(2),
-      cogsLedgerCOP: +ledgerCogs.toFixed(2)
-    },
-    deltas: {
-      salesVsLedgerCOP: +(totalSales - ledgerSales).toFixed(2),
-      inventoryOutVsLedgerCOP: +(totalInventoryOut - ledgerInventoryOut).toFixed(2),
-      cogsVsLedgerCOP: +(totalCogs - ledgerCogs).toFixed(2),
-      inventoryVsCogsOperationalCOP: +(totalInventoryOut - totalCogs).toFixed(2)
-    },
-    queue: {
-      pending: getPendingAccountingSyncMovements().length,
-      synced: getAccountingSyncQueue().filter(item => item.status === 'SYNCED').length,
-      total: getAccountingSyncQueue().length
+  if (method.giftCard) {
+    const giftCardCheck = evaluateGiftCardCode(reference, amountCOP);
+    if (!giftCardCheck.valid || giftCardCheck.amountCOP < amountCOP) {
+      return {
+        ok: false,
+        reason: 'gift-card-balance',
+        message: giftCardCheck.valid
+          ? `La tarjeta ${giftCardCheck.code} solo tiene $${formatPrice(giftCardCheck.balanceCOP)} COP de saldo.`
+          : giftCardCheck.message
+      };
     }
+  }
+
+  const paymentId = `PAY-${orderId}-${payments.length + 1}`;
+  const operator = String(input.operator || '').trim() || 'sistema';
+  const payment = {
+    paymentId,
+    method: methodCode,
+    amountCOP,
+    reference: method.giftCard ? normalizeGiftCardCode(reference) : reference,
+    receivedAt: receivedAt.toISOString(),
+    operator,
+    note: String(input.note || '').trim(),
+    registeredAt: new Date().toISOString()
   };
+  const nextPayments = [...payments, payment];
+  const summary = summarizeOrderPayments(order, nextPayments);
 
-  const snapshots = safeReadJsonStorage(ACCOUNTING_RECONCILIATIONS_KEY, []);
-  snapshots.push(snapshot);
-  safeWriteJsonStorage(ACCOUNTING_RECONCILIATIONS_KEY, snapshots);
+  orders[index] = {
+    ...order,
+    updatedAt: payment.registeredAt,
+    payments: nextPayments,
+    payment: summary
+  };
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
 
-  return snapshot;
-}
+  if (method.giftCard) {
+    const card = adjustGiftCardBalance(payment.reference, 'REDEEM', amountCOP, orderId, payment.receivedAt);
+    return finishOrderPayment(orderId, flowStatus, summary, method, payment, card ? card.movements[card.movements.length - 1] : null);
+  }
 
-function categorySolidPerUnit(category) {
-  const key = String(category || '').trim().toLowerCase();
-  return CATEGORY_SOLID_GRAMS[key] || CATEGORY_SOLID_GRAMS.default;
+  const ledgerEntry = {
+    entryId: `ACC-${paymentId}`,
+    orderId,
+    entryType: 'PAYMENT',
+    accountCode: method.accountCode,
+    description: `Pago ${method.label} orden ${orderId}${reference ? ` ref ${reference}` : ''}`,
+    amountCOP,
+    paymentMethod: methodCode,
+    reference,
+    quantity: 1,
+    currency: order.currency || 'COP',
+    source: 'registro-pagos',
+    happenedAt: payment.receivedAt,
+    createdAt: payment.registeredAt
+  };
+  upsertAccountingLedgerEntries([ledgerEntry]);
+  enqueueAccountingSyncMovements([{
+    syncId: `SYNC-${paymentId}`,
+    dedupeKey: `PAYMENT-${paymentId}`,
+    movementType: 'PAYMENT',
+    orderId,
+    source: 'registerOrderPayment',
+    payload: ledgerEntry
+  }]);
+
+  return finishOrderPayment(orderId, flowStatus, summary, method, payment, ledgerEntry);
 }
 
-function computeTheoreticalConsumption(items = []) {
-  return normalizeCartItems(items).map(item => {
-    const solidPerUnit = categorySolidPerUnit(item.category);
-    const theoreticalSolid = +(solidPerUnit * item.quantity).toFixed(2);
+// Pasa la orden a PAGADA cuando el pago la salda por completo
+function finishOrderPayment(orderId, flowStatus, summary, method, payment, entry) {
+  const reference = payment.reference;
+  let updatedOrder = safeReadJsonStorage(ORDER_STORAGE_KEY, []).find(order => order.orderId === orderId);
+  if (summary.status === 'paid' && canTransitionOrderStatus(flowStatus, 'PAGADA')) {
+    const transition = transitionOrderStatus(orderId, 'PAGADA', {
+      operator: payment.operator,
+      note: `Pago completo · ${method.label}${reference ? ` ${reference}` : ''}`,
+      at: payment.receivedAt
+    });
+    if (transition.ok) {
+      updatedOrder = transition.order;
+    }
+  }
 
-    return {
-      sku: item.sku || item.id,
-      name: item.name,
-      category: item.category,
-      quantity: item.quantity,
-      solidPerUnit,
-      theoreticalSolid
-    };
-  });
+  return { ok: true, order: updatedOrder, payment, summary, entry };
 }
 
-function normalizeMaterialCode(value) {
-  return String(value || '').trim().toUpperCase();
-}
+// Devuelve a stock (o registra como merma) el material consumido y reversa los asientos ya causados de la orden
+function reverseOrderPostings(order, { materialDisposition = 'restock', operator = 'sistema', note = '', at } = {}) {
+  const orderId = order.orderId;
+  const happenedAt = at || new Date().toISOString();
+  const now = new Date().toISOString();
+  const materialCostCOP = getOrderInventoryOutCost(order);
+  const entries = [];
+  const syncMovements = [];
+  let restockBatchId = null;
+
+  if (materialCostCOP !== 0 && materialDisposition === 'restock') {
+    restockBatchId = `MOV-${Date.now().toString(36).toUpperCase()}-REV`;
+    const consumed = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, [])
+      .filter(line => line.orderId === orderId && !line.reversalOf);
+    const reversed = consumed.map((line, index) => ({
+      ...line,
+      entryId: `${restockBatchId}-${index + 1}`,
+      movementBatchId: restockBatchId,
+      movementType: 'PRODUCCION_REVERSO',
+      reversalOf: line.entryId,
+      operator,
+      producedAt: happenedAt,
+      actualSolidUsed: -(Number(line.actualSolidUsed) || 0),
+      materialCostImpact: -(Number(line.materialCostImpact) || 0),
+      expectedSolidUsed: null,
+      varianceSolid: null,
+      variancePct: null,
+      withinTolerance: true,
+      notes: note || 'Material devuelto por cancelación'
+    }));
 
-function resolveMaterialProfile(category = '') {
-  const key = String(category || '').trim().toLowerCase();
-  return CATEGORY_MATERIAL_PROFILE[key] || CATEGORY_MATERIAL_PROFILE.default;
-}
+    applyMaterialStockControl(reversed, { orderId, movementBatchId: restockBatchId, operator });
+    const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
+    inventoryMovements.push(...reversed);
+    safeWriteJsonStorage(INVENTORY_MOVEMENTS_KEY, inventoryMovements);
 
-function getHistoricalMaterialConsumption(materialCode, movements = []) {
-  const target = normalizeMaterialCode(materialCode);
-  const summary = movements
-    .filter(line => normalizeMaterialCode(line.materialCode) === target)
-    .reduce((acc, line) => {
-      const consumed = Number(line.actualSolidUsed) || 0;
-      const batchId = String(line.movementBatchId || 'SIN_LOTE');
-      acc.totalConsumed += consumed;
-      acc.batches.add(batchId);
-      return acc;
-    }, { totalConsumed: 0, batches: new Set() });
+    const restockEntry = {
+      entryId: `ACC-${orderId}-INVOUT-REV`,
+      orderId,
+      entryType: 'INVENTORY_OUT',
+      accountCode: '143500-INVENTARIO-SALIDA',
+      description: `Reverso salida inventario orden ${orderId} (material devuelto)`,
+      amountCOP: -materialCostCOP,
+      reversalOf: `ACC-${orderId}-INVOUT`,
+      quantity: Number(order.summary?.quantity) || 0,
+      currency: order.currency || 'COP',
+      source: 'cancelacion',
+      happenedAt,
+      movementBatchId: restockBatchId,
+      createdAt: now
+    };
+    entries.push(restockEntry);
+    syncMovements.push({
+      syncId: `SYNC-${restockBatchId}-INVOUT`,
+      dedupeKey: `INVOUT-${restockBatchId}`,
+      movementType: 'INVENTORY_OUT',
+      orderId,
+      source: 'cancelOrder',
+      payload: { ...restockEntry, lines: reversed }
+    });
+  } else if (materialCostCOP !== 0) {
+    const scrapEntry = {
+      entryId: `ACC-${orderId}-SCRAP`,
+      orderId,
+      entryType: 'SCRAP',
+      accountCode: '613595-MERMAS-PRODUCCION',
+      description: `Merma por cancelación orden ${orderId}`,
+      amountCOP: materialCostCOP,
+      quantity: Number(order.summary?.quantity) || 0,
+      currency: order.currency || 'COP',
+      source: 'cancelacion',
+      happenedAt,
+      createdAt: now
+    };
+    entries.push(scrapEntry);
+    syncMovements.push({
+      syncId: `SYNC-${orderId}-SCRAP`,
+      dedupeKey: `SCRAP-${orderId}`,
+      movementType: 'SCRAP',
+      orderId,
+      source: 'cancelOrder',
+      payload: scrapEntry
+    });
+  }
+
+  // Venta, IVA, envío y costo solo existen si la orden alcanzó a cerrarse
+  const ledger = getAccountingLedgerEntries();
+  const reversedIds = new Set(ledger.map(entry => entry.reversalOf).filter(Boolean));
+  ledger
+    .filter(entry => entry.orderId === orderId && ['SALE', 'VAT', 'SHIPPING', 'COGS'].includes(entry.entryType))
+    .filter(entry => !entry.reversalOf && !reversedIds.has(entry.entryId))
+    .forEach(entry => {
+      const reversal = {
+        ...entry,
+        entryId: `${entry.entryId}-REV`,
+        description: `Reverso ${entry.description}`,
+        amountCOP: -(Number(entry.amountCOP) || 0),
+        reversalOf: entry.entryId,
+        source: 'cancelacion',
+        status: 'PENDING_SYNC',
+        happenedAt,
+        createdAt: now
+      };
+      delete reversal.updatedAt;
+      entries.push(reversal);
+      syncMovements.push({
+        syncId: `SYNC-${orderId}-${entry.entryType}-REV`,
+        dedupeKey: `${entry.entryType}-REV-${orderId}`,
+        movementType: entry.entryType,
+        orderId,
+        source: 'cancelOrder',
+        payload: reversal
+      });
+    });
+
+  upsertAccountingLedgerEntries(entries);
+  enqueueAccountingSyncMovements(syncMovements);
 
   return {
-    totalConsumed: summary.totalConsumed,
-    batchCount: summary.batches.size || 1,
-    averagePerBatch: summary.totalConsumed > 0 ? summary.totalConsumed / (summary.batches.size || 1) : 0
+    materialDisposition,
+    materialCostCOP,
+    scrapCostCOP: materialDisposition === 'restock' ? 0 : materialCostCOP,
+    restockBatchId,
+    reversedEntryIds: entries.map(entry => entry.reversalOf).filter(Boolean)
   };
 }
 
-function deriveMaterialPolicy(materialCode, context = {}, movements = []) {
-  const normalizedCode = normalizeMaterialCode(materialCode);
-  const historical = getHistoricalMaterialConsumption(normalizedCode, movements);
-  const unitCostCOP = Number(context.unitCostCOP) || resolveMaterialProfile(context.category).unitCostCOP;
-  const averagePerBatch = historical.averagePerBatch || Number(context.consumedSolid) || 50;
-  let criticalityMultiplier = 1.3;
-  if (unitCostCOP >= CRITICAL_COST_THRESHOLD.critical) {
-    criticalityMultiplier = 1.8;
-  } else if (unitCostCOP >= CRITICAL_COST_THRESHOLD.high) {
-    criticalityMultiplier = 1.5;
+// Cambia el estado primero: si la transición se rechaza no se escribe ningún reverso contable ni de inventario
+function finalizeOrderCancellation(order, options = {}) {
+  const cancelledAt = options.at || new Date().toISOString();
+  const operator = String(options.operator || '').trim() || 'sistema';
+  const transition = transitionOrderStatus(order.orderId, 'CANCELADA', {
+    operator,
+    note: options.note || 'Orden cancelada',
+    at: cancelledAt
+  });
+  if (!transition.ok) {
+    return transition;
   }
-  const safetyStock = Math.max(30, Math.round(averagePerBatch * criticalityMultiplier));
-  const minStock = Math.max(safetyStock + 10, Math.round(averagePerBatch * (criticalityMultiplier + 0.8)));
-  const maxStock = Math.max(minStock + 20, Math.round(minStock * 2.2));
 
-  return {
-    materialCode: normalizedCode,
-    materialName: context.materialName || resolveMaterialProfile(context.category).materialName,
-    unit: context.unit || resolveMaterialProfile(context.category).unit,
-    unitCostCOP,
-    safetyStock,
-    minStock,
-    maxStock,
-    reorderPoint: minStock,
-    updatedAt: new Date().toISOString()
-  };
+  return recordOrderCancellation(transition.order, { ...options, at: cancelledAt, operator });
 }
 
-function getMaterialStockControlState() {
-  return safeReadJsonStorage(MATERIAL_STOCK_KEY, {});
-}
+// Reversa consumos y contabilidad de una orden ya pasada a CANCELADA y guarda el detalle de la cancelación
+function recordOrderCancellation(order, options = {}, refund = null) {
+  const cancelledAt = options.at || new Date().toISOString();
+  const operator = String(options.operator || '').trim() || 'sistema';
+  const materialDisposition = options.materialDisposition === 'scrap' ? 'scrap' : 'restock';
+  const postings = reverseOrderPostings(order, { materialDisposition, operator, note: options.note, at: cancelledAt });
+  const voidedGiftCards = voidGiftCardsForOrder(order.orderId, cancelledAt);
 
-function getMaterialStockPolicies() {
-  return safeReadJsonStorage(MATERIAL_STOCK_POLICIES_KEY, {});
-}
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const index = orders.findIndex(item => item.orderId === order.orderId);
+  const inventoryBase = typeof orders[index].inventory === 'object' && orders[index].inventory ? orders[index].inventory : {};
+  orders[index] = {
+    ...orders[index],
+    inventory: {
+      ...inventoryBase,
+      status: postings.materialCostCOP ? (materialDisposition === 'restock' ? 'returned' : 'scrapped') : 'released'
+    },
+    cancellation: {
+      cancelledAt,
+      operator,
+      reason: String(options.reason || options.note || '').trim(),
+      refundId: refund?.refundId || null,
+      voidedGiftCards,
+      ...postings
+    }
+  };
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
 
-function upsertMaterialStockAlert(alert) {
-  const alerts = safeReadJsonStorage(MATERIAL_STOCK_ALERTS_KEY, []);
-  alerts.push({ ...alert, createdAt: new Date().toISOString() });
-  safeWriteJsonStorage(MATERIAL_STOCK_ALERTS_KEY, alerts);
-  return alerts;
+  buildAccountingReconciliationSnapshot({ scope: 'order-cancel' });
+  return { ok: true, order: orders[index], cancellation: orders[index].cancellation, refund };
 }
 
-function setMaterialStockLevel(materialCode, onHand, metadata = {}) {
-  const normalizedCode = normalizeMaterialCode(materialCode);
-  if (!normalizedCode) {
-    return null;
+function cancelOrder(orderRef, options = {}) {
+  const orderId = typeof orderRef === 'object' && orderRef ? orderRef.orderId : String(orderRef || '');
+  const order = safeReadJsonStorage(ORDER_STORAGE_KEY, []).find(item => item.orderId === orderId);
+  if (!order) {
+    return { ok: false, reason: 'not-found', message: `No existe la orden ${orderId || '(sin ID)'}.` };
   }
 
-  const state = getMaterialStockControlState();
-  const current = state[normalizedCode] || {};
-  state[normalizedCode] = {
-    ...current,
-    materialCode: normalizedCode,
-    materialName: metadata.materialName || current.materialName || resolveMaterialProfile(metadata.category).materialName,
-    unit: metadata.unit || current.unit || resolveMaterialProfile(metadata.category).unit,
-    unitCostCOP: Number(metadata.unitCostCOP) || Number(current.unitCostCOP) || resolveMaterialProfile(metadata.category).unitCostCOP,
-    onHand: Number(onHand) || 0,
-    updatedAt: new Date().toISOString()
-  };
+  const flowStatus = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  if (!canTransitionOrderStatus(flowStatus, 'CANCELADA')) {
+    return {
+      ok: false,
+      reason: 'invalid-transition',
+      message: ORDER_REFUND_CANCELLABLE_STATUSES.has(flowStatus)
+        ? `La orden ${orderId} ya fue despachada; cancélala con un reembolso.`
+        : `La orden ${orderId} está ${flowStatus} y no se puede cancelar.`
+    };
+  }
 
-  safeWriteJsonStorage(MATERIAL_STOCK_KEY, state);
-  return state[normalizedCode];
+  if (summarizeOrderPayments(order).paidCOP > 0) {
+    return {
+      ok: false,
+      reason: 'refund-required',
+      message: `La orden ${orderId} tiene pagos registrados; cancélala con un reembolso.`
+    };
+  }
+
+  return finalizeOrderCancellation(order, options);
 }
 
-function upsertMaterialStockPolicy(materialCode, policyInput = {}) {
-  const normalizedCode = normalizeMaterialCode(materialCode);
-  if (!normalizedCode) {
-    return null;
+function refundOrder(orderRef, input = {}) {
+  const orderId = typeof orderRef === 'object' && orderRef ? orderRef.orderId : String(orderRef || '');
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const index = orders.findIndex(item => item.orderId === orderId);
+  if (index < 0) {
+    return { ok: false, reason: 'not-found', message: `No existe la orden ${orderId || '(sin ID)'}.` };
   }
 
-  const movements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
-  const policies = getMaterialStockPolicies();
-  const derived = deriveMaterialPolicy(normalizedCode, policyInput, movements);
-  policies[normalizedCode] = {
-    ...derived,
-    ...policyInput,
-    materialCode: normalizedCode,
-    safetyStock: Number(policyInput.safetyStock) || derived.safetyStock,
-    minStock: Number(policyInput.minStock) || derived.minStock,
-    maxStock: Number(policyInput.maxStock) || derived.maxStock,
-    reorderPoint: Number(policyInput.reorderPoint) || Number(policyInput.minStock) || derived.reorderPoint,
-    unitCostCOP: Number(policyInput.unitCostCOP) || derived.unitCostCOP,
-    updatedAt: new Date().toISOString()
-  };
+  const order = orders[index];
+  const flowStatus = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  if (flowStatus === 'CANCELADA') {
+    return { ok: false, reason: 'invalid-transition', message: `La orden ${orderId} está ${flowStatus} y no se puede reembolsar.` };
+  }
 
-  safeWriteJsonStorage(MATERIAL_STOCK_POLICIES_KEY, policies);
-  return policies[normalizedCode];
-}
+  const payments = Array.isArray(order.payments) ? order.payments : [];
+  const summary = summarizeOrderPayments(order);
+  if (summary.paidCOP <= 0) {
+    return { ok: false, reason: 'nothing-to-refund', message: `La orden ${orderId} no tiene pagos para reembolsar.` };
+  }
 
-function getStockStatus(onHand, policy) {
-  if (onHand <= 0) {
-    return 'QUIEBRE';
+  const amountCOP = input.amountCOP === undefined || input.amountCOP === ''
+    ? summary.paidCOP
+    : Math.round(normalizeCurrencyValue(input.amountCOP));
+  if (!Number.isFinite(amountCOP) || amountCOP <= 0 || amountCOP > summary.paidCOP) {
+    return {
+      ok: false,
+      reason: 'invalid-amount',
+      message: `El reembolso debe estar entre $1 y $${summary.paidCOP.toLocaleString('es-CO')} COP.`
+    };
   }
 
-  if (onHand <= policy.safetyStock) {
-    return 'BAJO_SEGURIDAD';
+  const methodCode = String(input.method || payments[payments.length - 1]?.method || order.paymentMethod || '').trim().toLowerCase();
+  const method = PAYMENT_METHODS[methodCode];
+  if (!method) {
+    return { ok: false, reason: 'invalid-method', message: 'Selecciona un medio de pago válido para el reembolso.' };
   }
 
-  if (onHand <= policy.minStock) {
-    return 'BAJO_MINIMO';
+  // Lo pagado con tarjeta de regalo se reintegra a la misma tarjeta
+  const lastGiftCardPayment = payments.filter(payment => payment.method === methodCode).pop();
+  const reference = String(input.reference || (method.giftCard ? lastGiftCardPayment?.reference : '') || '').trim();
+  if (method.requiresReference && !reference) {
+    return { ok: false, reason: 'missing-reference', message: `Ingresa la referencia del reembolso por ${method.label}.` };
   }
 
-  if (onHand > policy.maxStock) {
-    return 'SOBRESTOCK';
+  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  const operator = String(input.operator || '').trim() || 'sistema';
+  const refund = {
+    refundId: `RFD-${orderId}-${refunds.length + 1}`,
+    method: methodCode,
+    amountCOP,
+    reference,
+    refundedAt: input.at || new Date().toISOString(),
+    operator,
+    note: String(input.note || '').trim()
+  };
+  const nextRefunds = [...refunds, refund];
+
+  // Solo el reembolso total cancela la orden; se valida la transición antes de registrar movimientos
+  const fullRefund = amountCOP === summary.paidCOP;
+  if (fullRefund) {
+    const transition = transitionOrderStatus(orderId, 'CANCELADA', {
+      operator,
+      note: input.note || `Reembolso ${refund.refundId}`,
+      at: refund.refundedAt,
+      viaRefund: true
+    });
+    if (!transition.ok) {
+      return transition;
+    }
   }
 
-  return 'OK';
-}
+  const currentOrders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  const currentIndex = currentOrders.findIndex(item => item.orderId === orderId);
+  currentOrders[currentIndex] = {
+    ...currentOrders[currentIndex],
+    refunds: nextRefunds,
+    payment: summarizeOrderPayments(currentOrders[currentIndex], payments, nextRefunds)
+  };
+  safeWriteJsonStorage(ORDER_STORAGE_KEY, currentOrders);
 
-function getStatusPenalty(status) {
-  if (status === 'QUIEBRE') {
-    return 6000;
+  // Lo reintegrado a una tarjeta de regalo solo reabre su pasivo; no sale de caja ni bancos
+  if (method.giftCard) {
+    adjustGiftCardBalance(reference, 'CREDIT', amountCOP, orderId, refund.refundedAt);
+  } else {
+    recordRefundEntry(order, refund, method);
   }
 
-  if (status === 'BAJO_SEGURIDAD') {
-    return 3500;
+  if (!fullRefund) {
+    return { ok: true, order: currentOrders[currentIndex], refund, partial: true };
   }
+  return recordOrderCancellation(currentOrders[currentIndex], { ...input, operator, at: refund.refundedAt }, refund);
+}
 
-  if (status === 'BAJO_MINIMO') {
-    return 1800;
-  }
+function recordRefundEntry(order, refund, method) {
+  const orderId = order.orderId;
+  const refundEntry = {
+    entryId: `ACC-${refund.refundId}`,
+    orderId,
+    entryType: 'REFUND',
+    accountCode: method.accountCode,
+    description: `Reembolso ${method.label} orden ${orderId}${refund.reference ? ` ref ${refund.reference}` : ''}`,
+    amountCOP: -refund.amountCOP,
+    paymentMethod: refund.method,
+    reference: refund.reference,
+    quantity: 1,
+    currency: order.currency || 'COP',
+    source: 'cancelacion',
+    happenedAt: refund.refundedAt,
+    createdAt: new Date().toISOString()
+  };
+  upsertAccountingLedgerEntries([refundEntry]);
+  enqueueAccountingSyncMovements([{
+    syncId: `SYNC-${refund.refundId}`,
+    dedupeKey: `REFUND-${refund.refundId}`,
+    movementType: 'REFUND',
+    orderId,
+    source: 'refundOrder',
+    payload: refundEntry
+  }]);
+  return refundEntry;
+}
 
-  return 0;
+const ORDER_TRACKING_STEPS = [
+  { status: 'CREADA', label: 'Pedido recibido', description: 'Registramos tu pedido y lo estamos revisando.' },
+  { status: 'PAGADA', label: 'Pago confirmado', description: 'Confirmamos tu pago.' },
+  { status: 'EN_PRODUCCION', label: 'En producción', description: 'Tu pedido se está fabricando en el taller.' },
+  { status: 'DESPACHADA', label: 'Despachado', description: 'Tu pedido salió hacia la dirección de envío.' },
+  { status: 'ENTREGADA', label: 'Entregado', description: 'Tu pedido fue entregado.' }
+];
+
+const ORDER_STATUS_SOURCE_DEFAULTS = {
+  sources: ['endpoint', 'local', 'json'],
+  endpoint: '',
+  jsonUrl: './data/estado_pedidos_demo.json'
+};
+
+const orderStatusSources = new Map();
+
+function getOrderStatusSourceConfig() {
+  return {
+    ...ORDER_STATUS_SOURCE_DEFAULTS,
+    ...safeReadJsonStorage(ORDER_STATUS_SOURCE_CONFIG_KEY, {})
+  };
 }
 
-function mapPriorityLabel(score) {
-  if (score >= 9000) {
-    return 'CRITICA';
-  }
-  if (score >= 5000) {
-    return 'ALTA';
-  }
-  if (score >= 2500) {
-    return 'MEDIA';
+function upsertOrderStatusSourceConfig(config = {}) {
+  const current = getOrderStatusSourceConfig();
+  const normalized = {
+    ...current,
+    ...config,
+    endpoint: String(config.endpoint ?? current.endpoint ?? '').trim()
+  };
+
+  safeWriteJsonStorage(ORDER_STATUS_SOURCE_CONFIG_KEY, normalized);
+  return normalized;
+}
+
+// Una fuente recibe (orderId, config) y resuelve la orden cruda o null si no la conoce
+function registerOrderStatusSource(name, resolver) {
+  if (!name || typeof resolver !== 'function') {
+    return false;
   }
-  return 'BAJA';
+
+  orderStatusSources.set(String(name), resolver);
+  return true;
 }
 
-function applyMaterialStockControl(movements = [], context = {}) {
-  const state = getMaterialStockControlState();
-  const policies = getMaterialStockPolicies();
-  const alerts = [];
-  const perMaterial = new Map();
+registerOrderStatusSource('local', async (orderId) => {
+  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
+  return orders.find(order => order.orderId === orderId) || null;
+});
 
-  movements.forEach(line => {
-    const materialCode = normalizeMaterialCode(line.materialCode);
-    if (!materialCode) {
-      return;
-    }
+registerOrderStatusSource('json', async (orderId, config) => {
+  if (!config.jsonUrl) {
+    return null;
+  }
 
-    const category = String(line.category || '').trim().toLowerCase();
-    const profile = resolveMaterialProfile(category);
-    const existingPolicy = policies[materialCode];
-    const policy = existingPolicy || deriveMaterialPolicy(materialCode, {
-      category,
-      unitCostCOP: line.estimatedUnitCostCOP || profile.unitCostCOP,
-      materialName: line.materialName || profile.materialName,
-      consumedSolid: line.actualSolidUsed,
-      unit: line.unit || profile.unit
-    }, safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []));
+  const response = await fetch(config.jsonUrl, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`http-${response.status}`);
+  }
 
-    if (!existingPolicy) {
-      policies[materialCode] = policy;
-    }
+  const payload = await response.json();
+  const orders = Array.isArray(payload) ? payload : (payload.orders || []);
+  return orders.find(order => order.orderId === orderId) || null;
+});
 
-    const current = state[materialCode] || {
-      materialCode,
-      materialName: line.materialName || profile.materialName,
-      unit: line.unit || profile.unit,
-      unitCostCOP: Number(line.estimatedUnitCostCOP) || policy.unitCostCOP,
-      onHand: policy.maxStock,
-      updatedAt: new Date().toISOString()
-    };
+registerOrderStatusSource('endpoint', async (orderId, config) => {
+  if (!config.endpoint) {
+    return null;
+  }
 
-    const consumed = Number(line.actualSolidUsed) || 0;
-    const before = Number(current.onHand) || 0;
-    const after = +(before - consumed).toFixed(2);
-    const status = getStockStatus(after, policy);
-    const reorderSuggestedQty = status === 'QUIEBRE' || status === 'BAJO_SEGURIDAD' || status === 'BAJO_MINIMO'
-      ? +(Math.max(policy.maxStock - Math.max(after, 0), 0)).toFixed(2)
-      : 0;
-    const costImpact = Number.isFinite(line.materialCostImpact) ? line.materialCostImpact : +(consumed * (Number(current.unitCostCOP) || policy.unitCostCOP || 0)).toFixed(2);
+  const url = new URL(config.endpoint, globalThis.location?.href);
+  url.searchParams.set('orderId', orderId);
+  const response = await fetch(url.toString(), { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`http-${response.status}`);
+  }
 
-    state[materialCode] = {
-      ...current,
-      materialName: line.materialName || current.materialName || profile.materialName,
-      unit: line.unit || current.unit || profile.unit,
-      unitCostCOP: Number(line.estimatedUnitCostCOP) || Number(current.unitCostCOP) || policy.unitCostCOP,
-      onHand: after,
-      status,
-      reorderSuggestedQty,
-      lastMovementBatchId: context.movementBatchId,
-      updatedAt: new Date().toISOString()
-    };
+  const payload = await response.json();
+  return payload?.order || (payload?.orderId ? payload : null);
+});
 
-    const previousSummary = perMaterial.get(materialCode) || {
-      materialCode,
-      materialName: state[materialCode].materialName,
-      unit: state[materialCode].unit,
-      consumed: 0,
-      costImpact: 0,
-      status,
-      onHand: after,
-      reorderSuggestedQty,
-      policy
-    };
-    previousSummary.consumed = +(previousSummary.consumed + consumed).toFixed(2);
-    previousSummary.costImpact = +(previousSummary.costImpact + costImpact).toFixed(2);
-    previousSummary.status = status;
-    previousSummary.onHand = after;
-    previousSummary.reorderSuggestedQty = reorderSuggestedQty;
-    perMaterial.set(materialCode, previousSummary);
+function normalizePhoneDigits(value) {
+  return String(value || '').replace(/\D/g, '').slice(-10);
+}
 
-    if (status !== 'OK') {
-      const stockAlert = {
-        type: 'stock-threshold',
-        severity: status === 'QUIEBRE' ? 'critical' : 'warning',
-        scope: 'material',
-        materialCode,
-        materialName: state[materialCode].materialName,
-        orderId: context.orderId,
-        movementBatchId: context.movementBatchId,
-        operator: context.operator,
-        status,
-        onHand: after,
-        minStock: policy.minStock,
-        maxStock: policy.maxStock,
-        safetyStock: policy.safetyStock,
-        reorderSuggestedQty,
-        message: `Stock ${status.toLowerCase()} para ${materialCode}`
-      };
-      alerts.push(stockAlert);
-      upsertMaterialStockAlert(stockAlert);
-    }
+function buildOrderTrackingTimeline(order = {}) {
+  const currentStatus = normalizeOrderFlowStatus(order.flowStatus || 'CREADA');
+  const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+  const reachedAt = { CREADA: order.createdAt || null };
 
-    if (line.withinTolerance === false && Number(line.variancePct) > 0) {
-      const overconsumptionAlert = {
-        type: 'stock-overconsumption',
-        severity: Number(line.variancePct) > 10 ? 'critical' : 'warning',
-        scope: 'material',
-        materialCode,
-        materialName: state[materialCode].materialName,
-        orderId: context.orderId,
-        movementBatchId: context.movementBatchId,
-        operator: context.operator,
-        variancePct: Number(line.variancePct),
-        varianceSolid: Number(line.varianceSolid) || 0,
-        message: `Sobreconsumo de material ${materialCode}`
-      };
-      alerts.push(overconsumptionAlert);
-      upsertMaterialStockAlert(overconsumptionAlert);
+  history.forEach(event => {
+    if (event.alert) return;
+    const status = normalizeOrderFlowStatus(event.status);
+    if (status) {
+      reachedAt[status] = event.at || reachedAt[status] || null;
     }
   });
 
-  const priorities = Array.from(perMaterial.values()).map(item => {
-    const riskScore = getStatusPenalty(item.status);
-    const score = +(item.costImpact + riskScore + item.reorderSuggestedQty * (item.policy.unitCostCOP || 0)).toFixed(2);
-    return {
-      materialCode: item.materialCode,
-      materialName: item.materialName,
-      unit: item.unit,
-      consumed: item.consumed,
-      costImpact: item.costImpact,
-      status: item.status,
-      onHand: item.onHand,
-      reorderSuggestedQty: item.reorderSuggestedQty,
-      priorityScore: score,
-      priority: mapPriorityLabel(score)
-    };
-  }).sort((a, b) => b.priorityScore - a.priorityScore);
+  // CERRADA es un cierre interno: para el cliente equivale a entregado
+  const visibleStatus = currentStatus === 'CERRADA' ? 'ENTREGADA' : currentStatus;
+  const cancelledFrom = normalizeOrderFlowStatus(history.filter(event => normalizeOrderFlowStatus(event.status) === 'CANCELADA').pop()?.from || 'CREADA');
+  const lastActiveStatus = currentStatus === 'CANCELADA'
+    ? (cancelledFrom === 'CERRADA' ? 'ENTREGADA' : cancelledFrom)
+    : visibleStatus;
+  const currentIndex = ORDER_TRACKING_STEPS.findIndex(step => step.status === lastActiveStatus);
+
+  const timeline = ORDER_TRACKING_STEPS.map((step, index) => ({
+    ...step,
+    reached: currentIndex >= 0 && index <= currentIndex,
+    current: currentStatus !== 'CANCELADA' && index === currentIndex,
+    at: currentIndex >= 0 && index <= currentIndex ? reachedAt[step.status] || null : null
+  }));
+
+  if (currentStatus === 'CANCELADA') {
+    return [
+      ...timeline.filter(step => step.reached),
+      {
+        status: 'CANCELADA',
+        label: 'Pedido cancelado',
+        description: 'El pedido fue cancelado. Escríbenos si tienes dudas.',
+        reached: true,
+        current: true,
+        at: reachedAt.CANCELADA || order.updatedAt || null
+      }
+    ];
+  }
 
-  safeWriteJsonStorage(MATERIAL_STOCK_KEY, state);
-  safeWriteJsonStorage(MATERIAL_STOCK_POLICIES_KEY, policies);
+  return timeline;
+}
+
+// Vista pública: nada de costos, márgenes ni datos del cliente más allá de la ciudad
+function buildPublicOrderStatus(order = {}) {
+  const timeline = buildOrderTrackingTimeline(order);
+  const current = timeline.find(step => step.current);
 
   return {
-    orderId: context.orderId,
-    movementBatchId: context.movementBatchId,
-    operator: context.operator,
-    materials: Array.from(perMaterial.values()),
-    alerts,
-    priorities,
-    generatedAt: new Date().toISOString()
+    orderId: order.orderId,
+    flowStatus: normalizeOrderFlowStatus(order.flowStatus || 'CREADA'),
+    statusLabel: current?.label || ORDER_FLOW_LABELS[normalizeOrderFlowStatus(order.flowStatus)] || String(order.flowStatus || 'CREADA'),
+    createdAt: order.createdAt || null,
+    updatedAt: order.updatedAt || order.createdAt || null,
+    itemCount: normalizeCartItems(order.items || []).reduce((acc, item) => acc + item.quantity, 0),
+    items: normalizeCartItems(order.items || []).map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      variantLabel: item.variant?.label || ''
+    })),
+    shipping: order.shipping ? { city: order.shipping.city || '', department: order.shipping.department || '' } : null,
+    timeline
   };
 }
 
-function buildMarginImpactAlertFromConsumption(order, entries = [], context = {}) {
-  if (!order || !Array.isArray(entries) || entries.length === 0) {
-    return null;
+async function lookupOrderStatus(orderId, phone, options = {}) {
+  const normalizedOrderId = String(orderId || '').trim().toUpperCase();
+  const phoneDigits = normalizePhoneDigits(phone);
+
+  if (!/^CW-[A-Z0-9]+$/.test(normalizedOrderId)) {
+    return { ok: false, reason: 'invalid-order-id', message: 'El ID de pedido tiene la forma CW-XXXXXXX.' };
   }
 
-  const saleTotal = Number(order.summary?.subtotal) || 0;
-  if (saleTotal <= 0) {
-    return null;
+  if (phoneDigits.length < 7) {
+    return { ok: false, reason: 'invalid-phone', message: 'Ingresa el celular con el que hiciste el pedido.' };
   }
 
-  const overconsumptionCostCOP = entries.reduce((acc, entry) => {
-    const varianceSolid = Number(entry.varianceSolid);
-    if (!Number.isFinite(varianceSolid) || varianceSolid <= 0) {
-      return acc;
+  const config = { ...getOrderStatusSourceConfig(), ...options };
+  const errors = [];
+
+  for (const sourceName of config.sources) {
+    const resolver = orderStatusSources.get(sourceName);
+    if (!resolver) {
+      continue;
     }
 
-    const unitCost = Number(entry.estimatedUnitCostCOP) || 0;
-    if (!Number.isFinite(unitCost) || unitCost <= 0) {
-      return acc;
+    let order = null;
+    try {
+      order = await resolver(normalizedOrderId, config);
+    } catch (error) {
+      errors.push({ source: sourceName, error: String(error?.message || error) });
+      continue;
     }
 
-    return acc + (varianceSolid * unitCost);
-  }, 0);
+    if (!order) {
+      continue;
+    }
 
-  if (overconsumptionCostCOP <= 0) {
-    return null;
+    // Mismo mensaje que "no encontrado" para no confirmar qué IDs existen
+    if (normalizePhoneDigits(order.customer?.phone ?? order.phone) !== phoneDigits) {
+      return { ok: false, reason: 'not-found', message: 'No encontramos un pedido con ese ID y celular.' };
+    }
+
+    return { ok: true, source: sourceName, order: buildPublicOrderStatus(order) };
   }
 
-  const projectedMarginCOP = +(saleTotal - overconsumptionCostCOP).toFixed(2);
-  const impactPct = +((overconsumptionCostCOP / saleTotal) * 100).toFixed(2);
-  const projectedMarginPct = +((projectedMarginCOP / saleTotal) * 100).toFixed(2);
+  // Si alguna fuente falló no podemos afirmar que el pedido no existe
+  return {
+    ok: false,
+    reason: errors.length ? 'unavailable' : 'not-found',
+    message: errors.length
+      ? 'No pudimos consultar el estado en este momento. Intenta de nuevo en unos minutos.'
+      : 'No encontramos un pedido con ese ID y celular.',
+    errors
+  };
+}
 
-  if (impactPct < 5) {
-    return null;
-  }
+const QUOTE_STATUS_LABELS = {
+  SOLICITADA: 'Solicitada',
+  COTIZADA: 'Cotizada',
+  ACEPTADA: 'Aceptada',
+  VENCIDA: 'Vencida'
+};
+const QUOTE_DEFAULT_VALIDITY_DAYS = 15;
 
-  const severity = impactPct >= 10 || projectedMarginPct < 25 ? 'critical' : 'warning';
+function requiresQuote(item = {}) {
+  return !item.quoteId && normalizeCurrencyValue(pickFirstDefined(item.unitPrice, item.price)) === null;
+}
 
+function buildQuoteHistoryEntry(status, from, { operator = '', note = '', at = '' } = {}) {
   return {
-    type: 'margin-impact-overconsumption',
-    severity,
-    scope: 'orden',
-    orderId: context.orderId || order.orderId,
-    movementBatchId: context.movementBatchId,
-    operator: context.operator,
-    overconsumptionCostCOP: +overconsumptionCostCOP.toFixed(2),
-    impactPct,
-    projectedMarginCOP,
-    projectedMarginPct,
-    message: `Sobreconsumo con impacto estimado de ${impactPct.toFixed(2)}% sobre la venta de la orden ${context.orderId || order.orderId}`
+    status,
+    from: from || null,
+    at: at || new Date().toISOString(),
+    operator: String(operator || '').trim() || 'sistema',
+    note: String(note || '').trim()
   };
 }
 
-function getMaterialStockControlSnapshot() {
-  const state = getMaterialStockControlState();
-  const policies = getMaterialStockPolicies();
-  const alerts = safeReadJsonStorage(MATERIAL_STOCK_ALERTS_KEY, []);
+// Una cotización cuya validez ya pasó se marca vencida al leerla; no puede aceptarse
+function getQuotes(now = new Date()) {
+  const quotes = safeReadJsonStorage(QUOTES_KEY, []);
+  let changed = false;
 
-  const materials = Object.keys(state).map(materialCode => {
-    const stock = state[materialCode];
-    const policy = policies[materialCode] || {};
+  const resolved = quotes.map(quote => {
+    if (quote.status !== 'COTIZADA' || !quote.validUntil || new Date(quote.validUntil) >= now) {
+      return quote;
+    }
+
+    changed = true;
     return {
-      materialCode,
-      materialName: stock.materialName || policy.materialName || '',
-      unit: stock.unit || policy.unit || 'g',
-      onHand: Number(stock.onHand) || 0,
-      status: stock.status || getStockStatus(Number(stock.onHand) || 0, {
-        minStock: Number(policy.minStock) || 0,
-        maxStock: Number(policy.maxStock) || Number(stock.onHand) || 0,
-        safetyStock: Number(policy.safetyStock) || 0
-      }),
-      minStock: Number(policy.minStock) || 0,
-      maxStock: Number(policy.maxStock) || 0,
-      safetyStock: Number(policy.safetyStock) || 0,
-      reorderSuggestedQty: Number(stock.reorderSuggestedQty) || 0,
-      unitCostCOP: Number(stock.unitCostCOP) || Number(policy.unitCostCOP) || 0
+      ...quote,
+      status: 'VENCIDA',
+      statusHistory: [...(quote.statusHistory || []), buildQuoteHistoryEntry('VENCIDA', 'COTIZADA', { at: quote.validUntil, note: 'Validez vencida' })]
     };
   });
 
-  const priorities = materials
-    .map(item => {
-      const exposure = +(Math.max(item.minStock - item.onHand, 0) * item.unitCostCOP).toFixed(2);
-      const statusPenalty = getStatusPenalty(item.status);
-      const priorityScore = +(exposure + statusPenalty).toFixed(2);
-      return {
-        materialCode: item.materialCode,
-        materialName: item.materialName,
-        status: item.status,
-        onHand: item.onHand,
-        minStock: item.minStock,
-        safetyStock: item.safetyStock,
-        unitCostCOP: item.unitCostCOP,
-        priorityScore,
-        priority: mapPriorityLabel(priorityScore)
-      };
-    })
-    .sort((a, b) => b.priorityScore - a.priorityScore);
+  if (changed) {
+    safeWriteJsonStorage(QUOTES_KEY, resolved);
+  }
+
+  return resolved;
+}
+
+function getQuoteStatusLabels() {
+  return { ...QUOTE_STATUS_LABELS };
+}
+
+function requestQuote(input = {}) {
+  const customer = {
+    fullName: String(input.customer?.fullName || '').trim(),
+    phone: String(input.customer?.phone || '').trim(),
+    email: String(input.customer?.email || '').trim()
+  };
+  const description = String(input.description || '').trim();
+  const quantity = Math.max(1, Number.parseInt(input.quantity, 10) || 1);
+
+  if (!customer.fullName) {
+    return { ok: false, reason: 'missing-name', message: 'Ingresa tu nombre.' };
+  }
+
+  if (normalizePhoneDigits(customer.phone).length < 7) {
+    return { ok: false, reason: 'invalid-phone', message: 'Ingresa un celular válido para enviarte la cotización.' };
+  }
+
+  if (description.length < 10) {
+    return { ok: false, reason: 'missing-description', message: 'Describe el trabajo: idea, dimensiones aproximadas y colores.' };
+  }
+
+  const requestedAt = new Date().toISOString();
+  const quote = {
+    quoteId: `COT-${Date.now().toString(36).toUpperCase()}`,
+    status: 'SOLICITADA',
+    customer,
+    product: {
+      name: String(input.product?.name || 'Personalizado').trim(),
+      custom: String(input.product?.custom || '').trim(),
+      image: String(input.product?.image || '').trim()
+    },
+    description,
+    dimensions: String(input.dimensions || '').trim(),
+    artwork: normalizeArtworkReference(input.artwork),
+    quantity,
+    unitPriceCOP: null,
+    totalCOP: null,
+    requestedAt,
+    quotedAt: null,
+    validUntil: null,
+    acceptedAt: null,
+    statusHistory: [buildQuoteHistoryEntry('SOLICITADA', null, { operator: customer.fullName, at: requestedAt })]
+  };
+
+  safeWriteJsonStorage(QUOTES_KEY, [...getQuotes(), quote]);
+  return { ok: true, quote };
+}
+
+// Se puede volver a cotizar una solicitud vencida; la nueva validez corre desde hoy
+function priceQuote(quoteId, { unitPriceCOP, validDays = QUOTE_DEFAULT_VALIDITY_DAYS, operator = '', note = '' } = {}) {
+  const quotes = getQuotes();
+  const index = quotes.findIndex(quote => quote.quoteId === String(quoteId || '').trim().toUpperCase());
+  if (index < 0) {
+    return { ok: false, reason: 'not-found', message: `No existe la cotización ${quoteId}.` };
+  }
+
+  const quote = quotes[index];
+  if (!['SOLICITADA', 'VENCIDA'].includes(quote.status)) {
+    return { ok: false, reason: 'invalid-status', message: `La cotización ${quote.quoteId} está ${QUOTE_STATUS_LABELS[quote.status].toLowerCase()}.` };
+  }
+
+  const unitPrice = normalizeCurrencyValue(unitPriceCOP);
+  if (!(unitPrice > 0)) {
+    return { ok: false, reason: 'invalid-price', message: 'Ingresa un precio unitario mayor a cero.' };
+  }
+
+  const days = Number.parseInt(validDays, 10);
+  if (!(days > 0)) {
+    return { ok: false, reason: 'invalid-validity', message: 'La validez debe ser de al menos un día.' };
+  }
 
-  return {
-    generatedAt: new Date().toISOString(),
-    materials,
-    priorities,
-    alerts
+  const quotedAt = new Date();
+  const validUntil = new Date(quotedAt.getTime() + days * 24 * 60 * 60 * 1000);
+  quotes[index] = {
+    ...quote,
+    status: 'COTIZADA',
+    unitPriceCOP: unitPrice,
+    totalCOP: +(unitPrice * quote.quantity).toFixed(2),
+    quotedAt: quotedAt.toISOString(),
+    validUntil: validUntil.toISOString(),
+    statusHistory: [...(quote.statusHistory || []), buildQuoteHistoryEntry('COTIZADA', quote.status, { operator, note, at: quotedAt.toISOString() })]
   };
-}
 
-function getConsumptionTolerance(category) {
-  const key = String(category || '').trim().toLowerCase();
-  return CATEGORY_CONSUMPTION_TOLERANCES[key] || CATEGORY_CONSUMPTION_TOLERANCES.default;
+  safeWriteJsonStorage(QUOTES_KEY, quotes);
+  return { ok: true, quote: quotes[index] };
 }
 
-function buildIndexBySku(items = []) {
-  const index = new Map();
-
-  for (const item of items) {
-    const key = String(item.sku || item.productSku || item.id || '').trim();
-    if (!key) {
-      continue;
-    }
+function lookupQuote(quoteId, phone) {
+  const normalizedQuoteId = String(quoteId || '').trim().toUpperCase();
+  if (!/^COT-[A-Z0-9]+$/.test(normalizedQuoteId)) {
+    return { ok: false, reason: 'invalid-quote-id', message: 'El ID de cotización tiene la forma COT-XXXXXXX.' };
+  }
 
-    index.set(key, item);
+  const quote = getQuotes().find(item => item.quoteId === normalizedQuoteId);
+  // Mismo mensaje que "no encontrada" para no confirmar qué IDs existen
+  if (!quote || normalizePhoneDigits(quote.customer?.phone) !== normalizePhoneDigits(phone)) {
+    return { ok: false, reason: 'not-found', message: 'No encontramos una cotización con ese ID y celular.' };
   }
 
-  return index;
+  return { ok: true, quote };
 }
 
-function normalizeProductionConsumptionInput(actualConsumption = [], options = {}) {
-  const source = Array.isArray(actualConsumption) ? { lines: actualConsumption } : {};
-  const sourceObject = actualConsumption && typeof actualConsumption === 'object' && !Array.isArray(actualConsumption) ? actualConsumption : {};
-  let sourceLines = [];
+function acceptQuote(quoteId, phone, { operator = '' } = {}) {
+  const lookup = lookupQuote(quoteId, phone);
+  if (!lookup.ok) {
+    return lookup;
+  }
 
-  if (Array.isArray(source.lines)) {
-    sourceLines = source.lines;
-  } else if (Array.isArray(source.items)) {
-    sourceLines = source.items;
-  } else if (Array.isArray(sourceObject.lines)) {
-    sourceLines = sourceObject.lines;
-  } else if (Array.isArray(sourceObject.items)) {
-    sourceLines = sourceObject.items;
+  const quote = lookup.quote;
+  if (quote.status !== 'COTIZADA') {
+    const messages = {
+      SOLICITADA: 'Todavía estamos preparando el precio de esta cotización.',
+      ACEPTADA: 'Esta cotización ya fue aceptada y está en tu carrito.',
+      VENCIDA: 'Esta cotización venció. Escríbenos para actualizar el precio.'
+    };
+    return { ok: false, reason: quote.status === 'VENCIDA' ? 'expired' : 'invalid-status', message: messages[quote.status] };
   }
 
-  return {
-    lines: sourceLines,
-    lotId: pickFirstDefined(options.lotId, source.lotId, sourceObject.lotId, source.loteId, sourceObject.loteId, ''),
-    lotCode: pickFirstDefined(options.lotCode, source.lotCode, sourceObject.lotCode, source.lote, sourceObject.lote, options.batchCode, ''),
-    operator: pickFirstDefined(options.operator, source.operator, sourceObject.operator, source.operario, sourceObject.operario, 'sistema'),
-    producedAt: pickFirstDefined(options.productionAt, source.productionAt, sourceObject.productionAt, source.producedAt, sourceObject.producedAt, new Date().toISOString()),
-    notes: pickFirstDefined(options.notes, source.notes, sourceObject.notes, '')
+  const acceptedAt = new Date().toISOString();
+  const quotes = getQuotes();
+  const index = quotes.findIndex(item => item.quoteId === quote.quoteId);
+  quotes[index] = {
+    ...quote,
+    status: 'ACEPTADA',
+    acceptedAt,
+    statusHistory: [...(quote.statusHistory || []), buildQuoteHistoryEntry('ACEPTADA', 'COTIZADA', { operator: operator || quote.customer.fullName, at: acceptedAt })]
   };
+  safeWriteJsonStorage(QUOTES_KEY, quotes);
+
+  const cart = addCartItem({
+    sku: quote.quoteId,
+    quoteId: quote.quoteId,
+    name: `${quote.product.name} (${quote.quoteId})`,
+    price: quote.unitPriceCOP,
+    category: 'personalizado',
+    image: quote.product.image,
+    desc: quote.description,
+    artwork: quote.artwork
+  }, quote.quantity);
+
+  return { ok: true, quote: quotes[index], cart };
 }
 
-function normalizeProductionConsumptionLine(line = {}, context = {}, theoreticalLine = null, skuCount = 1, index = 0) {
-  const actualSolidUsed = normalizeCurrencyValue(pickFirstDefined(
-    line.actualSolidUsed,
-    line.actualSolid,
-    line.usedSolid,
-    line.consumedSolid,
-    line.materialUsed,
-    line.consumoRealSolid
-  )) || 0;
-  const theoreticalSolid = theoreticalLine ? theoreticalLine.theoreticalSolid : null;
-  const expectedSolidUsed = normalizeCurrencyValue(pickFirstDefined(line.expectedSolidUsed, line.expectedSolid));
-  let finalExpectedSolidUsed = expectedSolidUsed;
-  if (finalExpectedSolidUsed === null || finalExpectedSolidUsed === undefined) {
-    if (theoreticalSolid !== null && theoreticalSolid !== undefined) {
-      finalExpectedSolidUsed = +(theoreticalSolid / Math.max(1, skuCount)).toFixed(2);
-    } else {
-      finalExpectedSolidUsed = null;
-    }
-  }
-  const varianceSolid = finalExpectedSolidUsed === null
-    ? null
-    : +(actualSolidUsed - finalExpectedSolidUsed).toFixed(2);
-  const variancePct = finalExpectedSolidUsed ? +((varianceSolid / finalExpectedSolidUsed) * 100).toFixed(2) : null;
-  const resolvedCategory = pickFirstDefined(line.category, theoreticalLine?.category, '');
-  const materialProfile = resolveMaterialProfile(resolvedCategory);
-  const tolerance = getConsumptionTolerance(resolvedCategory);
-  const estimatedUnitCostCOP = normalizeCurrencyValue(pickFirstDefined(line.estimatedUnitCostCOP, line.materialUnitCostCOP, line.unitCostCOP));
-  const effectiveUnitCostCOP = estimatedUnitCostCOP === null || estimatedUnitCostCOP === undefined
-    ? materialProfile.unitCostCOP
-    : estimatedUnitCostCOP;
-  const materialCostImpact = +(actualSolidUsed * (effectiveUnitCostCOP || 0)).toFixed(2);
-  const withinTolerance = variancePct === null
-    ? true
-    : variancePct >= tolerance.lowerPct && variancePct <= tolerance.upperPct;
+const ARTWORK_ALLOWED_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+};
+const ARTWORK_MAX_BYTES = 15 * 1024 * 1024;
+// Lado corto mínimo para imprimir ~10 cm a 250 ppp sin pixelar; los SVG son vectoriales y no aplica
+const ARTWORK_MIN_SHORT_SIDE_PX = 1000;
+
+// Sin endpoint configurado la carga queda deshabilitada; en desarrollo se activa el servidor local con
+// upsertArtworkStorageConfig({ storage: 'local' })
+const ARTWORK_STORAGE_DEFAULTS = {
+  storage: 'endpoint',
+  localEndpoint: 'http://localhost:8787/artes',
+  endpoint: ''
+};
+
+const artworkStorages = new Map();
 
+function getArtworkStorageConfig() {
   return {
-    entryId: pickFirstDefined(line.entryId, `${context.movementBatchId}-${index + 1}`),
-    orderId: context.orderId,
-    movementBatchId: context.movementBatchId,
-    lotId: pickFirstDefined(line.lotId, context.lotId, ''),
-    lotCode: pickFirstDefined(line.lotCode, context.lotCode, context.movementBatchId),
-    operator: pickFirstDefined(line.operator, context.operator, 'sistema'),
-    producedAt: pickFirstDefined(line.producedAt, context.producedAt),
-    productSku: pickFirstDefined(line.productSku, line.sku, line.code, theoreticalLine?.sku, ''),
-    productName: pickFirstDefined(line.productName, line.name, theoreticalLine?.name, 'Producto'),
-    category: resolvedCategory,
-    materialCode: pickFirstDefined(line.materialCode, line.material_code, materialProfile.materialCode, ''),
-    materialName: pickFirstDefined(line.materialName, line.material_name, materialProfile.materialName, ''),
-    quantity: Math.max(1, Number.parseInt(pickFirstDefined(line.quantity, theoreticalLine?.quantity, 1), 10) || 1),
-    expectedSolidUsed: finalExpectedSolidUsed,
-    actualSolidUsed,
-    estimatedUnitCostCOP: effectiveUnitCostCOP,
-    materialCostImpact,
-    varianceSolid,
-    variancePct,
-    toleranceLowerPct: tolerance.lowerPct,
-    toleranceUpperPct: tolerance.upperPct,
-    withinTolerance,
-    unit: pickFirstDefined(line.unit, line.measureUnit, 'g'),
-    notes: pickFirstDefined(line.notes, context.notes, '')
+    ...ARTWORK_STORAGE_DEFAULTS,
+    ...safeReadJsonStorage(ARTWORK_STORAGE_CONFIG_KEY, {})
   };
 }
 
-function groupConsumptionEntries(keyGetter, entries = []) {
-  const groups = new Map();
+function upsertArtworkStorageConfig(config = {}) {
+  const current = getArtworkStorageConfig();
+  const normalized = {
+    ...current,
+    ...config,
+    endpoint: String(config.endpoint ?? current.endpoint ?? '').trim()
+  };
 
-  for (const entry of entries) {
-    const key = keyGetter(entry);
-    if (!groups.has(key)) {
-      groups.set(key, []);
-    }
+  safeWriteJsonStorage(ARTWORK_STORAGE_CONFIG_KEY, normalized);
+  return normalized;
+}
 
-    groups.get(key).push(entry);
+function isArtworkUploadEnabled(config = getArtworkStorageConfig()) {
+  if (!artworkStorages.has(config.storage)) {
+    return false;
   }
 
-  return groups;
+  return config.storage === 'endpoint' ? Boolean(config.endpoint) : true;
 }
 
-function summarizeConsumptionGroup(key, entries = [], fallbackExpected = null) {
-  const totals = entries.reduce((acc, entry) => {
-    acc.actualSolidUsed += Number(entry.actualSolidUsed) || 0;
-    if (Number.isFinite(entry.expectedSolidUsed)) {
-      acc.expectedSolidUsed += Number(entry.expectedSolidUsed);
-    }
-    acc.quantity += Number(entry.quantity) || 0;
-    return acc;
-  }, { expectedSolidUsed: 0, actualSolidUsed: 0, quantity: 0 });
+// Un almacenamiento recibe (file, meta, config) y resuelve { ref, url } del archivo guardado
+function registerArtworkStorage(name, save) {
+  if (!name || typeof save !== 'function') {
+    return false;
+  }
 
-  let expectedSolidUsed = null;
-  if (totals.expectedSolidUsed > 0) {
-    expectedSolidUsed = +totals.expectedSolidUsed.toFixed(2);
-  } else if (Number.isFinite(fallbackExpected)) {
-    expectedSolidUsed = +Number(fallbackExpected).toFixed(2);
+  artworkStorages.set(String(name), save);
+  return true;
+}
+
+async function postArtworkFile(endpoint, file, meta) {
+  const body = new FormData();
+  body.append('file', file, meta.name);
+  body.append('meta', JSON.stringify(meta));
+
+  const response = await fetch(endpoint, { method: 'POST', body });
+  if (!response.ok) {
+    throw new Error(`http-${response.status}`);
+  }
+
+  const payload = await response.json();
+  if (!payload?.ref || !payload?.url) {
+    throw new Error('respuesta-sin-referencia');
+  }
+
+  return { ref: String(payload.ref), url: new URL(payload.url, endpoint).href };
+}
+
+// Servidor de desarrollo: tools/servidor_artes_local.mjs guarda los archivos en disco
+registerArtworkStorage('local', (file, meta, config) => postArtworkFile(config.localEndpoint, file, meta));
+
+registerArtworkStorage('endpoint', (file, meta, config) => {
+  if (!config.endpoint) {
+    throw new Error('sin-endpoint');
+  }
+
+  return postArtworkFile(config.endpoint, file, meta);
+});
+
+function normalizeArtworkReference(artwork) {
+  if (!artwork || typeof artwork !== 'object' || !artwork.ref) {
+    return null;
   }
-  const actualSolidUsed = +totals.actualSolidUsed.toFixed(2);
-  const varianceSolid = expectedSolidUsed === null ? null : +(actualSolidUsed - expectedSolidUsed).toFixed(2);
-  const variancePct = expectedSolidUsed ? +((varianceSolid / expectedSolidUsed) * 100).toFixed(2) : null;
 
   return {
-    key,
-    quantity: totals.quantity,
-    expectedSolidUsed,
-    actualSolidUsed,
-    varianceSolid,
-    variancePct,
-    withinTolerance: entries.every(entry => entry.withinTolerance !== false),
-    lines: entries
+    ref: String(artwork.ref),
+    url: String(artwork.url || ''),
+    name: String(artwork.name || ''),
+    type: String(artwork.type || ''),
+    sizeBytes: Number(artwork.sizeBytes) || 0,
+    width: Number(artwork.width) || null,
+    height: Number(artwork.height) || null,
+    storage: String(artwork.storage || ''),
+    uploadedAt: String(artwork.uploadedAt || '')
   };
 }
 
-function buildKpiAlerts({ order, report, marginPct, marginValue, actualConsumptionPct, orderKpis }) {
-  const alerts = [];
+function validateArtworkFile(file = {}, dimensions = null) {
+  if (!ARTWORK_ALLOWED_TYPES[file.type]) {
+    return { ok: false, reason: 'invalid-type', message: 'Sube tu diseño en PNG, JPG o SVG.' };
+  }
 
-  if (Number.isFinite(marginValue) && marginValue < 0) {
-    alerts.push({
-      type: 'margin-negative',
-      severity: 'critical',
-      scope: 'orden',
-      message: `Margen negativo en la orden ${order.orderId}`,
-      value: marginValue
-    });
+  if (!(file.size > 0)) {
+    return { ok: false, reason: 'empty-file', message: 'El archivo está vacío.' };
   }
 
-  if (Number.isFinite(marginPct) && marginPct < 20) {
-    alerts.push({
-      type: 'margin-low',
-      severity: 'warning',
-      scope: 'orden',
-      message: `Margen por debajo del umbral recomendado en la orden ${order.orderId}`,
-      value: marginPct
-    });
+  if (file.size > ARTWORK_MAX_BYTES) {
+    return { ok: false, reason: 'too-large', message: `El archivo pesa más de ${ARTWORK_MAX_BYTES / 1024 / 1024} MB.` };
   }
 
-  if (Number.isFinite(actualConsumptionPct) && actualConsumptionPct > 0) {
-    alerts.push({
-      type: 'consumption-over-plan',
-      severity: actualConsumptionPct > 10 ? 'critical' : 'warning',
-      scope: 'orden',
-      message: `El consumo real supera el consumo planificado en ${actualConsumptionPct.toFixed(2)}%`,
-      value: actualConsumptionPct
-    });
+  if (file.type !== 'image/svg+xml') {
+    const shortSide = Math.min(Number(dimensions?.width) || 0, Number(dimensions?.height) || 0);
+    if (shortSide < ARTWORK_MIN_SHORT_SIDE_PX) {
+      return {
+        ok: false,
+        reason: 'low-resolution',
+        message: `La imagen mide ${dimensions?.width || 0}×${dimensions?.height || 0} px; necesitamos al menos ${ARTWORK_MIN_SHORT_SIDE_PX} px en el lado más corto.`
+      };
+    }
   }
 
-  if (report) {
-    const breakdowns = [
-      { scope: 'producto', entries: report.productBreakdown || [] },
-      { scope: 'lote', entries: report.lotBreakdown || [] },
-      { scope: 'operario', entries: report.operatorBreakdown || [] }
-    ];
+  return { ok: true };
+}
 
-    breakdowns.forEach(({ scope, entries }) => {
-      entries.filter(entry => entry?.withinTolerance === false).forEach(entry => {
-        const variancePct = Number.isFinite(entry.variancePct) ? entry.variancePct.toFixed(2) : 'n/a';
-        alerts.push({
-          type: 'consumption-out-of-range',
-          severity: Number.isFinite(entry.variancePct) && entry.variancePct > 0 ? 'critical' : 'warning',
-          scope,
-          key: entry.key,
-          message: `Consumo fuera de rango en ${scope} ${entry.key}`,
-          value: variancePct,
-          expectedSolidUsed: entry.expectedSolidUsed,
-          actualSolidUsed: entry.actualSolidUsed,
-          varianceSolid: entry.varianceSolid,
-          variancePct: entry.variancePct,
-          productSku: scope === 'producto' ? entry.key : undefined,
-          lotCode: scope === 'lote' ? entry.key : undefined,
-          operator: scope === 'operario' ? entry.key : undefined
-        });
-      });
-    });
+function readArtworkDimensions(file) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    img.src = url;
+  });
+}
+
+// Valida, sube con el almacenamiento configurado y devuelve la referencia para la línea del carrito
+async function uploadArtwork(file, options = {}) {
+  if (!file) {
+    return { ok: false, reason: 'missing-file', message: 'Selecciona un archivo.' };
   }
 
-  if (orderKpis && Array.isArray(orderKpis.consumptionAlerts)) {
-    orderKpis.consumptionAlerts.forEach(alert => {
-      alerts.push({
-        ...alert,
-        source: 'kpi'
-      });
-    });
+  const config = { ...getArtworkStorageConfig(), ...options };
+  if (!isArtworkUploadEnabled(config)) {
+    return { ok: false, reason: 'disabled', message: 'Por ahora no recibimos diseños en línea. Envíalo por WhatsApp y lo adjuntamos a tu pedido.' };
   }
 
-  return alerts;
-}
+  const dimensions = ARTWORK_ALLOWED_TYPES[file.type] ? await readArtworkDimensions(file) : null;
+  if (ARTWORK_ALLOWED_TYPES[file.type] && !dimensions) {
+    return { ok: false, reason: 'unreadable', message: 'No pudimos leer la imagen. Revisa que el archivo no esté dañado.' };
+  }
 
-function persistKpiReport(kpiReport) {
-  const reports = safeReadJsonStorage(KPI_REPORTS_KEY, []);
-  const nextReport = {
-    ...kpiReport,
-    recordedAt: new Date().toISOString()
+  const validation = validateArtworkFile(file, dimensions);
+  if (!validation.ok) {
+    return validation;
+  }
+
+  const save = artworkStorages.get(config.storage);
+
+  const meta = {
+    name: file.name || `diseno.${ARTWORK_ALLOWED_TYPES[file.type]}`,
+    type: file.type,
+    sizeBytes: file.size,
+    width: dimensions?.width || null,
+    height: dimensions?.height || null
   };
-  const index = reports.findIndex(report => report.orderId === nextReport.orderId);
 
-  if (index >= 0) {
-    reports[index] = nextReport;
-  } else {
-    reports.push(nextReport);
+  try {
+    const stored = await save(file, meta, config);
+    return {
+      ok: true,
+      artwork: normalizeArtworkReference({
+        ...meta,
+        ...stored,
+        storage: config.storage,
+        uploadedAt: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.warn('No se pudo subir el diseño:', error);
+    return { ok: false, reason: 'unavailable', message: 'No pudimos subir el diseño en este momento. Intenta de nuevo.' };
+  }
+}
+
+// Parámetros de cotización automática para impresión FDM en PLA
+const PRINT_QUOTE_SETTINGS = {
+  densityGcm3: 1.24,
+  lineWidthMm: 0.45,
+  // Caudal promedio real con aceleraciones y desplazamientos, no el máximo del hotend
+  flowMm3PerSecond: 6,
+  setupHours: 0.25,
+  machineRateCOPPerHour: 3200,
+  marginPct: 45,
+  minimumPriceCOP: 12000,
+  buildVolumeMm: { x: 220, y: 220, z: 250 },
+  infillOptions: [10, 15, 20, 40, 60, 100],
+  defaultInfillPct: 20,
+  defaultWallCount: 3
+};
+
+function readStlAscii(text) {
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  const coords = [];
+  let match = vertexPattern.exec(text);
+
+  while (match) {
+    coords.push(Number(match[1]), Number(match[2]), Number(match[3]));
+    match = vertexPattern.exec(text);
+  }
+
+  return coords.length % 9 === 0 ? Float64Array.from(coords) : null;
+}
+
+function readStlBinary(view) {
+  const triangleCount = view.getUint32(80, true);
+  const coords = new Float64Array(triangleCount * 9);
+
+  for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+    // 12 bytes de normal, luego 3 vértices de 3 float32 y 2 bytes de atributos
+    const offset = 84 + triangle * 50 + 12;
+    for (let value = 0; value < 9; value += 1) {
+      coords[triangle * 9 + value] = view.getFloat32(offset + value * 4, true);
+    }
   }
 
-  safeWriteJsonStorage(KPI_REPORTS_KEY, reports);
-  return nextReport;
+  return coords;
 }
 
-function resolveOrderActualCost(order, options, fallbackCost) {
-  let actualCost = normalizeCurrencyValue(options.actualCost);
+// Un binario se reconoce por su tamaño exacto; hay binarios cuyo encabezado empieza con "solid"
+function parseStl(buffer) {
+  if (Object.prototype.toString.call(buffer) !== '[object ArrayBuffer]' || buffer.byteLength < 15) {
+    return { ok: false, reason: 'invalid-stl', message: 'El archivo no es un STL válido.' };
+  }
 
-  if (actualCost !== null && actualCost !== undefined) {
-    return actualCost;
+  const view = new DataView(buffer);
+  const isBinary = buffer.byteLength >= 84 && buffer.byteLength === 84 + view.getUint32(80, true) * 50;
+  let coords = null;
+
+  if (isBinary) {
+    coords = readStlBinary(view);
+  } else {
+    const text = new TextDecoder().decode(buffer);
+    coords = /^\s*solid/i.test(text) ? readStlAscii(text) : null;
   }
 
-  const closeSummaryCost = normalizeCurrencyValue(order.closeSummary?.actualCost);
-  if (closeSummaryCost !== null && closeSummaryCost !== undefined) {
-    return closeSummaryCost;
+  if (!coords || coords.length === 0 || coords.some(value => !Number.isFinite(value))) {
+    return { ok: false, reason: 'invalid-stl', message: 'El archivo no es un STL válido.' };
   }
 
-  const productionCost = normalizeCurrencyValue(order.production?.actualCost);
-  if (productionCost !== null && productionCost !== undefined) {
-    return productionCost;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  let signedVolume = 0;
+  let surfaceArea = 0;
+
+  for (let index = 0; index < coords.length; index += 9) {
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = coords.subarray(index, index + 9);
+    for (let axis = 0; axis < 3; axis += 1) {
+      min[axis] = Math.min(min[axis], coords[index + axis], coords[index + 3 + axis], coords[index + 6 + axis]);
+      max[axis] = Math.max(max[axis], coords[index + axis], coords[index + 3 + axis], coords[index + 6 + axis]);
+    }
+
+    // Volumen con signo del tetraedro (origen, a, b, c); la suma sobre una malla cerrada da el volumen
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+    const ux = bx - ax; const uy = by - ay; const uz = bz - az;
+    const vx = cx - ax; const vy = cy - ay; const vz = cz - az;
+    surfaceArea += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
   }
 
-  return fallbackCost;
+  const volumeMm3 = Math.abs(signedVolume);
+  if (!(volumeMm3 > 0)) {
+    return { ok: false, reason: 'open-mesh', message: 'La malla no encierra volumen; revisa que el modelo esté cerrado.' };
+  }
+
+  return {
+    ok: true,
+    format: isBinary ? 'binary' : 'ascii',
+    triangleCount: coords.length / 9,
+    volumeMm3: +volumeMm3.toFixed(2),
+    surfaceAreaMm2: +surfaceArea.toFixed(2),
+    boundingBox: {
+      min,
+      max,
+      sizeMm: { x: +(max[0] - min[0]).toFixed(2), y: +(max[1] - min[1]).toFixed(2), z: +(max[2] - min[2]).toFixed(2) }
+    }
+  };
 }
 
-function buildConsumptionAlertsFromReport(consumptionReport) {
-  const alerts = [];
-  if (!consumptionReport) {
-    return alerts;
+function normalizePrintEstimate(estimate) {
+  if (!estimate || typeof estimate !== 'object' || !(Number(estimate.grams) > 0)) {
+    return null;
   }
 
-  const groups = [
-    { scope: 'producto', entries: consumptionReport.productBreakdown || [] },
-    { scope: 'lote', entries: consumptionReport.lotBreakdown || [] },
-    { scope: 'operario', entries: consumptionReport.operatorBreakdown || [] }
-  ];
+  return {
+    fileName: String(estimate.fileName || ''),
+    fileHash: String(estimate.fileHash || ''),
+    grams: Number(estimate.grams),
+    hours: Number(estimate.hours) || 0,
+    volumeCm3: Number(estimate.volumeCm3) || 0,
+    sizeMm: estimate.sizeMm && typeof estimate.sizeMm === 'object' ? { ...estimate.sizeMm } : null,
+    infillPct: Number(estimate.infillPct) || 0,
+    wallCount: Number(estimate.wallCount) || 0
+  };
+}
 
-  groups.forEach(({ scope, entries }) => {
-    entries.filter(entry => entry?.withinTolerance === false).forEach(entry => {
-      alerts.push({
-        type: `${scope}-consumption-deviation`,
-        severity: Number.isFinite(entry.variancePct) && entry.variancePct > 0 ? 'critical' : 'warning',
-        scope,
-        key: entry.key,
-        variancePct: entry.variancePct,
-        varianceSolid: entry.varianceSolid,
-        expectedSolidUsed: entry.expectedSolidUsed,
-        actualSolidUsed: entry.actualSolidUsed,
-        message: `Consumo fuera de rango en ${scope} ${entry.key}`
-      });
-    });
-  });
+// Paredes y tapas se imprimen sólidas sobre la superficie; el interior restante lleva el relleno elegido
+function estimatePrintJob(mesh = {}, { infillPct = PRINT_QUOTE_SETTINGS.defaultInfillPct, wallCount = PRINT_QUOTE_SETTINGS.defaultWallCount } = {}) {
+  const infill = Math.min(100, Math.max(0, Number(infillPct) || 0)) / 100;
+  const walls = Math.min(8, Math.max(1, Number.parseInt(wallCount, 10) || 1));
+  const shellMm3 = Math.min(mesh.volumeMm3, mesh.surfaceAreaMm2 * walls * PRINT_QUOTE_SETTINGS.lineWidthMm);
+  const extrudedMm3 = shellMm3 + (mesh.volumeMm3 - shellMm3) * infill;
+  const grams = +(extrudedMm3 / 1000 * PRINT_QUOTE_SETTINGS.densityGcm3).toFixed(2);
+  const hours = +(PRINT_QUOTE_SETTINGS.setupHours + extrudedMm3 / PRINT_QUOTE_SETTINGS.flowMm3PerSecond / 3600).toFixed(2);
 
-  return alerts;
+  return {
+    grams,
+    hours,
+    volumeCm3: +(mesh.volumeMm3 / 1000).toFixed(2),
+    extrudedCm3: +(extrudedMm3 / 1000).toFixed(2),
+    sizeMm: { ...mesh.boundingBox.sizeMm },
+    infillPct: Math.round(infill * 100),
+    wallCount: walls
+  };
 }
 
-function buildOrderConsumptionSummary(order, consumptionReport) {
-  const plannedConsumption = consumptionReport
-    ? Number(consumptionReport.expectedSolidUsed) || 0
-    : (order.theoreticalConsumption || []).reduce((acc, line) => acc + (Number(line.theoreticalSolid) || 0), 0);
-  const actualConsumptionSolid = consumptionReport ? Number(consumptionReport.actualSolidUsed) || 0 : plannedConsumption;
-  const varianceSolid = +(actualConsumptionSolid - plannedConsumption).toFixed(2);
-  const variancePct = plannedConsumption > 0 ? +((varianceSolid / plannedConsumption) * 100).toFixed(2) : null;
-  const expectedRange = consumptionReport && Array.isArray(consumptionReport.entries) && consumptionReport.entries.length > 0
-    ? {
-        lowerPct: Math.min(...consumptionReport.entries.map(entry => Number(entry.toleranceLowerPct) || 0)),
-        upperPct: Math.max(...consumptionReport.entries.map(entry => Number(entry.toleranceUpperPct) || 0))
-      }
-    : null;
+function quotePrintJob(mesh = {}, options = {}) {
+  const size = mesh.boundingBox?.sizeMm;
+  const build = PRINT_QUOTE_SETTINGS.buildVolumeMm;
+  if (!size) {
+    return { ok: false, reason: 'invalid-stl', message: 'El archivo no es un STL válido.' };
+  }
+
+  // La pieza puede girarse sobre la cama, así que se comparan las dos medidas en planta ordenadas
+  const [footprintSmall, footprintLarge] = [size.x, size.y].sort((a, b) => a - b);
+  const [bedSmall, bedLarge] = [build.x, build.y].sort((a, b) => a - b);
+  if (footprintSmall > bedSmall || footprintLarge > bedLarge || size.z > build.z) {
+    return {
+      ok: false,
+      reason: 'too-large',
+      message: `La pieza mide ${size.x}×${size.y}×${size.z} mm y supera el volumen de impresión (${build.x}×${build.y}×${build.z} mm). Escríbenos para partirla.`
+    };
+  }
+
+  const estimate = estimatePrintJob(mesh, options);
+  const materialProfile = resolveMaterialProfile('impresion3d');
+  const materialCOP = +(estimate.grams * materialProfile.unitCostCOP).toFixed(2);
+  const machineCOP = +(estimate.hours * PRINT_QUOTE_SETTINGS.machineRateCOPPerHour).toFixed(2);
+  const unitCostCOP = +(materialCOP + machineCOP).toFixed(2);
+  const withMargin = unitCostCOP * (1 + PRINT_QUOTE_SETTINGS.marginPct / 100);
+  const unitPriceCOP = Math.max(PRINT_QUOTE_SETTINGS.minimumPriceCOP, Math.ceil(withMargin / 100) * 100);
 
   return {
-    plannedConsumption: +plannedConsumption.toFixed(2),
-    actualConsumptionSolid: +actualConsumptionSolid.toFixed(2),
-    varianceSolid,
-    variancePct,
-    expectedRange
+    ok: true,
+    estimate,
+    pricing: {
+      materialCode: materialProfile.materialCode,
+      materialCOP,
+      machineCOP,
+      unitCostCOP,
+      marginPct: PRINT_QUOTE_SETTINGS.marginPct,
+      unitPriceCOP
+    }
   };
 }
 
-function buildOrderMarginSummary(saleTotal, actualCost, quantity) {
-  const apu = quantity > 0 ? +(actualCost / quantity).toFixed(2) : null;
-  const marginValue = +(saleTotal - actualCost).toFixed(2);
-  const marginPct = saleTotal > 0 ? +((marginValue / saleTotal) * 100).toFixed(2) : null;
-  const unitSalePrice = quantity > 0 ? +(saleTotal / quantity).toFixed(2) : null;
+function buildPrintQuoteCartItem(quote, { fileName = '', fileHash = '' } = {}) {
+  const { estimate, pricing } = quote;
+  const label = String(fileName || 'pieza.stl').replace(/\.stl$/i, '');
 
   return {
-    apu,
-    marginValue,
-    marginPct,
-    unitSalePrice
+    sku: `STL-${fileHash || Date.now().toString(36).toUpperCase()}-${estimate.infillPct}-${estimate.wallCount}`,
+    name: `Impresión 3D — ${label}`,
+    price: pricing.unitPriceCOP,
+    unitCost: pricing.unitCostCOP,
+    category: 'impresion3d',
+    desc: `${estimate.sizeMm.x}×${estimate.sizeMm.y}×${estimate.sizeMm.z} mm · ${estimate.grams} g PLA · relleno ${estimate.infillPct}% · ${estimate.wallCount} paredes`,
+    source: 'stl-quote',
+    printEstimate: { ...estimate, fileName, fileHash }
   };
 }
 
-function buildOrderKpiSnapshot(order, consumptionReport, actualCost, quantity, saleTotal) {
-  const marginSummary = buildOrderMarginSummary(saleTotal, actualCost, quantity);
-  const consumptionSummary = buildOrderConsumptionSummary(order, consumptionReport);
-  const consumptionAlerts = buildConsumptionAlertsFromReport(consumptionReport);
+function getPrintQuoteSettings() {
+  return { ...PRINT_QUOTE_SETTINGS, buildVolumeMm: { ...PRINT_QUOTE_SETTINGS.buildVolumeMm } };
+}
+
+// Contextos de imagen responsive: anchos generados para srcset y el `sizes` que usa el navegador para elegir
+const RESPONSIVE_IMAGE_CONTEXTS = {
+  gallery: { widths: [240, 360, 480, 720], sizes: '(max-width: 520px) 50vw, (max-width: 900px) 33vw, 280px', quality: 72 },
+  card: { widths: [250, 500, 750], sizes: '250px', quality: 75 },
+  thumb: { widths: [96, 192, 288], sizes: '88px', quality: 70 },
+  'cart-thumb': { widths: [64, 128, 192], sizes: '56px', quality: 64 },
+  'product-hero': { widths: [480, 720, 960, 1280], sizes: '(max-width: 900px) 100vw, 50vw', quality: 74 },
+  banner: { widths: [640, 960, 1280, 1920], sizes: '100vw', quality: 74 }
+};
+const RESPONSIVE_IMAGE_FORMATS = [
+  { format: 'avif', type: 'image/avif' },
+  { format: 'webp', type: 'image/webp' }
+];
+const IMAGE_PROXY_URL = 'https://wsrv.nl/';
+// Variantes de imgs/ generadas con tools/generar_variantes_imagenes.mjs
+const LOCAL_IMAGE_VARIANTS_URL = './data/imagenes_locales.json';
+let localImageVariants = new Map();
+let localImageVariantsPromise = null;
+
+// Solo las imágenes del catálogo en GitHub pasan por wsrv.nl; las locales (imgs/) se sirven tal cual para que funcionen sin conexión
+function resolveProxyImageSource(url) {
+  return /^https:\/\/raw\.githubusercontent\.com\//i.test(url) ? url : null;
+}
+
+function optimizeImageUrl(url, options = {}) {
+  if (!url || typeof url !== 'string') return '';
+
+  const trimmed = url.trim();
+  const { width = 720, quality = 72, format = 'webp' } = options;
+  const source = resolveProxyImageSource(trimmed);
+  if (!source) return trimmed;
+
+  const encoded = encodeURIComponent(source.replace(/^https?:\/\//i, ''));
+  return `${IMAGE_PROXY_URL}?url=${encoded}&w=${width}&q=${quality}${format ? `&output=${format}` : ''}`;
+}
+
+function loadLocalImageVariants() {
+  if (!localImageVariantsPromise) {
+    localImageVariantsPromise = cachedFetch(LOCAL_IMAGE_VARIANTS_URL, { persist: false })
+      .then(manifest => {
+        localImageVariants = new Map(Object.entries(manifest?.images || {}));
+        return localImageVariants;
+      })
+      .catch(error => {
+        console.warn('No se pudieron cargar las variantes de imgs/:', error);
+        return localImageVariants;
+      });
+  }
+  return localImageVariantsPromise;
+}
+
+// srcset AVIF/WebP de una imagen local ya redimensionada de antemano; null si no tiene variantes
+function buildLocalImageSources(url) {
+  const key = url.replace(/^\.?\//, '').split(/[?#]/)[0];
+  const variants = localImageVariants.get(key);
+  if (!variants) return null;
+
+  return RESPONSIVE_IMAGE_FORMATS
+    .filter(({ format }) => variants.formats.includes(format))
+    .map(({ format, type }) => ({
+      type,
+      srcset: variants.widths
+        .map(width => `./${variants.pattern.replace('{width}', width).replace('{format}', format)} ${width}w`)
+        .join(', ')
+    }));
+}
+
+/**
+ * Devuelve { src, srcset, sizes, sources } para un contexto de RESPONSIVE_IMAGE_CONTEXTS. `sources` trae los
+ * srcset AVIF/WebP para <picture>; `srcset` queda en el formato original como último respaldo. Las imágenes de
+ * imgs/ usan sus variantes locales (sin `srcset` de respaldo: el original es el `src`). Si la imagen no tiene
+ * variantes ni se puede pasar por el proxy solo se devuelve `src`.
+ */
+function buildResponsiveImage(url, context = 'gallery', overrides = {}) {
+  const config = { ...(RESPONSIVE_IMAGE_CONTEXTS[context] || RESPONSIVE_IMAGE_CONTEXTS.gallery), ...overrides };
+  const trimmed = String(url || '').trim();
+  const largest = config.widths[config.widths.length - 1];
+
+  const localSources = trimmed ? buildLocalImageSources(trimmed) : null;
+  if (localSources) {
+    return { src: trimmed, srcset: '', sizes: config.sizes, sources: localSources };
+  }
+
+  if (!trimmed || !resolveProxyImageSource(trimmed)) {
+    return { src: trimmed, srcset: '', sizes: '', sources: [] };
+  }
+
+  const srcsetFor = format => config.widths
+    .map(width => `${optimizeImageUrl(trimmed, { width, quality: config.quality, format })} ${width}w`)
+    .join(', ');
 
   return {
-    orderId: order.orderId,
-    flowStatus: order.flowStatus,
-    apu: {
-      totalCost: +actualCost.toFixed(2),
-      unitCost: marginSummary.apu,
-      unitSalePrice: marginSummary.unitSalePrice,
-      quantity
-    },
-    margin: {
-      totalSale: +saleTotal.toFixed(2),
-      totalCost: +actualCost.toFixed(2),
-      grossMargin: marginSummary.marginValue,
-      grossMarginPct: marginSummary.marginPct
-    },
-    consumption: consumptionSummary,
-    consumptionAlerts,
-    alerts: buildKpiAlerts({
-      order,
-      report: consumptionReport,
-      marginPct: marginSummary.marginPct,
-      marginValue: marginSummary.marginValue,
-      actualConsumptionPct: consumptionSummary.variancePct,
-      orderKpis: { consumptionAlerts }
-    }),
-    report: consumptionReport
+    src: optimizeImageUrl(trimmed, { width: largest, quality: config.quality, format: null }),
+    srcset: srcsetFor(null),
+    sizes: config.sizes,
+    sources: RESPONSIVE_IMAGE_FORMATS.map(({ format, type }) => ({ type, srcset: srcsetFor(format) }))
   };
 }
 
-function computeOrderKPIs(orderRef, options = {}) {
-  const order = resolveOrderSnapshot(orderRef);
-  if (!order) {
+function responsivePictureHtml(url, { context = 'gallery', alt = '', className = '', loading = 'lazy', sizes } = {}) {
+  const image = buildResponsiveImage(url, context, sizes ? { sizes } : {});
+  const sources = image.sources
+    .map(source => `<source type="${source.type}" srcset="${escapeSearchHtml(source.srcset)}" sizes="${escapeSearchHtml(image.sizes)}">`)
+    .join('');
+  const srcsetAttrs = image.srcset
+    ? ` srcset="${escapeSearchHtml(image.srcset)}" sizes="${escapeSearchHtml(image.sizes)}"`
+    : '';
+
+  return `<picture>${sources}<img src="${escapeSearchHtml(image.src)}"${srcsetAttrs} alt="${escapeSearchHtml(alt)}"${className ? ` class="${escapeSearchHtml(className)}"` : ''} loading="${loading}" decoding="async"></picture>`;
+}
+
+function createResponsivePicture(url, options = {}) {
+  const template = document.createElement('template');
+  template.innerHTML = responsivePictureHtml(url, options);
+  return template.content.firstElementChild;
+}
+
+// Para miniaturas pintadas con background-image: un solo ancho según la densidad de pantalla, con image-set() por formato
+function applyResponsiveBackground(element, url, context = 'thumb') {
+  const trimmed = String(url || '').trim().replace(/^url\(['"]?/, '').replace(/['"]?\)$/, '');
+  if (!element || !trimmed) return;
+
+  const config = RESPONSIVE_IMAGE_CONTEXTS[context] || RESPONSIVE_IMAGE_CONTEXTS.thumb;
+  const target = config.widths[0] * Math.min(window.devicePixelRatio || 1, 3);
+  const width = config.widths.find(candidate => candidate >= target) || config.widths[config.widths.length - 1];
+  const fallback = optimizeImageUrl(trimmed, { width, quality: config.quality });
+
+  element.style.backgroundImage = `url("${fallback}")`;
+  if (!resolveProxyImageSource(trimmed)) return;
+
+  const candidates = RESPONSIVE_IMAGE_FORMATS
+    .map(({ format, type }) => `url("${optimizeImageUrl(trimmed, { width, quality: config.quality, format })}") type("${type}")`)
+    .join(', ');
+  // Navegadores sin image-set(type()) ignoran la asignación y conservan el respaldo anterior
+  element.style.backgroundImage = `image-set(${candidates})`;
+}
+
+// Imágenes locales marcadas con data-image-context: se envuelven en <picture> con las variantes AVIF/WebP
+async function enhanceResponsiveImages(root = document) {
+  await loadLocalImageVariants();
+  root.querySelectorAll('img[data-image-context]').forEach(img => {
+    if (img.parentElement?.tagName === 'PICTURE') return;
+
+    const image = buildResponsiveImage(img.getAttribute('src'), img.dataset.imageContext, img.dataset.imageSizes ? { sizes: img.dataset.imageSizes } : {});
+    if (!image.sources.length) return;
+
+    const picture = document.createElement('picture');
+    picture.className = 'picture--local';
+    image.sources.forEach(({ type, srcset }) => {
+      const source = document.createElement('source');
+      source.type = type;
+      source.srcset = srcset;
+      source.sizes = image.sizes;
+      picture.appendChild(source);
+    });
+    img.replaceWith(picture);
+    picture.appendChild(img);
+  });
+}
+
+function readApiCacheEntry(url) {
+  const memory = apiCache.get(url);
+  if (memory) return memory;
+
+  const stored = safeReadJsonStorage(API_CACHE_STORAGE_PREFIX + url, null);
+  if (!stored || !Number.isFinite(stored.timestamp) || Date.now() - stored.timestamp > API_CACHE_MAX_STALE_MS) {
     return null;
   }
+  apiCache.set(url, stored);
+  touchApiCacheIndex(url);
+  return stored;
+}
 
-  const actualConsumption = Array.isArray(options.actualConsumption) ? options.actualConsumption : [];
-  const consumptionReport = options.consumptionReport || order.closeSummary?.report || order.production?.report || (actualConsumption.length > 0 ? buildConsumptionDeviationReport(order, actualConsumption) : null);
-  const summary = typeof order.summary === 'object' && order.summary ? order.summary : {};
-  const saleTotal = Number(summary.subtotal) || 0;
-  const quantity = Number(summary.quantity) || (order.items || []).reduce((acc, item) => acc + (Number(item.quantity) || 0), 0);
-  const fallbackCost = Number(summary.estimatedCost) || 0;
-  const actualCost = resolveOrderActualCost(order, options, fallbackCost);
-  const kpis = buildOrderKpiSnapshot(order, consumptionReport, actualCost, quantity, saleTotal);
+// Índice LRU de las copias en localStorage: { url, bytes, usedAt }
+function getApiCacheIndex() {
+  const index = safeReadJsonStorage(API_CACHE_INDEX_KEY, []);
+  return Array.isArray(index) ? index : [];
+}
 
-  return kpis;
+function touchApiCacheIndex(url) {
+  const index = getApiCacheIndex();
+  const item = index.find(entry => entry.url === url);
+  if (!item) return;
+  item.usedAt = Date.now();
+  safeWriteJsonStorage(API_CACHE_INDEX_KEY, index);
 }
 
-function buildConsumptionDeviationReport(order, entries = []) {
-  if (!order) {
-    return null;
+function removeApiCacheCopy(url) {
+  try {
+    localStorage.removeItem(API_CACHE_STORAGE_PREFIX + url);
+  } catch (error) {
+    console.warn(`No se pudo borrar la copia de ${url}:`, error);
   }
+}
 
-  const theoreticalBySku = buildIndexBySku(order.theoreticalConsumption || []);
-  const normalizedEntries = entries.map((entry, index) => {
-    const theoreticalLine = theoreticalBySku.get(String(entry.productSku || entry.sku || '').trim()) || null;
-    return normalizeProductionConsumptionLine(entry, entry, theoreticalLine, entries.filter(candidate => String(candidate.productSku || candidate.sku || '').trim() === String(entry.productSku || entry.sku || '').trim()).length || 1, index);
+// Antes de escribir se sacan las copias vencidas y las de uso más antiguo hasta que la nueva quepa en API_CACHE_MAX_BYTES
+function persistApiCacheEntry(url, entry) {
+  const serialized = JSON.stringify(entry);
+  const bytes = serialized.length * 2; // localStorage guarda UTF-16
+  const now = Date.now();
+  let index = getApiCacheIndex().filter(item => item.url !== url);
+
+  index = index.filter(item => {
+    const keep = now - item.usedAt <= API_CACHE_MAX_STALE_MS;
+    if (!keep) removeApiCacheCopy(item.url);
+    return keep;
   });
+  index.sort((a, b) => a.usedAt - b.usedAt);
 
-  const productGroups = groupConsumptionEntries(entry => String(entry.productSku || entry.sku || entry.productName || 'SIN_SKU'), normalizedEntries);
-  const lotGroups = groupConsumptionEntries(entry => String(entry.lotCode || entry.lotId || entry.movementBatchId || 'SIN_LOTE'), normalizedEntries);
-  const operatorGroups = groupConsumptionEntries(entry => String(entry.operator || 'sin-operario'), normalizedEntries);
+  if (bytes > API_CACHE_MAX_BYTES) {
+    removeApiCacheCopy(url);
+    safeWriteJsonStorage(API_CACHE_INDEX_KEY, index);
+    return false;
+  }
 
-  const productBreakdown = Array.from(productGroups.entries()).map(([sku, groupEntries]) => {
-    const theoreticalLine = theoreticalBySku.get(sku) || null;
-    return summarizeConsumptionGroup(sku, groupEntries, theoreticalLine ? theoreticalLine.theoreticalSolid : null);
-  });
+  let totalBytes = index.reduce((acc, item) => acc + (Number(item.bytes) || 0), 0);
+  while (index.length && totalBytes + bytes > API_CACHE_MAX_BYTES) {
+    const evicted = index.shift();
+    removeApiCacheCopy(evicted.url);
+    totalBytes -= Number(evicted.bytes) || 0;
+  }
 
-  const lotBreakdown = Array.from(lotGroups.entries()).map(([lotKey, groupEntries]) => summarizeConsumptionGroup(lotKey, groupEntries));
-  const operatorBreakdown = Array.from(operatorGroups.entries()).map(([operatorKey, groupEntries]) => summarizeConsumptionGroup(operatorKey, groupEntries));
+  let stored = true;
+  try {
+    localStorage.setItem(API_CACHE_STORAGE_PREFIX + url, serialized);
+    index.push({ url, bytes, usedAt: now });
+  } catch (error) {
+    console.warn(`No se pudo guardar la copia de ${url}:`, error);
+    stored = false;
+  }
+  safeWriteJsonStorage(API_CACHE_INDEX_KEY, index);
+  return stored;
+}
 
-  const orderTotals = normalizedEntries.reduce((acc, entry) => {
-    acc.actualSolidUsed += Number(entry.actualSolidUsed) || 0;
-    if (Number.isFinite(entry.expectedSolidUsed)) {
-      acc.expectedSolidUsed += Number(entry.expectedSolidUsed);
+function writeApiCacheEntry(url, data, persist) {
+  const entry = { data, timestamp: Date.now() };
+  apiCache.set(url, entry);
+  if (persist) persistApiCacheEntry(url, entry);
+  return entry;
+}
+
+function isRetryableFetchError(error) {
+  return error.name === 'AbortError' || error.name === 'TypeError' || error.status === 429 || error.status >= 500;
+}
+
+async function fetchJsonWithRetry(url, { timeout, retries, retryDelay, deadline }) {
+  const expiresAt = deadline > 0 ? Date.now() + deadline : Infinity;
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.min(timeout, expiresAt - Date.now()));
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} al consultar ${url}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json();
+    } catch (error) {
+      const wait = retryDelay * 2 ** attempt;
+      if (attempt >= retries || !isRetryableFetchError(error) || Date.now() + wait >= expiresAt) throw error;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    } finally {
+      clearTimeout(timer);
     }
-    return acc;
-  }, { expectedSolidUsed: 0, actualSolidUsed: 0 });
+  }
+}
 
-  const theoreticalOrderTotals = (order.theoreticalConsumption || []).reduce((acc, line) => {
-    acc.expectedSolidUsed += Number(line.theoreticalSolid) || 0;
-    acc.quantity += Number(line.quantity) || 0;
-    return acc;
-  }, { expectedSolidUsed: 0, quantity: 0 });
+/**
+ * GET JSON con caché en capas (memoria y localStorage). Las peticiones idénticas en curso comparten la misma
+ * promesa; cada intento se corta a los `timeout` ms y los errores de red, 429 y 5xx se reintentan con backoff
+ * mientras no se cumpla `deadline` (ms para todos los intentos; 0 = sin tope).
+ * Con `staleWhileRevalidate` una copia vencida se devuelve al instante y se refresca en segundo plano; sin él,
+ * la copia vencida solo se usa si la red falla.
+ */
+function cachedFetch(url, {
+  ttl = API_CACHE_DURATION,
+  timeout = API_FETCH_TIMEOUT_MS,
+  retries = API_FETCH_RETRIES,
+  retryDelay = API_FETCH_RETRY_DELAY_MS,
+  deadline = 0,
+  staleWhileRevalidate = false,
+  persist = true
+} = {}) {
+  const cached = readApiCacheEntry(url);
+  const fresh = cached && Date.now() - cached.timestamp < ttl;
+  if (fresh) return Promise.resolve(cached.data);
+
+  let request = apiInFlight.get(url);
+  if (!request) {
+    request = fetchJsonWithRetry(url, { timeout, retries, retryDelay, deadline })
+      .then(data => writeApiCacheEntry(url, data, persist).data)
+      .finally(() => apiInFlight.delete(url));
+    apiInFlight.set(url, request);
+  }
 
-  const expectedSolidUsed = theoreticalOrderTotals.expectedSolidUsed ? +theoreticalOrderTotals.expectedSolidUsed.toFixed(2) : null;
-  const actualSolidUsed = +orderTotals.actualSolidUsed.toFixed(2);
-  const varianceSolid = expectedSolidUsed === null ? null : +(actualSolidUsed - expectedSolidUsed).toFixed(2);
-  const variancePct = expectedSolidUsed ? +((varianceSolid / expectedSolidUsed) * 100).toFixed(2) : null;
+  if (cached && staleWhileRevalidate) {
+    request.catch(error => console.warn(`No se pudo refrescar ${url}:`, error));
+    return Promise.resolve(cached.data);
+  }
+
+  if (!cached) return request;
+  return request.catch(error => {
+    console.warn(`Usando copia guardada de ${url}:`, error);
+    return cached.data;
+  });
+}
+
+function normalizeCatalogRegistry(json) {
+  const fields = json && typeof json.fields === 'object' ? json.fields : {};
+  const sources = Array.isArray(json?.sources) ? json.sources : [];
 
   return {
-    orderId: order.orderId,
-    flowStatus: order.flowStatus,
-    expectedSolidUsed,
-    actualSolidUsed,
-    varianceSolid,
-    variancePct,
-    quantity: theoreticalOrderTotals.quantity,
-    productBreakdown,
-    lotBreakdown,
-    operatorBreakdown,
-    entries: normalizedEntries
+    fields,
+    sources: sources
+      .filter(source => source && source.id && source.category && source.url)
+      .map(source => ({
+        id: String(source.id),
+        category: String(source.category).toLowerCase(),
+        group: String(source.group || source.category).toLowerCase(),
+        label: source.label || source.category,
+        url: source.url,
+        search: source.search !== false,
+        ttl: (Number(source.ttlMinutes) > 0 ? Number(source.ttlMinutes) : API_CACHE_DURATION / 60000) * 60000,
+        fields: { ...fields, ...source.fields },
+        fallback: Array.isArray(source.fallback) ? source.fallback : []
+      }))
   };
 }
 
-function gatherProductData(product) {
-  const name = product.dataset.title || product.querySelector('.gallery__name')?.textContent || 'Producto';
-  const price = product.dataset.price || product.querySelector('.gallery__price')?.textContent || '—';
-  const desc = product.dataset.description || product.querySelector('.gallery__meta')?.textContent || '';
-  let image = '';
-  const imgElement = product.querySelector('.gallery__image img');
-
-  if (imgElement) {
-    image = imgElement.src;
-  } else {
-    const galleryImage = product.querySelector('.gallery__image');
-    image = galleryImage ? galleryImage.dataset.bgImage || '' : '';
+function loadCatalogSources() {
+  return cachedFetch(CATALOG_SOURCES_URL).then(normalizeCatalogRegistry);
+}
+
+// Una categoría puede ser el id de una fuente, su categoría o su grupo; 'todos' son las fuentes buscables
+function resolveCatalogSources(registry, category) {
+  const key = String(category || 'todos').trim().toLowerCase();
+  if (key === 'todos') {
+    return registry.sources.filter(source => source.search);
   }
 
-  return { name, price, desc, image };
-}
+  const byId = registry.sources.filter(source => source.id === key);
+  if (byId.length) return byId;
 
-function formatPrice(value) {
-  const numericValue = typeof value === 'number' ? value : Number(value) || 0;
-  return numericValue.toLocaleString('es-CO');
+  const byCategory = registry.sources.filter(source => source.category === key);
+  if (byCategory.length) return byCategory;
+
+  return registry.sources.filter(source => source.group === key);
 }
 
-function parseCurrencyLikeValue(value) {
-  return Number.parseFloat(
-    String(value || '')
-      .replaceAll('$', '')
-      .replaceAll('.', '')
-      .replaceAll(',', '.')
-  ) || 0;
+function extractCatalogRows(json) {
+  if (!json) return [];
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json.data)) return json.data;
+  if (Array.isArray(json.items)) return json.items;
+  if (Array.isArray(json.products)) return json.products;
+  return Object.values(json).find(value => Array.isArray(value)) || [];
 }
 
-function createCartRemoveHandler(index) {
-  return function handleCartRemoveClick(event) {
-    event.stopPropagation();
-    const cart = safeReadJsonStorage('cyberduck:cart', []);
-    cart.splice(index, 1);
-    safeWriteJsonStorage('cyberduck:cart', cart);
-    if (globalThis.cyberduck?.renderCart) {
-      globalThis.cyberduck.renderCart();
-    }
+// position es el orden de la fila en su fuente; las hojas agregan los productos nuevos al final
+function normalizeCatalogItem(row, source, position = 0) {
+  const normalized = {};
+  Object.keys(row || {}).forEach(key => {
+    if (!key) return;
+    normalized[key.trim().toLowerCase()] = row[key];
+  });
 
-    const dd = document.getElementById('cartDropdown');
-    if (dd) {
-      dd.hidden = false;
-    }
+  const pick = field => pickFirstDefined(...(source.fields[field] || []).map(key => normalized[key]));
 
-    try {
-      globalThis.dispatchEvent(new Event('cyberduck:cart-updated'));
-    } catch (error) {
-      console.warn('No se pudo disparar el evento de carrito:', error);
-    }
+  return {
+    sku: String(pick('sku')).trim(),
+    name: String(pick('name')).trim() || 'Producto',
+    price: normalizeCurrencyValue(pick('price')),
+    image: String(pick('image')).trim(),
+    description: String(pick('description')).trim(),
+    unitCost: null,
+    category: source.category,
+    categoryLabel: source.label,
+    source: source.id,
+    position
   };
 }
 
-function upsertOrderSnapshot(orderPayload, status = 'CREADA') {
-  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
-  const theoretical = computeTheoreticalConsumption(orderPayload.items || []);
-  const now = new Date().toISOString();
+function buildStaticCatalogIndex(bundle) {
+  const products = Array.isArray(bundle?.products) ? bundle.products : [];
+  const index = { generatedAt: bundle?.generatedAt || null, bySku: new Map(), byName: new Map(), bySource: new Map() };
+
+  products.forEach(product => {
+    if (!product || !product.sku) return;
+    index.bySku.set(String(product.sku).toUpperCase(), product);
+    index.byName.set(`${product.category}::${foldSearchText(product.name)}`, product);
+    const sourceProducts = index.bySource.get(product.source) || [];
+    sourceProducts.push(product);
+    index.bySource.set(product.source, sourceProducts);
+  });
 
-  const snapshot = {
-    orderId: orderPayload.orderId,
-    createdAt: orderPayload.createdAt || now,
-    updatedAt: now,
-    flowStatus: status,
-    customer: orderPayload.customer || {},
-    paymentMethod: orderPayload.paymentMethod || '',
-    summary: orderPayload.summary || {},
-    items: normalizeCartItems(orderPayload.items || []),
-    theoreticalConsumption: theoretical,
-    inventory: orderPayload.inventory || { status: 'pending', lines: [] },
-    production: orderPayload.production || { status: 'pending', lineCount: theoretical.length },
-    closeSummary: orderPayload.closeSummary || null
-  };
+  return index;
+}
 
-  const index = orders.findIndex(order => order.orderId === snapshot.orderId);
-  if (index >= 0) {
-    orders[index] = { ...orders[index], ...snapshot };
-  } else {
-    orders.push(snapshot);
+// Lectura síncrona para normalizeCartItem: memoria o la última copia guardada por loadStaticCatalog
+function getStaticCatalogIndex() {
+  if (!staticCatalogIndex) {
+    staticCatalogIndex = buildStaticCatalogIndex(safeReadJsonStorage(STATIC_CATALOG_KEY, null));
   }
-
-  safeWriteJsonStorage(ORDER_STORAGE_KEY, orders);
-  return snapshot;
+  return staticCatalogIndex;
 }
 
-function registerOrderFromCheckout(orderPayload) {
-  return upsertOrderSnapshot(orderPayload, 'CREADA');
+function loadStaticCatalog() {
+  if (staticCatalogPromise) return staticCatalogPromise;
+
+  staticCatalogPromise = cachedFetch(STATIC_CATALOG_URL, { persist: false })
+    .then(bundle => {
+      if (!Array.isArray(bundle?.products)) throw new Error('Paquete de catálogo estático inválido');
+      if (bundle.generatedAt !== getStaticCatalogIndex().generatedAt) {
+        safeWriteJsonStorage(STATIC_CATALOG_KEY, bundle);
+        staticCatalogIndex = buildStaticCatalogIndex(bundle);
+      }
+      return staticCatalogIndex;
+    })
+    .catch(error => {
+      console.warn('No se pudo cargar el catálogo estático:', error);
+      staticCatalogPromise = null;
+      return getStaticCatalogIndex();
+    });
+
+  return staticCatalogPromise;
 }
 
-function resolveOrderSnapshot(orderRef) {
-  if (!orderRef) {
-    return null;
+function findStaticCatalogProduct({ sku, baseSku, name, category } = {}) {
+  const index = getStaticCatalogIndex();
+  for (const candidate of [sku, baseSku]) {
+    const match = candidate ? index.bySku.get(String(candidate).trim().toUpperCase()) : null;
+    if (match) return match;
   }
 
-  if (typeof orderRef === 'object' && orderRef.orderId) {
-    return upsertOrderSnapshot(orderRef, orderRef.flowStatus || 'CREADA');
-  }
+  if (!name || !category) return null;
+  return index.byName.get(`${String(category).trim().toLowerCase()}::${foldSearchText(name)}`) || null;
+}
 
-  const orderId = String(orderRef);
-  const orders = safeReadJsonStorage(ORDER_STORAGE_KEY, []);
-  return orders.find(order => order.orderId === orderId) || null;
+function staticProductToCatalogRow(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    price: product.price,
+    image: product.image,
+    desc: product.description
+  };
 }
 
-function registerProductionConsumption(orderRef, actualConsumption = [], options = {}) {
-  const order = resolveOrderSnapshot(orderRef);
-  if (!order) {
-    return null;
-  }
+// Completa SKU y costo estándar de los productos en vivo con el catálogo estático
+function enrichCatalogItem(item, index) {
+  const match = (item.sku && index.bySku.get(item.sku.toUpperCase()))
+    || index.byName.get(`${item.category}::${foldSearchText(item.name)}`);
+  if (!match) return item;
 
-  const normalizedInput = normalizeProductionConsumptionInput(actualConsumption, options);
-  const theoreticalBySku = buildIndexBySku(order.theoreticalConsumption || []);
-  const skuCounts = normalizedInput.lines.reduce((acc, line) => {
-    const key = String(line.productSku || line.sku || line.code || '').trim();
-    if (!key) {
-      return acc;
-    }
+  return {
+    ...item,
+    sku: item.sku || match.sku,
+    price: item.price ?? match.price,
+    image: item.image || match.image,
+    unitCost: match.standardCost
+  };
+}
 
-    acc.set(key, (acc.get(key) || 0) + 1);
-    return acc;
-  }, new Map());
-  const movementBatchId = `MOV-${Date.now().toString(36).toUpperCase()}`;
-  const movements = normalizedInput.lines.length
-    ? normalizedInput.lines.map((line, index) => {
-        const key = String(line.productSku || line.sku || line.code || '').trim();
-        const theoreticalLine = theoreticalBySku.get(key) || null;
-        return normalizeProductionConsumptionLine(
-          line,
-          {
-            ...normalizedInput,
-            orderId: order.orderId,
-            movementBatchId
-          },
-          theoreticalLine,
-          skuCounts.get(key) || 1,
-          index
-        );
-      })
-    : (order.theoreticalConsumption || []).map((line, index) => normalizeProductionConsumptionLine(
-        {
-          productSku: line.sku,
-          productName: line.name,
-          category: line.category,
-          quantity: line.quantity,
-          expectedSolidUsed: line.theoreticalSolid,
-          actualSolidUsed: line.theoreticalSolid,
-          lotCode: normalizedInput.lotCode,
-          operator: normalizedInput.operator,
-          producedAt: normalizedInput.producedAt,
-          notes: 'fallback-theoretical'
-        },
-        {
-          ...normalizedInput,
-          orderId: order.orderId,
-          movementBatchId
-        },
-        line,
-        1,
-        index
-      ));
+// Orden de respaldo: fuente en vivo, paquete estático de la misma fuente y por último source.fallback
+async function loadCatalogSource(source) {
+  const staticIndexPromise = loadStaticCatalog();
+  let rows = [];
+  try {
+    rows = extractCatalogRows(await cachedFetch(source.url, {
+      ttl: source.ttl,
+      timeout: CATALOG_FETCH_TIMEOUT_MS,
+      deadline: CATALOG_FETCH_DEADLINE_MS,
+      staleWhileRevalidate: true
+    }));
+  } catch (error) {
+    console.warn(`No se pudo cargar la fuente de catálogo ${source.id}:`, error);
+  }
 
-  const report = buildConsumptionDeviationReport(order, movements);
-  const stockControl = applyMaterialStockControl(movements, {
-    orderId: order.orderId,
-    movementBatchId,
-    operator: normalizedInput.operator
-  });
-  const totalMaterialCostCOP = +movements.reduce((acc, line) => {
-    if (Number.isFinite(line.materialCostImpact)) {
-      return acc + Number(line.materialCostImpact);
-    }
+  const staticIndex = await staticIndexPromise;
+  if (!rows.length) {
+    const staticProducts = staticIndex.bySource.get(source.id) || [];
+    rows = staticProducts.length ? staticProducts.map(staticProductToCatalogRow) : source.fallback;
+  }
 
-    return acc + ((Number(line.actualSolidUsed) || 0) * (Number(line.estimatedUnitCostCOP) || 0));
-  }, 0).toFixed(2);
+  return rows.map((row, position) => enrichCatalogItem(normalizeCatalogItem(row, source, position), staticIndex));
+}
 
-  const marginImpactAlert = buildMarginImpactAlertFromConsumption(order, movements, {
-    orderId: order.orderId,
-    movementBatchId,
-    operator: normalizedInput.operator
-  });
-  if (marginImpactAlert) {
-    stockControl.alerts = Array.isArray(stockControl.alerts)
-      ? [...stockControl.alerts, marginImpactAlert]
-      : [marginImpactAlert];
-    upsertMaterialStockAlert(marginImpactAlert);
+async function loadCatalog(category = 'todos') {
+  const registry = await loadCatalogSources();
+  const sources = resolveCatalogSources(registry, category);
+  if (!sources.length) {
+    console.warn('Categoría de catálogo desconocida:', category);
+    return [];
   }
 
-  const inventoryMovements = safeReadJsonStorage(INVENTORY_MOVEMENTS_KEY, []);
-  inventoryMovements.push(...movements);
-  safeWriteJsonStorage(INVENTORY_MOVEMENTS_KEY, inventoryMovements);
+  const batches = await Promise.all(sources.map(loadCatalogSource));
+  return batches.flat();
+}
 
-  const inventoryOutEntry = {
-    entryId: `ACC-${order.orderId}-INVOUT`,
-    orderId: order.orderId,
-    entryType: 'INVENTORY_OUT',
-    accountCode: '143500-INVENTARIO-SALIDA',
-    description: `Salida inventario orden ${order.orderId}`,
-    amountCOP: getOrderInventoryOutCost(order),
-    quantity: Number(order.summary?.quantity) || 0,
-    currency: order.currency || 'COP',
-    source: 'produccion',
-    happenedAt: normalizedInput.producedAt,
-    movementBatchId,
-    status: 'PENDING_SYNC',
-    createdAt: new Date().toISOString()
+// Forma que product.html lee de cyberduck:selectedProduct
+function toSelectedProduct(product) {
+  return {
+    name: product.name,
+    price: product.price,
+    category: product.category,
+    image: product.image,
+    desc: product.description,
+    sku: product.sku,
+    unitCost: product.unitCost
   };
-  upsertAccountingLedgerEntries([inventoryOutEntry]);
+}
 
-  const productionLogs = safeReadJsonStorage(PRODUCTION_LOGS_KEY, []);
-  const totals = report ? {
-    theoretical: report.expectedSolidUsed || 0,
-    actual: report.actualSolidUsed,
-    variance: report.varianceSolid || 0,
-    variancePct: report.variancePct || 0
-  } : {
-    theoretical: 0,
-    actual: 0,
-    variance: 0,
-    variancePct: 0
-  };
+// product.html?sku=... es la URL canónica; sin SKU solo queda el traspaso por localStorage
+function buildProductUrl(product = {}, { absolute = false } = {}) {
+  const sku = String(pickFirstDefined(product.baseSku, product.sku, '')).trim();
+  const relative = sku ? `./product.html?sku=${encodeURIComponent(sku)}` : './product.html';
+  return absolute ? new URL(relative, globalThis.location.href).href : relative;
+}
 
-  productionLogs.push({
-    orderId: order.orderId,
-    movementBatchId,
-    productionAt: normalizedInput.producedAt,
-    lotId: normalizedInput.lotId,
-    lotCode: normalizedInput.lotCode,
-    operator: normalizedInput.operator,
-    totals,
-    report,
-    stockControl,
-    lines: movements
-  });
-  safeWriteJsonStorage(PRODUCTION_LOGS_KEY, productionLogs);
+function loadProductPages() {
+  if (!productPagesPromise) {
+    productPagesPromise = cachedFetch(PRODUCT_PAGES_URL, { persist: false })
+      .then(index => ({ siteUrl: String(index?.siteUrl || ''), skus: new Set(index?.skus || []) }))
+      .catch(() => ({ siteUrl: '', skus: new Set() }));
+  }
+  return productPagesPromise;
+}
 
-  enqueueAccountingSyncMovements([{
-    syncId: `SYNC-${movementBatchId}-INVOUT`,
-    dedupeKey: `INVOUT-${movementBatchId}`,
-    movementType: 'INVENTORY_OUT',
-    orderId: order.orderId,
-    source: 'registerProductionConsumption',
-    payload: {
-      orderId: order.orderId,
-      movementBatchId,
-      producedAt: normalizedInput.producedAt,
-      operator: normalizedInput.operator,
-      totalMaterialCostCOP,
-      accountingEntryId: inventoryOutEntry.entryId,
-      lines: movements
-    }
-  }]);
+// URL para compartir y canonical: la página estática del SKU si se publicó (los crawlers de WhatsApp e Instagram
+// no ejecutan JS), si no product.html?sku=
+async function resolveProductShareUrl(product = {}) {
+  const sku = String(pickFirstDefined(product.baseSku, product.sku, '')).trim();
+  const pages = await loadProductPages();
+  if (sku && pages.siteUrl && pages.skus.has(sku)) {
+    return `${pages.siteUrl}/p/${encodeURIComponent(sku)}.html`;
+  }
+  return buildProductUrl(product, { absolute: true });
+}
 
-  const inventoryBase = typeof order.inventory === 'object' && order.inventory ? order.inventory : {};
-  const productionBase = typeof order.production === 'object' && order.production ? order.production : {};
+function openCatalogProduct(product) {
+  try {
+    localStorage.setItem('cyberduck:selectedProduct', JSON.stringify(toSelectedProduct(product)));
+  } catch (error) {
+    console.warn('No se pudo guardar el producto seleccionado:', error);
+  }
+  globalThis.location.href = buildProductUrl(product);
+}
 
-  upsertOrderSnapshot({
-    ...order,
-    flowStatus: 'EN_PRODUCCION',
-    inventory: {
-      ...inventoryBase,
-      status: 'consumed',
-      movementType: 'PRODUCCION_CONSUMO',
-      movementBatchId,
-      lotId: normalizedInput.lotId,
-      lotCode: normalizedInput.lotCode,
-      operator: normalizedInput.operator
-    },
-    production: {
-      ...productionBase,
-      status: 'consumed',
-      movementBatchId,
-      lotId: normalizedInput.lotId,
-      lotCode: normalizedInput.lotCode,
-      operator: normalizedInput.operator,
-      report,
-      stockControl,
-      totals
-    }
-  }, 'EN_PRODUCCION');
+// Resuelve un SKU para los enlaces directos: primero el catálogo estático y luego todas las fuentes en vivo
+async function resolveCatalogProduct(sku) {
+  const key = String(sku || '').trim().toUpperCase();
+  if (!key) return null;
+
+  const staticIndex = await loadStaticCatalog();
+  const match = staticIndex.bySku.get(key);
+  if (match) {
+    return {
+      sku: match.sku,
+      name: match.name,
+      price: match.price,
+      image: match.image,
+      description: match.description,
+      unitCost: match.standardCost,
+      category: match.category,
+      categoryLabel: match.category,
+      source: match.source
+    };
+  }
+
+  try {
+    const registry = await loadCatalogSources();
+    const batches = await Promise.all(registry.sources.map(loadCatalogSource));
+    return batches.flat().find(product => product.sku.toUpperCase() === key) || null;
+  } catch (error) {
+    console.warn(`No se pudo resolver el producto ${key}:`, error);
+    return null;
+  }
+}
+
+const GALLERY_SORT_OPTIONS = [
+  { value: '', label: 'Destacados' },
+  { value: 'precio-asc', label: 'Precio: menor a mayor' },
+  { value: 'precio-desc', label: 'Precio: mayor a menor' },
+  { value: 'nuevo', label: 'Más nuevos' },
+  { value: 'nombre', label: 'Nombre (A-Z)' }
+];
+
+// Estado de filtros de las galerías en la URL: ?cat=&orden=&min=&max=&sub=a,b
+function readGalleryState(search = globalThis.location.search) {
+  const params = new URLSearchParams(search);
+  const sort = params.get('orden') || '';
 
   return {
-    orderId: order.orderId,
-    movementBatchId,
-    lotId: normalizedInput.lotId,
-    lotCode: normalizedInput.lotCode,
-    operator: normalizedInput.operator,
-    totals,
-    report,
-    stockControl,
-    lines: movements,
-    actualCost: totalMaterialCostCOP
+    cat: (params.get('cat') || 'todos').toLowerCase(),
+    sort: GALLERY_SORT_OPTIONS.some(option => option.value === sort) ? sort : '',
+    minPrice: normalizeCurrencyValue(params.get('min')),
+    maxPrice: normalizeCurrencyValue(params.get('max')),
+    sub: (params.get('sub') || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean)
   };
 }
 
-function closeOrderWithConsumption(orderRef, actualConsumption = [], options = {}) {
-  const productionResult = registerProductionConsumption(orderRef, actualConsumption, options);
-  if (!productionResult) {
-    return null;
+function buildGalleryQuery(state) {
+  const params = new URLSearchParams();
+  params.set('cat', state.cat || 'todos');
+  if (state.sort) params.set('orden', state.sort);
+  if (state.minPrice !== null && state.minPrice !== undefined) params.set('min', String(state.minPrice));
+  if (state.maxPrice !== null && state.maxPrice !== undefined) params.set('max', String(state.maxPrice));
+  if (state.sub && state.sub.length) params.set('sub', state.sub.join(','));
+  return `?${params.toString().replaceAll('%2C', ',')}`;
+}
+
+function writeGalleryState(state) {
+  globalThis.history.replaceState(globalThis.history.state, '', buildGalleryQuery(state));
+}
+
+function filterGalleryProducts(products, state) {
+  const filtered = products.filter(product => {
+    if (state.sub.length && !state.sub.includes(product.category)) return false;
+    if (state.minPrice !== null && (product.price === null || product.price < state.minPrice)) return false;
+    if (state.maxPrice !== null && (product.price === null || product.price > state.maxPrice)) return false;
+    return true;
+  });
+
+  const byPrice = direction => (a, b) => {
+    if (a.price === null) return b.price === null ? 0 : 1;
+    if (b.price === null) return -1;
+    return (a.price - b.price) * direction;
+  };
+  const comparators = {
+    'precio-asc': byPrice(1),
+    'precio-desc': byPrice(-1),
+    nuevo: (a, b) => b.position - a.position,
+    nombre: (a, b) => a.name.localeCompare(b.name, 'es')
+  };
+
+  return comparators[state.sort] ? filtered.sort(comparators[state.sort]) : filtered;
+}
+
+// Controles de orden, rango de precio y subcategorías; onChange recibe el estado nuevo y ya lo refleja en la URL
+function renderGalleryControls(container, { state, products = [], onChange }) {
+  if (!container) return;
+
+  const counts = new Map();
+  products.forEach(product => {
+    const entry = counts.get(product.category) || { label: product.categoryLabel || product.category, count: 0 };
+    entry.count += 1;
+    counts.set(product.category, entry);
+  });
+
+  container.innerHTML = `
+    <label class="gallery-controls__field">
+      <span>Ordenar</span>
+      <select class="input" data-gallery-sort>
+        ${GALLERY_SORT_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+      </select>
+    </label>
+    <label class="gallery-controls__field">
+      <span>Precio desde</span>
+      <input class="input" type="number" min="0" step="1000" inputmode="numeric" data-gallery-min>
+    </label>
+    <label class="gallery-controls__field">
+      <span>Hasta</span>
+      <input class="input" type="number" min="0" step="1000" inputmode="numeric" data-gallery-max>
+    </label>
+    ${counts.size > 1 ? `
+      <div class="gallery-controls__chips" role="group" aria-label="Subcategorías">
+        ${[...counts.entries()].map(([category, entry]) => `
+          <label class="gallery-chip">
+            <input type="checkbox" value="${category}" data-gallery-sub>
+            <span>${entry.label} (${entry.count})</span>
+          </label>
+        `).join('')}
+      </div>
+    ` : ''}
+    <button type="button" class="btn gallery-controls__clear" data-gallery-clear>Limpiar filtros</button>
+  `;
+
+  const sortSelect = container.querySelector('[data-gallery-sort]');
+  const minInput = container.querySelector('[data-gallery-min]');
+  const maxInput = container.querySelector('[data-gallery-max]');
+  const subInputs = [...container.querySelectorAll('[data-gallery-sub]')];
+
+  sortSelect.value = state.sort;
+  minInput.value = state.minPrice ?? '';
+  maxInput.value = state.maxPrice ?? '';
+  subInputs.forEach(input => { input.checked = state.sub.includes(input.value); });
+
+  const emit = () => {
+    const next = {
+      ...state,
+      sort: sortSelect.value,
+      minPrice: normalizeCurrencyValue(minInput.value),
+      maxPrice: normalizeCurrencyValue(maxInput.value),
+      sub: subInputs.filter(input => input.checked).map(input => input.value)
+    };
+    writeGalleryState(next);
+    Object.assign(state, next);
+    if (typeof onChange === 'function') onChange(next);
+  };
+
+  sortSelect.addEventListener('change', emit);
+  minInput.addEventListener('change', emit);
+  maxInput.addEventListener('change', emit);
+  subInputs.forEach(input => input.addEventListener('change', emit));
+  container.querySelector('[data-gallery-clear]').addEventListener('click', () => {
+    sortSelect.value = '';
+    minInput.value = '';
+    maxInput.value = '';
+    subInputs.forEach(input => { input.checked = false; });
+    emit();
+  });
+}
+
+function trackGalleryFilters(state, resultCount) {
+  const analytics = globalThis.cyberduck && globalThis.cyberduck.analytics;
+  if (!analytics || typeof analytics.track !== 'function') return;
+
+  analytics.track('gallery_filter', {
+    cat: state.cat,
+    orden: state.sort || 'destacados',
+    min: state.minPrice,
+    max: state.maxPrice,
+    sub: state.sub.join(','),
+    resultados: resultCount
+  });
+}
+
+const GALLERY_PAGE_SIZE = 24;
+const GALLERY_SKELETON_COUNT = 4;
+const GALLERY_SCROLL_KEY = 'cyberduck:galleryScroll';
+const GALLERY_SCROLL_TTL_MS = 30 * 60 * 1000;
+const galleryRenderers = new WeakMap();
+
+function getGalleryProductKey(product) {
+  return String(product?.sku || product?.name || '');
+}
+
+function getGalleryLocationKey() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+function createGallerySkeletons(count = GALLERY_SKELETON_COUNT) {
+  const fragment = document.createDocumentFragment();
+  for (let i = 0; i < count; i++) {
+    const item = document.createElement('article');
+    item.className = 'gallery__item gallery__item--skeleton';
+    item.setAttribute('aria-hidden', 'true');
+    item.innerHTML = `
+      <div class="gallery__image gallery__image--loading"></div>
+      <div class="gallery__meta">
+        <p class="gallery__skeleton-line"></p>
+        <p class="gallery__skeleton-line gallery__skeleton-line--short"></p>
+      </div>
+    `;
+    fragment.appendChild(item);
   }
+  return fragment;
+}
 
-  const closedAt = options.closedAt || new Date().toISOString();
-  const order = resolveOrderSnapshot(productionResult.orderId);
-  if (!order) {
+// Placeholders mientras llega el catálogo; reemplaza el contenido de la galería
+function showGallerySkeletons(gallery, count = GALLERY_SKELETON_COUNT * 2) {
+  if (!gallery) return;
+  const previous = galleryRenderers.get(gallery);
+  if (previous) previous.destroy();
+  gallery.innerHTML = '';
+  gallery.setAttribute('aria-busy', 'true');
+  gallery.appendChild(createGallerySkeletons(count));
+}
+
+// Guarda dónde estaba el usuario y cuántos productos había renderizados antes de abrir un producto
+function saveGalleryScroll(products, rendered) {
+  try {
+    sessionStorage.setItem(GALLERY_SCROLL_KEY, JSON.stringify({
+      location: getGalleryLocationKey(),
+      scrollY: window.scrollY,
+      rendered,
+      order: products.map(getGalleryProductKey),
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    console.warn(`No se pudo escribir ${GALLERY_SCROLL_KEY}:`, error);
+  }
+}
+
+// Devuelve y consume la posición guardada si corresponde a esta misma URL
+function takeGalleryScroll() {
+  let saved = null;
+  try {
+    saved = JSON.parse(sessionStorage.getItem(GALLERY_SCROLL_KEY) || 'null');
+    sessionStorage.removeItem(GALLERY_SCROLL_KEY);
+  } catch (error) {
+    console.warn(`No se pudo leer ${GALLERY_SCROLL_KEY}:`, error);
+    return null;
+  }
+  if (!saved || saved.location !== getGalleryLocationKey() || Date.now() - Number(saved.savedAt || 0) > GALLERY_SCROLL_TTL_MS) {
     return null;
   }
+  return saved;
+}
 
-  const derivedActualCost = Number(productionResult.actualCost) || Number(productionResult.totalMaterialCostCOP) || null;
-  const actualCost = Number.isFinite(normalizeCurrencyValue(options.actualCost))
-    ? normalizeCurrencyValue(options.actualCost)
-    : derivedActualCost;
+// Reaplica el orden guardado (p. ej. el surtido aleatorio de "todos") para que el scroll caiga en los mismos productos
+function applyGalleryOrder(products, order) {
+  if (!Array.isArray(order) || !order.length) return products;
+  const rank = new Map(order.map((key, index) => [key, index]));
+  return products
+    .map((product, index) => ({ product, index, rank: rank.get(getGalleryProductKey(product)) }))
+    .sort((a, b) => (a.rank ?? order.length + a.index) - (b.rank ?? order.length + b.index))
+    .map(entry => entry.product);
+}
 
-  const closeSummary = {
-    closedAt,
-    theoreticalSolid: productionResult.totals.theoretical,
-    actualSolid: productionResult.totals.actual,
-    varianceSolid: productionResult.totals.variance,
-    variancePct: productionResult.totals.variancePct,
-    movementBatchId: productionResult.movementBatchId,
-    lotId: productionResult.lotId || null,
-    lotCode: productionResult.lotCode || null,
-    operator: productionResult.operator || null,
-    report: productionResult.report || null,
-    actualCost: Number.isFinite(actualCost) ? +Number(actualCost).toFixed(2) : null
+/**
+ * Renderiza una galería por páginas: pinta `pageSize` productos y carga el siguiente bloque cuando
+ * los placeholders del final entran en pantalla (IntersectionObserver). Al volver desde product.html
+ * restaura el orden, la cantidad renderizada y el scroll. `renderItem(product, index)` debe devolver
+ * el elemento de la tarjeta. Devuelve la cantidad total de productos.
+ */
+function renderGalleryIncrementally(gallery, products, {
+  renderItem,
+  pageSize = GALLERY_PAGE_SIZE,
+  emptyMessage = 'No hay productos con estos filtros.'
+} = {}) {
+  if (!gallery || typeof renderItem !== 'function') return 0;
+
+  const previous = galleryRenderers.get(gallery);
+  if (previous) previous.destroy();
+
+  gallery.innerHTML = '';
+  gallery.removeAttribute('aria-busy');
+
+  if (!products.length) {
+    gallery.innerHTML = `<p class="gallery__empty">${emptyMessage}</p>`;
+    return 0;
+  }
+
+  const restore = takeGalleryScroll();
+  const list = restore ? applyGalleryOrder(products, restore.order) : products;
+  const galleryId = gallery.id || (gallery.id = `gallery-${Math.random().toString(36).slice(2, 8)}`);
+  let rendered = 0;
+  let page = 0;
+  let observer = null;
+
+  const removeSkeletons = () => {
+    gallery.querySelectorAll('.gallery__item--skeleton').forEach(item => item.remove());
   };
 
-  const kpis = computeOrderKPIs(order, {
-    actualConsumption,
-    actualCost: Number.isFinite(actualCost) ? actualCost : options.actualCost,
-    consumptionReport: productionResult.report || null
-  });
+  const renderUntil = target => {
+    const end = Math.min(list.length, target);
+    if (end <= rendered) return;
+    page += 1;
+    const fragment = document.createDocumentFragment();
+    for (let index = rendered; index < end; index++) {
+      const item = renderItem(list[index], index);
+      if (!item) continue;
+      item.dataset.galleryPage = String(page);
+      item.addEventListener('click', () => saveGalleryScroll(list, rendered));
+      fragment.appendChild(item);
+    }
+    removeSkeletons();
+    gallery.appendChild(fragment);
+    rendered = end;
+    applyLazyLoading(`#${galleryId} .gallery__item[data-gallery-page="${page}"] .gallery__image`);
+
+    if (rendered < list.length && observer) {
+      gallery.appendChild(createGallerySkeletons(Math.min(GALLERY_SKELETON_COUNT, list.length - rendered)));
+      observer.observe(gallery.querySelector('.gallery__item--skeleton'));
+    }
+  };
 
-  if (kpis) {
-    closeSummary.kpis = kpis;
-    closeSummary.alerts = kpis.alerts;
-    closeSummary.apu = kpis.apu;
-    closeSummary.margin = kpis.margin;
-    closeSummary.consumption = kpis.consumption;
-    persistKpiReport(kpis);
+  if ('IntersectionObserver' in window) {
+    observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      renderUntil(rendered + pageSize);
+    }, { rootMargin: '400px 0px' });
   }
 
-  const closingProductionBase = typeof order.production === 'object' && order.production ? order.production : {};
+  const initial = observer ? Math.max(pageSize, Number(restore?.rendered) || 0) : list.length;
+  renderUntil(initial);
 
-  const closedOrder = upsertOrderSnapshot({
-    ...order,
-    flowStatus: 'CERRADA',
-    closeSummary,
-    production: {
-      ...closingProductionBase,
-      status: 'closed',
-      closedAt,
-      kpis
-    }
-  }, 'CERRADA');
+  if (restore && Number.isFinite(restore.scrollY)) {
+    requestAnimationFrame(() => window.scrollTo(0, restore.scrollY));
+  }
 
-  const accountingEntries = buildAccountingEntriesFromOrder(closedOrder, {
-    kpis,
-    happenedAt: closedAt
-  });
-  upsertAccountingLedgerEntries(accountingEntries);
-  enqueueAccountingSyncMovements([
-    {
-      syncId: `SYNC-${closedOrder.orderId}-SALE`,
-      dedupeKey: `SALE-${closedOrder.orderId}`,
-      movementType: 'SALE',
-      orderId: closedOrder.orderId,
-      source: 'closeOrderWithConsumption',
-      payload: accountingEntries.find(entry => entry.entryType === 'SALE') || null
-    },
-    {
-      syncId: `SYNC-${closedOrder.orderId}-COGS`,
-      dedupeKey: `COGS-${closedOrder.orderId}`,
-      movementType: 'COGS',
-      orderId: closedOrder.orderId,
-      source: 'closeOrderWithConsumption',
-      payload: accountingEntries.find(entry => entry.entryType === 'COGS') || null
+  galleryRenderers.set(gallery, {
+    destroy() {
+      if (observer) observer.disconnect();
+      galleryRenderers.delete(gallery);
     }
-  ]);
-  buildAccountingReconciliationSnapshot({ scope: 'order-close' });
+  });
 
-  const pendingOrder = safeReadJsonStorage('cyberduck:pendingOrder', null);
-  if (pendingOrder && pendingOrder.orderId === closedOrder.orderId) {
-    try {
-      localStorage.removeItem('cyberduck:pendingOrder');
-    } catch (error) {
-      console.warn('No se pudo limpiar pendingOrder:', error);
+  return list.length;
+}
+
+const SEARCH_FIELD_WEIGHTS = { name: 3, category: 1.5, description: 1 };
+
+function foldSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replaceAll(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replaceAll(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenizeSearchText(text) {
+  const folded = foldSearchText(text);
+  return folded ? folded.split(' ') : [];
+}
+
+// Distancia de edición con transposiciones; corta en cuanto supera maxDistance
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
     }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
   }
 
-  return closedOrder;
+  return row[b.length];
 }
 
-function persistPendingOrder(payload) {
-  safeWriteJsonStorage('cyberduck:pendingOrder', payload);
-  registerOrderFromCheckout(payload);
+function scoreSearchToken(queryToken, token) {
+  if (queryToken === token) return 1;
+  if (token.startsWith(queryToken)) return 0.85;
+  if (queryToken.length < 4) return 0;
+
+  const maxDistance = queryToken.length >= 8 ? 2 : 1;
+  if (boundedEditDistance(queryToken, token, maxDistance) <= maxDistance) return 0.6;
+  if (token.length > queryToken.length && boundedEditDistance(queryToken, token.slice(0, queryToken.length), maxDistance) <= maxDistance) return 0.5;
+  return 0;
 }
 
-function optimizeImageUrl(url, options = {}) {
-  if (!url || typeof url !== 'string') return '';
+function buildCatalogSearchIndex(products = []) {
+  const entries = products.map(product => ({
+    product,
+    fields: {
+      name: tokenizeSearchText(product.name),
+      category: tokenizeSearchText(product.categoryLabel || product.category),
+      description: tokenizeSearchText(product.description)
+    },
+    foldedName: foldSearchText(product.name)
+  }));
 
-  const trimmed = url.trim();
-  const { width = 720, quality = 72 } = options;
+  return { entries, builtAt: new Date().toISOString() };
+}
 
-  if (/^https:\/\/raw\.githubusercontent\.com\//i.test(trimmed)) {
-    const encoded = encodeURIComponent(trimmed.replace(/^https?:\/\//i, ''));
-    return `https://wsrv.nl/?url=${encoded}&w=${width}&q=${quality}&output=webp`;
+function matchSearchEntry(entry, queryTokens) {
+  const terms = new Set();
+  let score = 0;
+
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const [field, tokens] of Object.entries(entry.fields)) {
+      for (const token of tokens) {
+        const quality = scoreSearchToken(queryToken, token) * SEARCH_FIELD_WEIGHTS[field];
+        if (quality > 0 && field === 'name') terms.add(token);
+        best = Math.max(best, quality);
+      }
+    }
+    if (!best) return null;
+    score += best;
   }
 
-  return trimmed;
+  const foldedQuery = queryTokens.join(' ');
+  if (entry.foldedName.startsWith(foldedQuery)) score += 2;
+  else if (entry.foldedName.includes(foldedQuery)) score += 1;
+
+  return { score, terms };
 }
 
-function cachedFetch(url) {
-  const now = Date.now();
-  const cached = apiCache.get(url);
-  
-  if (cached && (now - cached.timestamp) < API_CACHE_DURATION) {
-    return Promise.resolve(cached.data);
+// Búsqueda difusa sin tildes sobre el índice; las facetas se calculan antes de aplicar los filtros
+function searchCatalog(index, query, { category = '', minPrice = null, maxPrice = null, limit = 30 } = {}) {
+  const queryTokens = tokenizeSearchText(query);
+  const empty = { total: 0, results: [], facets: { categories: [], price: { min: null, max: null } } };
+  if (!index || !queryTokens.length) return empty;
+
+  const matches = [];
+  index.entries.forEach(entry => {
+    const match = matchSearchEntry(entry, queryTokens);
+    if (match) matches.push({ product: entry.product, score: match.score, terms: [...match.terms] });
+  });
+
+  const categories = new Map();
+  const prices = [];
+  matches.forEach(({ product }) => {
+    const facet = categories.get(product.category) || { category: product.category, label: product.categoryLabel || product.category, count: 0 };
+    facet.count += 1;
+    categories.set(product.category, facet);
+    if (product.price !== null) prices.push(product.price);
+  });
+
+  const min = normalizeCurrencyValue(minPrice);
+  const max = normalizeCurrencyValue(maxPrice);
+  const filtered = matches.filter(({ product }) => {
+    if (category && product.category !== category) return false;
+    if (min !== null && (product.price === null || product.price < min)) return false;
+    if (max !== null && (product.price === null || product.price > max)) return false;
+    return true;
+  });
+
+  filtered.sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name, 'es'));
+
+  return {
+    total: filtered.length,
+    results: filtered.slice(0, limit),
+    facets: {
+      categories: [...categories.values()].sort((a, b) => b.count - a.count),
+      price: { min: prices.length ? Math.min(...prices) : null, max: prices.length ? Math.max(...prices) : null }
+    }
+  };
+}
+
+function escapeSearchHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function highlightSearchTerms(text, terms = []) {
+  const termSet = new Set(terms);
+  return String(text || '')
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, i) => {
+      const escaped = escapeSearchHtml(part);
+      return i % 2 === 1 && termSet.has(foldSearchText(part)) ? `<mark class="search-hit">${escaped}</mark>` : escaped;
+    })
+    .join('');
+}
+
+// Carga la imagen de un contenedor .gallery__image (data-bg-image) como <picture> responsive
+function loadLazyImage(element) {
+  if (element.classList.contains('is-loaded') || element.classList.contains('is-error') || element.querySelector('picture')) {
+    return;
   }
-  
-  return fetch(url, { cache: 'force-cache' })
-    .then(response => response.json())
-    .then(data => {
-      apiCache.set(url, { data, timestamp: now });
-      return data;
-    });
+
+  const imageUrl = element.dataset.bgImage;
+  if (!imageUrl || imageUrl.trim() === '') {
+    console.warn('Empty image URL for element:', element);
+    element.classList.remove('gallery__image--loading');
+    element.classList.add('is-error');
+    return;
+  }
+
+  const alt = element.closest('.gallery__item')?.querySelector('.gallery__name')?.textContent || 'Producto';
+  const picture = createResponsivePicture(imageUrl, {
+    context: element.dataset.imageContext || 'gallery',
+    alt,
+    className: 'gallery__img'
+  });
+  const img = picture.querySelector('img');
+  img.addEventListener('load', () => {
+    element.classList.remove('gallery__image--loading');
+    element.classList.add('is-loaded');
+  }, { once: true });
+  img.addEventListener('error', () => {
+    console.warn('Error loading image:', img.currentSrc || img.src);
+    picture.remove();
+    element.classList.remove('gallery__image--loading');
+    element.classList.add('is-error');
+  }, { once: true });
+
+  element.innerHTML = '';
+  element.appendChild(picture);
 }
 
 // Lazy loading de imágenes con Intersection Observer
 const imageObserver = new IntersectionObserver((entries, observer) => {
   entries.forEach(entry => {
     if (entry.isIntersecting) {
-      const element = entry.target;
-      const imageUrl = element.dataset.bgImage;
-
-      if (imageUrl && imageUrl.trim() !== '') {
-        const optimizedImageUrl = optimizeImageUrl(imageUrl, { width: 720, quality: 72 });
-        // Precargar imagen
-        const img = new Image();
-        const timeout = setTimeout(() => {
-          console.warn('Image load timeout for:', optimizedImageUrl);
-          element.classList.add('is-error');
-          observer.unobserve(element);
-        }, 10000); // Timeout de 10 segundos para evitar carga infinita
-
-        img.onload = () => {
-          clearTimeout(timeout);
-          element.style.backgroundImage = `url(${optimizedImageUrl})`;
-          element.classList.add('is-loaded');
-          observer.unobserve(element);
-        };
-        img.onerror = () => {
-          clearTimeout(timeout);
-          console.warn('Image load error for:', optimizedImageUrl);
-          element.classList.add('is-error');
-          observer.unobserve(element);
-        };
-        img.src = optimizedImageUrl;
-      } else {
-        // No image URL, set error state immediately
-        element.classList.add('is-error');
-        observer.unobserve(element);
-      }
+      loadLazyImage(entry.target);
+      observer.unobserve(entry.target);
     }
   });
 }, {
@@ -2420,43 +6457,9 @@ const imageObserver = new IntersectionObserver((entries, observer) => {
   threshold: 0.01
 });
 
-// Función para aplicar lazy loading a elementos de galería
+// Función para aplicar lazy loading a elementos de galería; el navegador elige el ancho y formato del srcset
 function applyLazyLoading(selector = '.gallery__image') {
-  const images = document.querySelectorAll(selector);
-  images.forEach(img => {
-    const imageUrl = img.dataset.bgImage;
-    if (imageUrl && imageUrl.trim() !== '' && !img.classList.contains('is-loaded') && !img.classList.contains('is-error')) {
-      const optimizedImageUrl = optimizeImageUrl(imageUrl, { width: 720, quality: 72 });
-      // Cargar imagen inmediatamente para debugging
-      const imgEl = new Image();
-      imgEl.onload = () => {
-        // Create an actual img element for better display
-        const actualImg = document.createElement('img');
-        actualImg.src = optimizedImageUrl;
-        actualImg.style.width = '100%';
-        actualImg.style.height = '100%';
-        actualImg.style.objectFit = 'cover';
-        actualImg.style.borderRadius = '16px';
-        actualImg.alt = 'Producto';
-        actualImg.loading = 'lazy';
-        actualImg.decoding = 'async';
-        img.innerHTML = '';
-        img.appendChild(actualImg);
-        img.classList.remove('gallery__image--loading');
-        img.classList.add('is-loaded');
-      };
-      imgEl.onerror = () => {
-        console.warn('Error loading image:', optimizedImageUrl);
-        img.classList.remove('gallery__image--loading');
-        img.classList.add('is-error');
-      };
-      imgEl.src = optimizedImageUrl;
-    } else if (!imageUrl || imageUrl.trim() === '') {
-      console.warn('Empty image URL for element:', img);
-      img.classList.remove('gallery__image--loading');
-      img.classList.add('is-error');
-    }
-  });
+  document.querySelectorAll(selector).forEach(loadLazyImage);
 }
 
 // Exponer funciones globalmente
@@ -2471,11 +6474,33 @@ globalThis.cyberduck = {
   normalizeCartItem,
   normalizeCartItems,
   computeCartTotals,
+  mergeCartItems,
+  readCartItems,
+  addCartItem,
+  updateCartItemQuantity,
+  getProductVariantGroups,
+  resolveProductVariant,
+  evaluateDiscountCode,
+  getDiscountRules,
+  upsertDiscountRule,
+  getDiscountRedemptions,
+  getTaxRates,
+  upsertCategoryTaxRate,
+  computeTaxBreakdown,
+  getShippingDepartments,
+  getShippingRates,
+  upsertShippingRates,
+  computeShippingCost,
   buildOrderPayload,
   createCheckoutFingerprint,
   buildCheckoutSubmissionEnvelope,
   registerCheckoutSubmission,
   markCheckoutSubmissionCompleted,
+  enqueueCheckoutResubmission,
+  getCheckoutResubmissionQueue,
+  processCheckoutResubmissionQueue,
+  acknowledgeCheckoutResubmission,
+  startCheckoutResubmissionWorker,
   setMaterialStockLevel,
   upsertMaterialStockPolicy,
   getMaterialStockControlSnapshot,
@@ -2484,6 +6509,41 @@ globalThis.cyberduck = {
   registerProductionConsumption,
   closeOrderWithConsumption,
   computeOrderKPIs,
+  getOrderFlowStatuses,
+  getAllowedOrderTransitions,
+  canTransitionOrderStatus,
+  transitionOrderStatus,
+  getPaymentMethods,
+  getOrderPaymentSummary,
+  registerOrderPayment,
+  getGiftCards,
+  evaluateGiftCardCode,
+  issueGiftCardsForOrder,
+  cancelOrder,
+  refundOrder,
+  lookupOrderStatus,
+  requiresQuote,
+  getQuotes,
+  getQuoteStatusLabels,
+  requestQuote,
+  priceQuote,
+  lookupQuote,
+  acceptQuote,
+  validateArtworkFile,
+  uploadArtwork,
+  isArtworkUploadEnabled,
+  registerArtworkStorage,
+  getArtworkStorageConfig,
+  upsertArtworkStorageConfig,
+  parseStl,
+  estimatePrintJob,
+  quotePrintJob,
+  buildPrintQuoteCartItem,
+  parseGcodeFilamentUsage,
+  getPrintQuoteSettings,
+  registerOrderStatusSource,
+  getOrderStatusSourceConfig,
+  upsertOrderStatusSourceConfig,
   computeTheoreticalConsumption,
   exportAccountingData,
   getAccountingLedgerEntries,
@@ -2498,15 +6558,41 @@ globalThis.cyberduck = {
   getAccountingSyncBridgeState,
   buildAccountingReconciliationSnapshot,
   cachedFetch,
+  loadCatalog,
+  loadCatalogSources,
+  loadStaticCatalog,
+  findStaticCatalogProduct,
+  openCatalogProduct,
+  toSelectedProduct,
+  buildProductUrl,
+  resolveProductShareUrl,
+  resolveCatalogProduct,
+  readGalleryState,
+  buildGalleryQuery,
+  filterGalleryProducts,
+  renderGalleryControls,
+  trackGalleryFilters,
+  showGallerySkeletons,
+  renderGalleryIncrementally,
+  buildCatalogSearchIndex,
+  searchCatalog,
   optimizeImageUrl,
+  buildResponsiveImage,
+  createResponsivePicture,
+  applyResponsiveBackground,
+  enhanceResponsiveImages,
   applyLazyLoading,
   imageObserver
 };
 
+window.addEventListener('load', startCheckoutResubmissionWorker);
+window.addEventListener('load', () => loadStaticCatalog());
+document.addEventListener('DOMContentLoaded', () => enhanceResponsiveImages());
+
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('./sw.js').catch(() => {
-      // no-op
+    navigator.serviceWorker.register('./sw.js').catch(error => {
+      console.warn('No se pudo registrar el service worker:', error);
     });
   });
 }
@@ -2559,7 +6645,7 @@ document.addEventListener('DOMContentLoaded', () => {
       } catch (error) {
         console.warn('No se pudo guardar el producto seleccionado:', error);
       }
-      globalThis.location.href = './product.html';
+      globalThis.location.href = buildProductUrl(data);
     }
 
     // Ensure floating cart UI exists (inject into body) so it works on all pages
@@ -2606,23 +6692,6 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   
     /* Cart: simple cart UI and localStorage-backed data */
-    const CART_KEY = 'cyberduck:cart';
-    function readCart(){
-      try {
-        const raw = localStorage.getItem(CART_KEY);
-        return raw ? JSON.parse(raw) : [];
-      } catch (error) {
-        console.warn('No se pudo leer el carrito:', error);
-        return [];
-      }
-    }
-    function writeCart(cart){
-      try {
-        localStorage.setItem(CART_KEY, JSON.stringify(cart));
-      } catch (error) {
-        console.warn('No se pudo guardar el carrito:', error);
-      }
-    }
 
     function renderCart(){
       const btn = document.getElementById('cartButton');
@@ -2632,8 +6701,9 @@ document.addEventListener('DOMContentLoaded', () => {
       const totalEl = document.getElementById('cartTotal');
       if(!btn || !countEl || !dropdown || !itemsWrap || !totalEl) return;
 
-      const cart = readCart();
-      countEl.textContent = String(cart.length || 0);
+      const cart = readCartItems();
+      const totals = computeCartTotals(cart);
+      countEl.textContent = String(totals.quantity || 0);
 
       // Enable/disable checkout link depending on cart contents (do this before early return)
       const checkoutLink = document.getElementById('cartCheckout');
@@ -2656,36 +6726,44 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
-      let total = 0;
       cart.forEach((it, idx) => {
         const itemEl = document.createElement('div');
         itemEl.className = 'cart-item';
 
         const thumb = document.createElement('div');
         thumb.className = 'cart-item__thumb';
-        if(it.image){ thumb.style.backgroundImage = it.image.indexOf('url(') === 0 ? it.image : `url(${it.image})`; }
+        if(it.image){ applyResponsiveBackground(thumb, it.image, 'cart-thumb'); }
 
         const meta = document.createElement('div'); meta.className = 'cart-item__meta';
         const name = document.createElement('div'); name.className = 'cart-item__name'; name.textContent = it.name || 'Producto';
-        const parsedPrice = parseCurrencyLikeValue(it.price);
-        const price = document.createElement('div'); price.className = 'cart-item__price'; price.textContent = Number.isNaN(parsedPrice) ? '—' : parsedPrice.toLocaleString('es-CO');
-
-        meta.appendChild(name); meta.appendChild(price);
+        if (it.variant) {
+          const variantLabel = document.createElement('span'); variantLabel.className = 'cart-item__variant'; variantLabel.textContent = it.variant.label;
+          name.appendChild(variantLabel);
+        }
+        const price = document.createElement('div'); price.className = 'cart-item__price';
+        price.textContent = Number.isFinite(it.unitPrice)
+          ? (it.quantity > 1 ? `${it.quantity} × $${formatPrice(it.unitPrice)} = $${formatPrice(it.lineTotal)}` : `$${formatPrice(it.unitPrice)}`)
+          : '—';
+
+        const qty = document.createElement('div'); qty.className = 'cart-item__qty';
+        const minus = document.createElement('button'); minus.className = 'cart-item__qty-btn'; minus.type = 'button'; minus.textContent = '−'; minus.setAttribute('aria-label', 'Quitar una unidad');
+        minus.addEventListener('click', createCartQuantityHandler(idx, -1));
+        const qtyValue = document.createElement('span'); qtyValue.className = 'cart-item__qty-value'; qtyValue.textContent = String(it.quantity);
+        const plus = document.createElement('button'); plus.className = 'cart-item__qty-btn'; plus.type = 'button'; plus.textContent = '+'; plus.setAttribute('aria-label', 'Agregar una unidad');
+        plus.disabled = it.quantity >= MAX_CART_LINE_QUANTITY;
+        plus.addEventListener('click', createCartQuantityHandler(idx, 1));
+        qty.appendChild(minus); qty.appendChild(qtyValue); qty.appendChild(plus);
+
+        meta.appendChild(name); meta.appendChild(price); meta.appendChild(qty);
 
         const rm = document.createElement('button'); rm.className = 'cart-item__remove'; rm.type = 'button'; rm.innerHTML = '✕';
         rm.addEventListener('click', createCartRemoveHandler(idx));
 
         itemEl.appendChild(thumb); itemEl.appendChild(meta); itemEl.appendChild(rm);
         itemsWrap.appendChild(itemEl);
-
-        // Try to parse numeric price for total (best-effort) - handle Spanish format
-        const val = parseCurrencyLikeValue(it.price);
-        total += val;
       });
 
-      totalEl.textContent = 'Total: $' + (total ? formatPrice(total) : '0');
-
-
+      totalEl.textContent = 'Total: $' + (totals.subtotal ? formatPrice(totals.subtotal) : '0');
     }
 
     // Expose renderCart globally
@@ -2716,36 +6794,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Clear cart
     const clearBtn = document.getElementById('cartClear');
-    if(clearBtn){ clearBtn.addEventListener('click', function(){ writeCart([]); renderCart(); }); }
+    if(clearBtn){ clearBtn.addEventListener('click', function(){ writeCartItems([]); renderCart(); }); }
 
     // Initial render
     renderCart();
   });
 })();
 
-/* Loading indicator for nuevo section */
-(function(){
-  const loadingIndicator = document.getElementById('loading-indicator');
-  const gallery = document.querySelector('.gallery');
-
-  if (loadingIndicator && gallery) {
-    // Show loading indicator initially
-    loadingIndicator.style.display = 'flex';
-    gallery.style.display = 'none';
-
-    // Simulate loading delay
-    setTimeout(() => {
-      loadingIndicator.style.display = 'none';
-      gallery.style.display = 'grid';
-    }, 2000); // 2 seconds delay
-  }
-})();
-
 /* Search functionality */
 document.addEventListener('DOMContentLoaded', function(){
   const searchBtn = document.querySelector('.iconbtn[aria-label="Buscar"]');
+  const SEARCH_PAGE_SIZE = 30;
   let searchInput = null;
   let searchModal = null;
+  let searchIndexPromise = null;
+  let searchLimit = SEARCH_PAGE_SIZE;
+  let shownResults = [];
+  let activeResult = -1;
+  let searchSequence = 0;
 
   if (searchBtn) {
     searchBtn.addEventListener('click', function() {
@@ -2753,27 +6819,49 @@ document.addEventListener('DOMContentLoaded', function(){
         createSearchModal();
       }
       searchModal.hidden = false;
+      getSearchIndex().catch(() => {});
       if (searchInput) {
         searchInput.focus();
       }
     });
   }
 
+  // El índice se arma una vez por página con el catálogo normalizado de todas las fuentes buscables
+  function getSearchIndex() {
+    if (!searchIndexPromise) {
+      searchIndexPromise = globalThis.cyberduck.loadCatalog('todos')
+        .then(products => globalThis.cyberduck.buildCatalogSearchIndex(products))
+        .catch(error => {
+          searchIndexPromise = null;
+          throw error;
+        });
+    }
+    return searchIndexPromise;
+  }
+
   function createSearchModal() {
     searchModal = document.createElement('div');
     searchModal.className = 'modal';
     searchModal.innerHTML = `
       <div class="modal__backdrop"></div>
-      <div class="modal__content" style="max-width: 600px;">
+      <div class="modal__content" style="max-width: 640px;">
         <div class="modal__head">
           <h3 class="modal__title">Buscar productos</h3>
           <button class="modal__close" type="button" aria-label="Cerrar">✕</button>
         </div>
         <div class="modal__body">
           <div class="form-group">
-            <input type="text" id="searchInput" placeholder="Buscar productos..." class="input" style="width: 100%;">
+            <input type="search" id="searchInput" placeholder="Buscar productos..." class="input" style="width: 100%;" autocomplete="off" role="combobox" aria-controls="searchResults" aria-expanded="false" aria-autocomplete="list">
+          </div>
+          <div class="search-filters">
+            <select id="searchCategory" class="input" aria-label="Categoría">
+              <option value="">Todas las categorías</option>
+            </select>
+            <input type="number" id="searchMinPrice" class="input" placeholder="Precio mín." min="0" step="1000" aria-label="Precio mínimo">
+            <input type="number" id="searchMaxPrice" class="input" placeholder="Precio máx." min="0" step="1000" aria-label="Precio máximo">
           </div>
-          <div id="searchResults" style="max-height: 400px; overflow-y: auto; margin-top: 16px;"></div>
+          <p id="searchSummary" class="search-summary" aria-live="polite"></p>
+          <div id="searchResults" role="listbox" aria-label="Resultados de búsqueda" style="max-height: 400px; overflow-y: auto; margin-top: 16px;"></div>
         </div>
       </div>
     `;
@@ -2783,6 +6871,9 @@ document.addEventListener('DOMContentLoaded', function(){
     searchInput = document.getElementById('searchInput');
     const closeBtn = searchModal.querySelector('.modal__close');
     const backdrop = searchModal.querySelector('.modal__backdrop');
+    const categorySelect = document.getElementById('searchCategory');
+    const minPriceInput = document.getElementById('searchMinPrice');
+    const maxPriceInput = document.getElementById('searchMaxPrice');
 
     // Close modal functions
     function closeModal() {
@@ -2790,10 +6881,10 @@ document.addEventListener('DOMContentLoaded', function(){
       if (searchInput) {
         searchInput.value = '';
       }
-      const resultsDiv = document.getElementById('searchResults');
-      if (resultsDiv) {
-        resultsDiv.innerHTML = '';
-      }
+      categorySelect.value = '';
+      minPriceInput.value = '';
+      maxPriceInput.value = '';
+      renderSearchMessage('');
     }
 
     closeBtn.addEventListener('click', closeModal);
@@ -2807,89 +6898,152 @@ document.addEventListener('DOMContentLoaded', function(){
 
     // Search functionality
     let searchTimeout = null;
-    searchInput.addEventListener('input', function() {
-      const query = this.value.trim().toLowerCase();
+    function scheduleSearch(delay) {
+      const query = searchInput.value.trim();
 
       if (searchTimeout) {
         clearTimeout(searchTimeout);
       }
 
       if (query.length >= 3) {
+        searchLimit = SEARCH_PAGE_SIZE;
         searchTimeout = setTimeout(() => {
           performSearch(query);
-        }, 300);
+        }, delay);
       } else {
-        const resultsDiv = document.getElementById('searchResults');
-        if (resultsDiv) {
-          resultsDiv.innerHTML = query.length > 0 ? '<p style="color: var(--muted);">Ingresa al menos 3 letras para buscar...</p>' : '';
-        }
+        searchSequence += 1;
+        renderSearchMessage(query.length > 0 ? 'Ingresa al menos 3 letras para buscar...' : '');
+      }
+    }
+
+    searchInput.addEventListener('input', () => scheduleSearch(300));
+    categorySelect.addEventListener('change', () => scheduleSearch(0));
+    minPriceInput.addEventListener('input', () => scheduleSearch(300));
+    maxPriceInput.addEventListener('input', () => scheduleSearch(300));
+
+    // Navegación con teclado: flechas recorren los resultados, Enter abre el activo
+    searchInput.addEventListener('keydown', function(e) {
+      if (!shownResults.length) return;
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveResult((activeResult + step + shownResults.length) % shownResults.length);
+      } else if (e.key === 'Enter' && activeResult >= 0) {
+        e.preventDefault();
+        globalThis.cyberduck.openCatalogProduct(shownResults[activeResult].product);
       }
     });
   }
 
+  function renderSearchMessage(message) {
+    const resultsDiv = document.getElementById('searchResults');
+    const summary = document.getElementById('searchSummary');
+    shownResults = [];
+    activeResult = -1;
+    if (summary) summary.textContent = '';
+    if (searchInput) {
+      searchInput.setAttribute('aria-expanded', 'false');
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+    if (resultsDiv) {
+      resultsDiv.innerHTML = message ? `<p style="color: var(--muted);">${message}</p>` : '';
+    }
+  }
+
+  function setActiveResult(index) {
+    const items = document.querySelectorAll('#searchResults [data-result-index]');
+    items.forEach((item, i) => {
+      const isActive = i === index;
+      item.classList.toggle('is-active', isActive);
+      item.setAttribute('aria-selected', String(isActive));
+      if (isActive) item.scrollIntoView({ block: 'nearest' });
+    });
+    activeResult = index;
+    if (index >= 0) searchInput.setAttribute('aria-activedescendant', `searchResult-${index}`);
+  }
+
+  function renderCategoryFacets(categories) {
+    const select = document.getElementById('searchCategory');
+    const selected = select.value;
+    select.innerHTML = '<option value="">Todas las categorías</option>' + categories.map(facet =>
+      `<option value="${facet.category}">${facet.label} (${facet.count})</option>`
+    ).join('');
+    if (selected && !categories.some(facet => facet.category === selected)) {
+      select.insertAdjacentHTML('beforeend', `<option value="${selected}">${selected} (0)</option>`);
+    }
+    select.value = selected;
+  }
+
   async function performSearch(query) {
     const resultsDiv = document.getElementById('searchResults');
     if (!resultsDiv) return;
 
+    const sequence = ++searchSequence;
     resultsDiv.innerHTML = '<p style="color: var(--muted);">Buscando...</p>';
 
     try {
-      // Search across all product categories
-      const searchPromises = [
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycby8QkrU25mFNgiP3eq0hKoDFOnBSLvybmAnrjX_m4ibdBAqXekiQNbMs1bZbvdOGRWL/exec'), // Nuevo
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbzlEH33cVRdLmR3cI17bZi7k81OyucZnhqQ7WAPhJcigixl12fpYH03xMfvL77gGl9x/exec'), // Camisetas
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbxi7qSdxN6ZQdzVYTzAHlfGwkjqmll0ldqGspbxFb8T4GstfDK0MasUNflQUymsbOri/exec'), // Faldas
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbw4zEM2NKmejtMMuiBLDdBEMIyIgtwfr1yHoPXxNBz7_mypqhTTX6tu85DFLGD4Cn_b/exec'), // Aretes
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbzDPhkp_9XcrAeg67eek7l5ijVEu7LiWuwgSXR8CEcp1OJwi_vCzqH9bVH0oFI7JLgW/exec'), // Otros
-        globalThis.cyberduck.cachedFetch('https://script.googleusercontent.com/macros/echo?user_content_key=AehSKLhGPGNmmLa8riYe4CS2khOSoGTVL7DEQ74nVmLsR-UYhEIfckSl1OMf2zROgO7Pk9OrRZMdX2tTmIOzrAkE89PlJIWLHdg4LmF5ABC6Umj2AlQ2Vxyj1ARtSg8PyBFrtT2ZPR9mlc_MN9kA1JepzEkRbABtVxfaKe8FheiklWy8zknXpFF-RcAW2nhuoHkrZ_po5njURSs2EkOJFcXVdF4ZeMaSPNy4r5yMy7UcET3mSYwFlE2JAbVFFYZHtirYZqa3p4YzdBY21pf--RSGJuXOEDH_zg&lib=M-YxSEsKo8g88BRj95yNKp5OjAoyKQGY4'), // Collares
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbz4mKWXZ2NSQ_T2U6cFaLm9CvKLsHzvwJAd2-PSnvqIizSmjeiDgGC7A8vDCtXrfM0e/exec'), // Manillas
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbyLTeWyAHgR_0i2bE50o-ufvp0gK_FnNcVaMc_S80xpSW-6MHQgTLoxm-6eeYeWz6hE/exec'), // Impresiones
-        globalThis.cyberduck.cachedFetch('https://script.google.com/macros/s/AKfycbzOjIQtpaVbU8ymtev2cioDvUz6N255uDpsvAyHLf5PFNpBnLBqd4b6HAPKwHYuY72V/exec') // Gargantillas
-      ];
-
-      const results = await Promise.all(searchPromises);
-      const allProducts = [];
-
-      results.forEach(result => {
-        if (result?.data && Array.isArray(result.data)) {
-          allProducts.push(...result.data);
-        }
+      const index = await getSearchIndex();
+      if (sequence !== searchSequence) return;
+
+      const { total, results, facets } = globalThis.cyberduck.searchCatalog(index, query, {
+        category: document.getElementById('searchCategory').value,
+        minPrice: document.getElementById('searchMinPrice').value || null,
+        maxPrice: document.getElementById('searchMaxPrice').value || null,
+        limit: searchLimit
       });
 
-      // Filter products that match the search query
-      const matches = allProducts.filter(product => {
-        const name = (product.NAME || product.name || product.nombre || '').toLowerCase();
-        const desc = (product.DESC || product.desc || product.descripcion || '').toLowerCase();
-        return name.includes(query) || desc.includes(query);
-      });
+      renderCategoryFacets(facets.categories);
 
-      if (matches.length > 0) {
-        resultsDiv.innerHTML = matches.slice(0, 10).map(product => {
-          const name = product.NAME || product.name || product.nombre || 'Producto';
-          const price = product.PRICE || product.price || product.precio || '';
-          const image = product.IMAGE || product.image || product.imagen || '';
-          const optimizedThumb = optimizeImageUrl(image, { width: 120, quality: 64 });
-          const formattedPrice = price ? `$${Number.parseFloat(price).toLocaleString('es-CO')} COP` : '';
-
-          return `
-            <div class="search-result-item" style="display: flex; gap: 12px; padding: 12px; border-bottom: 1px solid var(--line); cursor: pointer;" onclick="window.location.href='./product.html'; localStorage.setItem('cyberduck:selectedProduct', JSON.stringify({name:'${name}',price:'${price}',image:'${image}',desc:'${product.DESC || product.desc || product.descripcion || ''}'}))">
-              <div style="width: 60px; height: 60px; background: var(--panel); border-radius: 8px; overflow: hidden; flex-shrink: 0;">
-                ${image ? `<img src="${optimizedThumb}" alt="${name}" loading="lazy" decoding="async" style="width: 100%; height: 100%; object-fit: cover;">` : ''}
-              </div>
-              <div style="flex: 1;">
-                <div style="font-weight: 600; margin-bottom: 4px;">${name}</div>
-                <div style="color: var(--muted); font-size: 14px;">${formattedPrice}</div>
-              </div>
-            </div>
-          `;
-        }).join('');
-      } else {
-        resultsDiv.innerHTML = '<p style="color: var(--muted);">No se encontraron productos que coincidan con tu búsqueda.</p>';
+      if (!results.length) {
+        renderSearchMessage('No se encontraron productos que coincidan con tu búsqueda.');
+        return;
       }
 
+      shownResults = results;
+      activeResult = -1;
+      document.getElementById('searchSummary').textContent = total > results.length
+        ? `Mostrando ${results.length} de ${total} resultados`
+        : `${total} ${total === 1 ? 'resultado' : 'resultados'}`;
+
+      resultsDiv.innerHTML = results.map(({ product, terms }, index) => {
+        const { name, price, image, categoryLabel } = product;
+        const formattedPrice = price === null ? '' : `$${price.toLocaleString('es-CO')} COP`;
+
+        return `
+          <div class="search-result-item" id="searchResult-${index}" role="option" aria-selected="false" data-result-index="${index}" style="display: flex; gap: 12px; padding: 12px; border-bottom: 1px solid var(--line); cursor: pointer;">
+            <div style="width: 60px; height: 60px; background: var(--panel); border-radius: 8px; overflow: hidden; flex-shrink: 0;">
+              ${image ? responsivePictureHtml(image, { context: 'thumb', sizes: '60px', alt: name, className: 'search-result-item__img' }) : ''}
+            </div>
+            <div style="flex: 1;">
+              <div style="font-weight: 600; margin-bottom: 4px;">${highlightSearchTerms(name, terms)}</div>
+              <div style="color: var(--muted); font-size: 14px;">${[categoryLabel, formattedPrice].filter(Boolean).join(' · ')}</div>
+            </div>
+          </div>
+        `;
+      }).join('') + (total > results.length
+        ? `<button type="button" class="btn search-more" data-search-more>Ver más resultados (${total - results.length})</button>`
+        : '');
+
+      searchInput.setAttribute('aria-expanded', 'true');
+      resultsDiv.querySelectorAll('[data-result-index]').forEach(item => {
+        const index = Number(item.dataset.resultIndex);
+        item.addEventListener('click', () => globalThis.cyberduck.openCatalogProduct(results[index].product));
+        item.addEventListener('mouseenter', () => setActiveResult(index));
+      });
+
+      const moreBtn = resultsDiv.querySelector('[data-search-more]');
+      if (moreBtn) {
+        moreBtn.addEventListener('click', () => {
+          searchLimit += SEARCH_PAGE_SIZE;
+          performSearch(query);
+          searchInput.focus();
+        });
+      }
     } catch (error) {
+      if (sequence !== searchSequence) return;
       console.error('Search error:', error);
-      resultsDiv.innerHTML = '<p style="color: var(--muted);">Error al buscar productos. Inténtalo de nuevo.</p>';
+      renderSearchMessage('Error al buscar productos. Inténtalo de nuevo.');
     }
   }
 });
@@ -2902,6 +7056,8 @@ document.addEventListener('DOMContentLoaded', function(){
   const cancelBtn = document.getElementById('giftModalCancel');
   const acceptBtn = document.getElementById('giftModalAccept');
   const valueInput = document.getElementById('giftValue');
+  const recipientInput = document.getElementById('giftRecipient');
+  const messageInput = document.getElementById('giftMessage');
 
   if (!modal || !openBtn || !closeBtn || !cancelBtn || !acceptBtn || !valueInput) return;
 
@@ -2913,6 +7069,8 @@ document.addEventListener('DOMContentLoaded', function(){
   function closeModal() {
     modal.hidden = true;
     valueInput.value = '';
+    if (recipientInput) recipientInput.value = '';
+    if (messageInput) messageInput.value = '';
   }
 
   function addToCart() {
@@ -2926,17 +7084,16 @@ document.addEventListener('DOMContentLoaded', function(){
       name: `Tarjeta de Regalo - $${value.toLocaleString('es-CO')} COP`,
       price: value.toLocaleString('es-CO'),
       image: 'url(./imgs/gift.png)',
-      desc: 'Tarjeta de regalo con pequeño regalo sorpresa incluido.'
+      category: GIFT_CARD_CATEGORY,
+      desc: 'Tarjeta de regalo con pequeño regalo sorpresa incluido.',
+      giftCard: {
+        recipientName: recipientInput ? recipientInput.value : '',
+        message: messageInput ? messageInput.value : ''
+      }
     };
 
-    // Add to cart
-    const CART_KEY = 'cyberduck:cart';
-    const cart = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
-    cart.push(giftItem);
-    localStorage.setItem(CART_KEY, JSON.stringify(cart));
-
-    // Update cart UI
-    globalThis.dispatchEvent(new Event('cyberduck:cart-updated'));
+    // Add to cart (merges with an identical gift card line and updates the cart UI)
+    addCartItem(giftItem);
 
     closeModal();
     alert('Tarjeta de regalo añadida al carrito!');
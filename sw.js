@@ -0,0 +1,211 @@
+/* =========================
+   CYBERDUCK — service worker
+   - Precarga el shell (HTML/CSS/JS, imgs/ con sus variantes AVIF/WebP y catálogos estáticos)
+   - HTML, JS, CSS y JSON propios: red primero, para que una página nueva nunca corra con un script viejo
+   - Catálogo de Apps Script: stale-while-revalidate
+   - Estado de pedidos (seguimiento): siempre a la red, nunca desde caché
+   - Imágenes optimizadas (wsrv.nl / GitHub raw): cache-first con LRU limitado por bytes
+   - Navegación sin red: página cacheada o offline.html
+========================= */
+
+// Subir la versión al cambiar SHELL_ASSETS: la activación borra las cachés anteriores
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `cyberduck-shell-${CACHE_VERSION}`;
+const API_CACHE = `cyberduck-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `cyberduck-img-${CACHE_VERSION}`;
+const IMAGE_CACHE_MAX_ENTRIES = 150;
+const IMAGE_CACHE_MAX_BYTES = 40 * 1024 * 1024;
+const IMAGE_SIZE_HEADER = 'x-cyberduck-size';
+const OFFLINE_URL = './offline.html';
+const LOCAL_IMAGE_VARIANTS_URL = './data/imagenes_locales.json';
+
+const SHELL_ASSETS = [
+  './',
+  './index.html',
+  './nuevo.html',
+  './ropa.html',
+  './accesorios.html',
+  './impresion3d.html',
+  './personalizar.html',
+  './product.html',
+  './checkout.html',
+  './seguimiento.html',
+  './media.html',
+  './nosotros.html',
+  OFFLINE_URL,
+  './styles.css',
+  './script.js',
+  './analytics.js',
+  './manifest.webmanifest',
+  './data/catalog_sources.json',
+  './data/catalogo_estatico.json',
+  LOCAL_IMAGE_VARIANTS_URL,
+  './imgs/community.png',
+  './imgs/gift.png',
+  './imgs/insta.png',
+  './imgs/landing1.png',
+  './imgs/landing2.png',
+  './imgs/landing3.png',
+  './imgs/logo.png',
+  './imgs/nosotros.jpeg',
+  './imgs/whats.png'
+];
+
+const API_HOSTS = ['script.google.com', 'script.googleusercontent.com'];
+const IMAGE_HOSTS = ['wsrv.nl', 'raw.githubusercontent.com'];
+const NETWORK_FIRST_DESTINATIONS = ['script', 'style', ''];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS).then(() => precacheImageVariants(cache)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Las variantes AVIF/WebP de imgs/ salen del manifiesto: sin ellas el <picture> elegiría un archivo no guardado
+async function precacheImageVariants(cache) {
+  const response = await cache.match(LOCAL_IMAGE_VARIANTS_URL);
+  const manifest = response ? await response.json() : {};
+  const urls = Object.values(manifest.images || {}).flatMap(image => image.formats.flatMap(format =>
+    image.widths.map(width => `./${image.pattern.replace('{width}', width).replace('{format}', format)}`)));
+  await cache.addAll(urls);
+}
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('cyberduck-') && !current.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (isOrderStatusRequest(request, url)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (API_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE));
+  } else if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheImage(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(NETWORK_FIRST_DESTINATIONS.includes(request.destination)
+      ? networkFirst(event, SHELL_CACHE)
+      : staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
+
+// El seguimiento pide con cache: 'no-store' (JSON de demo y endpoint con ?orderId=); un estado viejo confunde al cliente
+function isOrderStatusRequest(request, url) {
+  return request.cache === 'no-store' || url.searchParams.has('orderId') || url.pathname.endsWith('/estado_pedidos_demo.json');
+}
+
+function isCacheable(response) {
+  return Boolean(response && response.ok);
+}
+
+// Red primero para tener precios y stock al día; sin conexión, la copia guardada o la página offline
+async function handleNavigation(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const url = new URL(event.request.url);
+      event.waitUntil(cache.put(url.origin + url.pathname, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    return cached || cache.match(OFFLINE_URL);
+  }
+}
+
+// Scripts, estilos y datos propios: la versión de la red y, sin conexión, la última guardada
+async function networkFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (isCacheable(response)) {
+      event.waitUntil(cache.put(event.request, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Responde con la copia cacheada si existe y la actualiza en segundo plano
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then(response => {
+      if (isCacheable(response)) {
+        return cache.put(event.request, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Cache-first; cada acierto vuelve a insertar la entrada al final para que el recorte elimine las menos usadas.
+// Se pide en modo CORS para poder medir la respuesta: las opacas ocupan ~7 MB de cuota cada una y nunca se guardan
+async function cacheImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) {
+    await cache.delete(request.url);
+    await cache.put(request.url, cached.clone());
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch (error) {
+    return fetch(request);
+  }
+
+  if (isCacheable(response)) {
+    const body = await response.clone().blob();
+    const headers = new Headers(response.headers);
+    headers.set(IMAGE_SIZE_HEADER, String(body.size));
+    await cache.put(request.url, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    await trimImageCache(cache);
+  }
+  return response;
+}
+
+// Cache.keys() conserva el orden de inserción: se borran las de uso más antiguo hasta volver a los límites
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  const sizes = await Promise.all(keys.map(key => cache.match(key)
+    .then(response => Number(response?.headers.get(IMAGE_SIZE_HEADER)) || 0)));
+  let totalBytes = sizes.reduce((acc, size) => acc + size, 0);
+  let entries = keys.length;
+  const stale = [];
+
+  for (let index = 0; index < keys.length && (entries > IMAGE_CACHE_MAX_ENTRIES || totalBytes > IMAGE_CACHE_MAX_BYTES); index += 1) {
+    stale.push(keys[index]);
+    totalBytes -= sizes[index];
+    entries -= 1;
+  }
+  await Promise.all(stale.map(key => cache.delete(key)));
+}
@@ -63,7 +63,7 @@ function validatePayload_(body) {
   }
 
   const movementType = String(body.movement.movementType || '').trim().toUpperCase();
-  if (!['SALE', 'INVENTORY_OUT', 'COGS'].includes(movementType)) {
+  if (!['SALE', 'VAT', 'SHIPPING', 'INVENTORY_OUT', 'COGS', 'PAYMENT', 'REFUND', 'SCRAP', 'GIFT_CARD'].includes(movementType)) {
     throw new Error('Unsupported movementType');
   }
 
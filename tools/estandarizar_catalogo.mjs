@@ -1,63 +1,16 @@
-import { writeFile } from 'node:fs/promises';
+import { readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
+import { parseCsv } from './lector_csv.mjs';
 
-const SOURCES = [
-  {
-    source: 'nuevo-home',
-    categoryDefault: 'nuevo',
-    url: 'https://script.google.com/macros/s/AKfycby8QkrU25mFNgiP3eq0hKoDFOnBSLvybmAnrjX_m4ibdBAqXekiQNbMs1bZbvdOGRWL/exec'
-  },
-  {
-    source: 'nuevo-v2',
-    categoryDefault: 'nuevo',
-    url: 'https://script.google.com/macros/s/AKfycby50Z8qW5B7xo5Ngjdc2s5pqTtTJCLZ7zVKdgoR8uEP9iubd85qWVxY5fiqHicftxhL/exec'
-  },
-  {
-    source: 'ropa-camisetas',
-    categoryDefault: 'camisetas',
-    url: 'https://script.google.com/macros/s/AKfycbzlEH33cVRdLmR3cI17bZi7k81OyucZnhqQ7WAPhJcigixl12fpYH03xMfvL77gGl9x/exec'
-  },
-  {
-    source: 'ropa-faldas',
-    categoryDefault: 'faldas',
-    url: 'https://script.google.com/macros/s/AKfycbxi7qSdxN6ZQdzVYTzAHlfGwkjqmll0ldqGspbxFb8T4GstfDK0MasUNflQUymsbOri/exec'
-  },
-  {
-    source: 'accesorios-aretes',
-    categoryDefault: 'aretes',
-    url: 'https://script.google.com/macros/s/AKfycbw4zEM2NKmejtMMuiBLDdBEMIyIgtwfr1yHoPXxNBz7_mypqhTTX6tu85DFLGD4Cn_b/exec'
-  },
-  {
-    source: 'accesorios-otros',
-    categoryDefault: 'otros',
-    url: 'https://script.google.com/macros/s/AKfycbzDPhkp_9XcrAeg67eek7l5ijVEu7LiWuwgSXR8CEcp1OJwi_vCzqH9bVH0oFI7JLgW/exec'
-  },
-  {
-    source: 'accesorios-collares',
-    categoryDefault: 'collares',
-    url: 'https://script.googleusercontent.com/macros/echo?user_content_key=AehSKLhGPGNmmLa8riYe4CS2khOSoGTVL7DEQ74nVmLsR-UYhEIfckSl1OMf2zROgO7Pk9OrRZMdX2tTmIOzrAkE89PlJIWLHdg4LmF5ABC6Umj2AlQ2Vxyj1ARtSg8PyBFrtT2ZPR9mlc_MN9kA1JepzEkRbABtVxfaKe8FheiklWy8zknXpFF-RcAW2nhuoHkrZ_po5njURSs2EkOJFcXVdF4ZeMaSPNy4r5yMy7UcET3mSYwFlE2JAbVFFYZHtirYZqa3p4YzdBY21pf--RSGJuXOEDH_zg&lib=M-YxSEsKo8g88BRj95yNKp5OjAoyKQGY4'
-  },
-  {
-    source: 'accesorios-manillas',
-    categoryDefault: 'manillas',
-    url: 'https://script.google.com/macros/s/AKfycbz4mKWXZ2NSQ_T2U6cFaLm9CvKLsHzvwJAd2-PSnvqIizSmjeiDgGC7A8vDCtXrfM0e/exec'
-  },
-  {
-    source: 'accesorios-gargantillas',
-    categoryDefault: 'gargantillas',
-    url: 'https://script.google.com/macros/s/AKfycbzOjIQtpaVbU8ymtev2cioDvUz6N255uDpsvAyHLf5PFNpBnLBqd4b6HAPKwHYuY72V/exec'
-  },
-  {
-    source: 'impresion-3d',
-    categoryDefault: 'impresion3d',
-    url: 'https://script.google.com/macros/s/AKfycbyLTeWyAHgR_0i2bE50o-ufvp0gK_FnNcVaMc_S80xpSW-6MHQgTLoxm-6eeYeWz6hE/exec'
-  },
-  {
-    source: 'personalizar',
-    categoryDefault: 'personalizar',
-    url: 'https://script.google.com/macros/s/AKfycbztotFgcZHKbmTpEM0jEqtCOZqNtjH3DHaQgFf8up4KwtW9M08eprqP0wKYdKR8fRAO/exec'
-  }
-];
+// Mismo registro que usan las páginas (cyberduck.loadCatalog); agregar una categoría es agregar una fuente allí.
+const registry = JSON.parse(await readFile(path.join(process.cwd(), 'data', 'catalog_sources.json'), 'utf8'));
+
+const SOURCES = registry.sources.map((source) => ({
+  source: source.id,
+  categoryDefault: source.category,
+  url: source.url,
+  fields: { ...registry.fields, ...source.fields }
+}));
 
 const ACCOUNT_BY_CATEGORY = {
   camisetas: '413501-VENTA-CAMISETAS',
@@ -85,6 +38,12 @@ const STANDARD_COST_FACTOR = {
   nuevo: 0.45
 };
 
+// Registro persistente de SKU: solo agrega entradas y nunca reutiliza un número, aunque el producto se retire.
+// La primera vez se siembra con data/catalogo_maestro_estandarizado.csv para conservar los SKU ya publicados.
+const SKU_REGISTRY_FILE = path.join(process.cwd(), 'data', 'sku_registry.json');
+const MASTER_CSV_FILE = path.join(process.cwd(), 'data', 'catalogo_maestro_estandarizado.csv');
+const SKU_NUMBER_PATTERN = /^CYB-[A-Z0-9]{3}-(\d+)$/;
+
 const UOM_BY_CATEGORY = {
   default: 'UND',
   impresion3d: 'UND',
@@ -165,6 +124,181 @@ const csvEscape = (value) => {
   return text;
 };
 
+const registryKey = (category, reference) => `${category}::${reference}`;
+
+const seedSkuRegistry = async (now) => {
+  let masterRows = [];
+  try {
+    masterRows = parseCsv(await readFile(MASTER_CSV_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  return {
+    nextNumber: 1,
+    entries: masterRows
+      .filter((row) => row.sku && row.categoria && row.referencia)
+      .map((row) => ({
+        key: registryKey(row.categoria, row.referencia),
+        sku: String(row.sku).trim().toUpperCase(),
+        name: row.nombre,
+        category: row.categoria,
+        source: row.fuente,
+        image: row.imagen,
+        status: 'activo',
+        firstSeen: now,
+        lastSeen: now,
+        aliases: []
+      }))
+  };
+};
+
+const loadSkuRegistry = async (now) => {
+  let registry;
+  try {
+    registry = JSON.parse(await readFile(SKU_REGISTRY_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    registry = await seedSkuRegistry(now);
+  }
+
+  const maxNumber = registry.entries.reduce((max, entry) => {
+    const match = SKU_NUMBER_PATTERN.exec(entry.sku);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  registry.nextNumber = Math.max(Number(registry.nextNumber) || 1, maxNumber + 1);
+  return registry;
+};
+
+/**
+ * Asigna SKU a los productos deduplicados usando el registro. Una clave (o alias) ya registrada conserva su SKU;
+ * una clave nueva recibe el SKU de la hoja si nadie lo tiene (ni activo ni retirado) o el siguiente número global.
+ * Nunca se agregan alias automáticamente ni dos filas actuales comparten SKU. Devuelve la lista de cambios a revisar:
+ * altas, retiros, reactivaciones, posibles renombres o cambios de categoría (misma imagen que un producto que dejó de
+ * aparecer) y conflictos entre el SKU de la hoja y el registro.
+ */
+const assignRegisteredSkus = (products, registry, failedSources, now) => {
+  const byKey = new Map();
+  const byOwnKey = new Map();
+  const bySku = new Map();
+  for (const entry of registry.entries) {
+    byKey.set(entry.key, entry);
+    byOwnKey.set(entry.key, entry);
+    bySku.set(entry.sku, entry);
+  }
+  // Los alias se agregan a mano para resolver renombres: ganan sobre la entrada que se creó para la clave nueva
+  registry.entries.forEach((entry) => entry.aliases.forEach((alias) => byKey.set(alias, entry)));
+
+  const changes = [];
+  const seen = new Map();
+  const pending = [];
+
+  // En orden de clave para que, si dos referencias caen en la misma entrada, siempre gane la misma
+  const ordered = [...products].sort((a, b) => registryKey(a.category, a.referenceNormalized)
+    .localeCompare(registryKey(b.category, b.referenceNormalized), 'es'));
+
+  for (const product of ordered) {
+    const key = registryKey(product.category, product.referenceNormalized);
+    const sheetSku = product.skuOriginal ? String(product.skuOriginal).trim().toUpperCase() : '';
+    let entry = byKey.get(key);
+
+    // Un alias puede apuntar a una entrada que ya usa otra referencia actual: esta sigue con su propia entrada o una nueva
+    if (entry && seen.has(entry.sku)) {
+      const own = byOwnKey.get(key);
+      changes.push({
+        tipo: 'conflicto-sku',
+        clave: key,
+        claveRegistrada: seen.get(entry.sku),
+        sku: entry.sku,
+        detalle: 'Dos referencias actuales caen en el mismo SKU; solo la registrada lo conserva.'
+      });
+      entry = own && own !== entry && !seen.has(own.sku) ? own : null;
+    }
+
+    if (!entry) {
+      pending.push({ product, key, sheetSku });
+      continue;
+    }
+
+    if (sheetSku && sheetSku !== entry.sku) {
+      changes.push({ tipo: 'conflicto-sku', clave: key, sku: entry.sku, skuHoja: sheetSku, detalle: 'Se conserva el SKU registrado.' });
+    }
+    if (entry.status === 'retirado') {
+      entry.status = 'activo';
+      delete entry.retiredAt;
+      changes.push({ tipo: 'reactivado', clave: key, sku: entry.sku });
+    }
+
+    Object.assign(entry, { name: product.productNameNormalized, source: product.source, image: product.imageUrl || entry.image, lastSeen: now });
+    seen.set(entry.sku, key);
+    product.sku = entry.sku;
+  }
+
+  // Altas en orden de clave para que el número asignado no dependa del orden de las filas en las hojas
+  pending.sort((a, b) => a.key.localeCompare(b.key, 'es'));
+  for (const { product, key, sheetSku } of pending) {
+    let sku = sheetSku && !bySku.has(sheetSku) ? sheetSku : '';
+    while (!sku || bySku.has(sku)) {
+      sku = `CYB-${categoryCode(product.category)}-${String(registry.nextNumber).padStart(4, '0')}`;
+      registry.nextNumber += 1;
+    }
+    if (sheetSku && sheetSku !== sku) {
+      const owner = bySku.get(sheetSku);
+      changes.push({
+        tipo: 'conflicto-sku',
+        clave: key,
+        sku,
+        skuHoja: sheetSku,
+        claveRegistrada: owner.key,
+        detalle: `El SKU de la hoja ya pertenece a ${owner.key}${owner.status === 'retirado' ? ' (retirado)' : ''}; se asignó uno nuevo. Si es el mismo producto, agrega la clave a "aliases" de ${sheetSku} en data/sku_registry.json.`
+      });
+    }
+
+    const entry = {
+      key,
+      sku,
+      name: product.productNameNormalized,
+      category: product.category,
+      source: product.source,
+      image: product.imageUrl,
+      status: 'activo',
+      firstSeen: now,
+      lastSeen: now,
+      aliases: []
+    };
+    registry.entries.push(entry);
+    byKey.set(key, entry);
+    bySku.set(sku, entry);
+    seen.set(sku, key);
+    product.sku = sku;
+    changes.push({ tipo: 'nuevo', clave: key, sku });
+  }
+
+  const newKeys = new Set(pending.map(({ key }) => key));
+  for (const entry of registry.entries) {
+    if (entry.status !== 'activo' || seen.has(entry.sku) || failedSources.has(entry.source)) continue;
+
+    entry.status = 'retirado';
+    entry.retiredAt = now;
+    changes.push({ tipo: 'retirado', clave: entry.key, sku: entry.sku });
+
+    const renamed = entry.image && products.find((product) =>
+      newKeys.has(registryKey(product.category, product.referenceNormalized)) && product.imageUrl === entry.image);
+    if (renamed) {
+      changes.push({
+        tipo: 'renombrado-probable',
+        clave: registryKey(renamed.category, renamed.referenceNormalized),
+        sku: renamed.sku,
+        claveRegistrada: entry.key,
+        skuRegistrado: entry.sku,
+        detalle: `Misma imagen que ${entry.sku}. Si es el mismo producto, agrega la clave nueva a "aliases" de ${entry.sku} en data/sku_registry.json y vuelve a ejecutar.`
+      });
+    }
+  }
+
+  return changes;
+};
+
 const normalizeDataArray = (json) => {
   if (!json) return [];
   if (Array.isArray(json)) return json;
@@ -206,19 +340,19 @@ const collectRawRows = async () => {
 };
 
 const normalizeProducts = (rawRows) => rawRows.map(({ source, row }, index) => {
-  const rawName = pick(row, ['sku', 'name', 'nombre', 'producto', 'title', 'item']);
+  const rawName = pick(row, ['sku', ...source.fields.name]);
   const rawCategory = pick(row, ['category', 'categoria', 'type']) || source.categoryDefault;
   const category = slugify(rawCategory).replaceAll('-', '') || source.categoryDefault;
   const name = titleCase(rawName || `Producto ${index + 1}`);
   const reference = slugify(`${name}-${category}`);
-  const price = toNumber(pick(row, ['price', 'precio', 'value', 'valor']));
+  const price = toNumber(pick(row, source.fields.price));
 
   const factor = STANDARD_COST_FACTOR[category] ?? 0.45;
   const standardCost = price === null ? null : Math.round(price * factor);
 
   return {
     source: source.source,
-    skuOriginal: pick(row, ['sku', 'code', 'id']),
+    skuOriginal: pick(row, source.fields.sku),
     productNameRaw: rawName,
     productNameNormalized: name,
     referenceNormalized: reference,
@@ -227,18 +361,21 @@ const normalizeProducts = (rawRows) => rawRows.map(({ source, row }, index) => {
     salePriceCOP: price,
     standardCostCOP: standardCost,
     accountCode: ACCOUNT_BY_CATEGORY[category] || '413500-VENTAS-GENERAL',
-    imageUrl: pick(row, ['image', 'imagen', 'img', 'photo']),
-    description: pick(row, ['desc', 'description', 'descripcion']),
+    imageUrl: pick(row, source.fields.image),
+    description: pick(row, source.fields.description),
     active: 'SI'
   };
 });
 
 const main = async () => {
+  const now = new Date().toISOString();
+  const registry = await loadSkuRegistry(now);
   const { rawRows, fetchErrors } = await collectRawRows();
   const normalizedProducts = normalizeProducts(rawRows);
 
   const dedupeMap = new Map();
   const duplicateRows = [];
+  const mergedSheetSkus = [];
   const masterRows = [];
 
   for (const product of normalizedProducts) {
@@ -250,6 +387,10 @@ const main = async () => {
 
     const existing = dedupeMap.get(key);
     existing.duplicateCount += 1;
+    if (!existing.skuOriginal && product.skuOriginal) existing.skuOriginal = product.skuOriginal;
+    if (existing.skuOriginal && product.skuOriginal && String(existing.skuOriginal).trim().toUpperCase() !== String(product.skuOriginal).trim().toUpperCase()) {
+      mergedSheetSkus.push({ tipo: 'fusionado', clave: key, skuHoja: product.skuOriginal, detalle: `Fila duplicada con SKU distinto; se unió a ${existing.skuOriginal}.` });
+    }
     if (!existing.imageUrl && product.imageUrl) existing.imageUrl = product.imageUrl;
     if ((!existing.salePriceCOP || existing.salePriceCOP === 0) && product.salePriceCOP) {
       existing.salePriceCOP = product.salePriceCOP;
@@ -259,15 +400,12 @@ const main = async () => {
     duplicateRows.push(product);
   }
 
-  let skuCounter = 1;
-  for (const row of dedupeMap.values()) {
-    const skuAssigned = row.skuOriginal
-      ? String(row.skuOriginal).trim().toUpperCase()
-      : `CYB-${categoryCode(row.category)}-${String(skuCounter).padStart(4, '0')}`;
+  const failedSources = new Set(fetchErrors.map((error) => error.source));
+  const skuChanges = [...mergedSheetSkus, ...assignRegisteredSkus([...dedupeMap.values()], registry, failedSources, now)];
 
-    skuCounter += 1;
+  for (const row of dedupeMap.values()) {
     masterRows.push({
-      sku: skuAssigned,
+      sku: row.sku,
       nombre: row.productNameNormalized,
       referencia: row.referenceNormalized,
       categoria: row.category,
@@ -285,6 +423,12 @@ const main = async () => {
 
   masterRows.sort((a, b) => a.categoria.localeCompare(b.categoria, 'es') || a.nombre.localeCompare(b.nombre, 'es'));
 
+  const usedSkus = new Set();
+  for (const row of masterRows) {
+    if (usedSkus.has(row.sku)) throw new Error(`SKU repetido en el maestro: ${row.sku} (${row.referencia})`);
+    usedSkus.add(row.sku);
+  }
+
   const headers = Object.keys(masterRows[0] || {
     sku: '', nombre: '', referencia: '', categoria: '', unidad_medida: '', precio_venta_cop: '',
     costo_estandar_cop: '', cuenta_contable: '', descripcion: '', imagen: '', fuente: '', activo: '', ocurrencias_detectadas: ''
@@ -324,18 +468,27 @@ const main = async () => {
   await writeFile(path.join(baseDir, 'data', 'catalogo_maestro_estandarizado.csv'), toCsv(masterRows), 'utf8');
   await writeFile(path.join(baseDir, 'data', 'catalogo_duplicados_detectados.csv'), toDuplicatesCsv(duplicatesForCsv), 'utf8');
   await writeFile(path.join(baseDir, 'data', 'catalogo_fuentes_error.json'), JSON.stringify(fetchErrors, null, 2), 'utf8');
+  await writeFile(path.join(baseDir, 'data', 'catalogo_cambios_sku.json'), JSON.stringify(skuChanges, null, 2), 'utf8');
+  await writeFile(SKU_REGISTRY_FILE, `${JSON.stringify({ ...registry, updatedAt: now }, null, 2)}\n`, 'utf8');
 
+  const countChanges = (type) => skuChanges.filter((change) => change.tipo === type).length;
   const summary = {
-    generatedAt: new Date().toISOString(),
+    generatedAt: now,
     sourcesConfigured: SOURCES.length,
     sourceErrors: fetchErrors.length,
     rowsFetched: rawRows.length,
     uniqueProducts: masterRows.length,
     duplicateRows: duplicatesForCsv.length,
+    skuRegistered: registry.entries.length,
+    skuNew: countChanges('nuevo'),
+    skuRetired: countChanges('retirado'),
+    skuToReview: countChanges('renombrado-probable') + countChanges('fusionado') + countChanges('conflicto-sku'),
     outputFiles: [
       'data/catalogo_maestro_estandarizado.csv',
       'data/catalogo_duplicados_detectados.csv',
-      'data/catalogo_fuentes_error.json'
+      'data/catalogo_fuentes_error.json',
+      'data/catalogo_cambios_sku.json',
+      'data/sku_registry.json'
     ]
   };
 
@@ -1,5 +1,6 @@
 import { readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
+import { parseCsv } from './lector_csv.mjs';
 
 const CATEGORY_BOM_DEFAULTS = {
   camisetas: {
@@ -125,92 +126,6 @@ const CATEGORY_BOM_DEFAULTS = {
   }
 };
 
-const pushCurrentCell = (state) => {
-  state.row.push(state.current);
-  state.current = '';
-};
-
-const pushCurrentRowIfNotEmpty = (state) => {
-  if (state.row.some((cell) => String(cell).trim() !== '')) {
-    state.rows.push(state.row);
-  }
-  state.row = [];
-};
-
-const handleQuoteChar = (state, next) => {
-  if (state.inQuotes && next === '"') {
-    state.current += '"';
-    return 1;
-  }
-
-  state.inQuotes = !state.inQuotes;
-  return 0;
-};
-
-const handleLineBreak = (state, char, next) => {
-  pushCurrentCell(state);
-  pushCurrentRowIfNotEmpty(state);
-
-  if (char === '\r' && next === '\n') {
-    return 1;
-  }
-
-  return 0;
-};
-
-const csvRowsToObjects = (rows) => {
-  if (rows.length === 0) {
-    return [];
-  }
-
-  const headers = rows[0].map((h) => h.trim());
-  return rows.slice(1).map((values) => {
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = values[index] ?? '';
-    });
-    return obj;
-  });
-};
-
-const parseCsv = (content) => {
-  const state = {
-    rows: [],
-    row: [],
-    current: '',
-    inQuotes: false
-  };
-
-  for (let i = 0; i < content.length; i += 1) {
-    const char = content[i];
-    const next = content[i + 1];
-
-    if (char === '"') {
-      i += handleQuoteChar(state, next);
-      continue;
-    }
-
-    if (!state.inQuotes && char === ',') {
-      pushCurrentCell(state);
-      continue;
-    }
-
-    if (!state.inQuotes && (char === '\n' || char === '\r')) {
-      i += handleLineBreak(state, char, next);
-      continue;
-    }
-
-    state.current += char;
-  }
-
-  if (state.current.length > 0 || state.row.length > 0) {
-    pushCurrentCell(state);
-    pushCurrentRowIfNotEmpty(state);
-  }
-
-  return csvRowsToObjects(state.rows);
-};
-
 const csvEscape = (value) => {
   const text = value === null || value === undefined ? '' : String(value);
   if (/[,\n"]/g.test(text)) {
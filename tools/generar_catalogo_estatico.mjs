@@ -0,0 +1,58 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseCsv } from './lector_csv.mjs';
+
+// Paquete estático del catálogo para las páginas: respaldo cuando una fuente de Apps Script no responde
+// y origen de SKU y costo estándar de los ítems del carrito.
+// Uso: node tools/generar_catalogo_estatico.mjs (después de estandarizar_catalogo.mjs)
+
+const toNumber = (value) => {
+  const parsed = Number.parseFloat(String(value ?? '').trim());
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const buildStaticProducts = (catalogRows) =>
+  catalogRows
+    .filter((row) => String(row.sku || '').trim() !== '' && String(row.activo || 'SI').trim().toUpperCase() === 'SI')
+    .map((row) => ({
+      sku: String(row.sku).trim(),
+      name: String(row.nombre || '').trim(),
+      reference: String(row.referencia || '').trim(),
+      category: String(row.categoria || '').trim(),
+      source: String(row.fuente || '').trim(),
+      price: toNumber(row.precio_venta_cop),
+      standardCost: toNumber(row.costo_estandar_cop),
+      image: String(row.imagen || '').trim(),
+      description: String(row.descripcion || '').trim()
+    }));
+
+const main = async () => {
+  const baseDir = process.cwd();
+  const catalogCsv = await readFile(path.join(baseDir, 'data', 'catalogo_maestro_estandarizado.csv'), 'utf8');
+  const products = buildStaticProducts(parseCsv(catalogCsv));
+
+  const bundle = {
+    generatedAt: new Date().toISOString(),
+    sourceFile: 'data/catalogo_maestro_estandarizado.csv',
+    products
+  };
+
+  await writeFile(path.join(baseDir, 'data', 'catalogo_estatico.json'), `${JSON.stringify(bundle, null, 2)}\n`, 'utf8');
+
+  const summary = {
+    generatedAt: bundle.generatedAt,
+    productsWritten: products.length,
+    withoutPrice: products.filter((product) => product.price === null).length,
+    withoutCost: products.filter((product) => product.standardCost === null).length,
+    outputFiles: ['data/catalogo_estatico.json']
+  };
+
+  console.log(JSON.stringify(summary, null, 2));
+};
+
+try {
+  await main();
+} catch (error) {
+  console.error('Error al generar catálogo estático:', error);
+  process.exitCode = 1;
+}
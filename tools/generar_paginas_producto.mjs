@@ -0,0 +1,102 @@
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Páginas estáticas por SKU (p/<SKU>.html) a partir de product.html y del catálogo estático. Los crawlers de WhatsApp,
+// Instagram y los buscadores no ejecutan JS: cada página trae su canonical, og:url y og:image absolutos.
+// Uso: SITE_URL=https://tu-dominio node tools/generar_paginas_producto.mjs (después de generar_catalogo_estatico.mjs,
+// en cada despliegue). Escribe p/ y data/paginas_producto.json, que product.html usa para compartir el enlace correcto.
+
+const IMAGE_PROXY_URL = 'https://wsrv.nl/';
+const OG_IMAGE_WIDTH = 1200;
+const DESCRIPTION_MAX_LENGTH = 200;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+const readSiteUrl = () => {
+  const siteUrl = String(process.env.SITE_URL || process.argv[2] || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/]+/i.test(siteUrl)) {
+    throw new Error('Indica la URL pública del sitio: SITE_URL=https://tu-dominio node tools/generar_paginas_producto.mjs');
+  }
+  return siteUrl;
+};
+
+// Mismo criterio que optimizeImageUrl en script.js: las imágenes del catálogo en GitHub pasan por wsrv.nl
+const buildOgImageUrl = (image, siteUrl) => {
+  const trimmed = String(image || '').trim();
+  if (/^https:\/\/raw\.githubusercontent\.com\//i.test(trimmed)) {
+    const encoded = encodeURIComponent(trimmed.replace(/^https?:\/\//i, ''));
+    return `${IMAGE_PROXY_URL}?url=${encoded}&w=${OG_IMAGE_WIDTH}&q=80`;
+  }
+  if (/^https?:\/\//i.test(trimmed)) return trimmed;
+  return new URL(trimmed || 'imgs/logo.png', `${siteUrl}/`).href;
+};
+
+const setMeta = (html, property, content) => html.replace(
+  new RegExp(`(<meta property="${property}" content=")[^"]*(">)`),
+  (match, start, end) => `${start}${escapeHtml(content)}${end}`
+);
+
+const buildProductPage = (template, product, siteUrl, eol) => {
+  const pageUrl = `${siteUrl}/p/${encodeURIComponent(product.sku)}.html`;
+  const description = String(product.description || '').replace(/<[^>]*>/g, '').trim().slice(0, DESCRIPTION_MAX_LENGTH)
+    || 'Estética neón en negro, objetos alternativos y prints 3D.';
+  const head = [
+    `<link rel="canonical" href="${escapeHtml(pageUrl)}">`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(pageUrl)}">`,
+    `<meta property="og:image" content="${escapeHtml(buildOgImageUrl(product.image, siteUrl))}">`
+  ].map((line) => `  ${line}`).join(eol);
+
+  let html = template
+    .replace('<html lang="es">', `<html lang="es" data-sku="${escapeHtml(product.sku)}">`)
+    // Las rutas ./ de la plantilla apuntan a la raíz del sitio
+    .replace('<meta charset="utf-8" />', `<meta charset="utf-8" />${eol}  <base href="../">`)
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(product.name)} — Cyberduck</title>${eol}${head}`);
+  html = setMeta(html, 'og:title', product.name);
+  html = setMeta(html, 'og:description', description);
+  return html;
+};
+
+const main = async () => {
+  const siteUrl = readSiteUrl();
+  const baseDir = process.cwd();
+  const template = await readFile(path.join(baseDir, 'product.html'), 'utf8');
+  const eol = template.includes('\r\n') ? '\r\n' : '\n';
+  const bundle = JSON.parse(await readFile(path.join(baseDir, 'data', 'catalogo_estatico.json'), 'utf8'));
+  const products = (bundle.products || []).filter((product) => /^[A-Z0-9-]+$/i.test(String(product.sku || '')));
+
+  const pagesDir = path.join(baseDir, 'p');
+  await rm(pagesDir, { recursive: true, force: true });
+  await mkdir(pagesDir, { recursive: true });
+
+  for (const product of products) {
+    await writeFile(path.join(pagesDir, `${product.sku}.html`), buildProductPage(template, product, siteUrl, eol), 'utf8');
+  }
+
+  const index = {
+    generatedAt: new Date().toISOString(),
+    siteUrl,
+    sourceFile: 'data/catalogo_estatico.json',
+    skus: products.map((product) => product.sku)
+  };
+  await writeFile(path.join(baseDir, 'data', 'paginas_producto.json'), `${JSON.stringify(index, null, 2)}\n`, 'utf8');
+
+  console.log(JSON.stringify({
+    generatedAt: index.generatedAt,
+    siteUrl,
+    pagesWritten: products.length,
+    skipped: (bundle.products || []).length - products.length,
+    outputFiles: ['p/', 'data/paginas_producto.json']
+  }, null, 2));
+};
+
+try {
+  await main();
+} catch (error) {
+  console.error('Error al generar páginas de producto:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,79 @@
+import { mkdir, readdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Variantes AVIF/WebP redimensionadas de imgs/ para los srcset de las páginas. Se generan de antemano porque las
+// imágenes locales no pasan por wsrv.nl: así funcionan sin conexión y no dependen de un tercero.
+// Uso: npm install --no-save sharp && node tools/generar_variantes_imagenes.mjs
+// Escribe imgs/variantes/<nombre>-<ancho>.<formato> y data/imagenes_locales.json (lo lee enhanceResponsiveImages).
+
+const WIDTHS = [256, 480, 720, 960, 1280, 1920];
+const FORMATS = [
+  { format: 'avif', options: { quality: 55, effort: 4 } },
+  { format: 'webp', options: { quality: 74 } }
+];
+const SOURCE_PATTERN = /\.(png|jpe?g)$/i;
+
+const loadSharp = async () => {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error('Falta sharp: instala con "npm install --no-save sharp" y vuelve a ejecutar.');
+  }
+};
+
+const main = async () => {
+  const sharp = await loadSharp();
+  const baseDir = process.cwd();
+  const imagesDir = path.join(baseDir, 'imgs');
+  const variantsDir = path.join(imagesDir, 'variantes');
+
+  await rm(variantsDir, { recursive: true, force: true });
+  await mkdir(variantsDir, { recursive: true });
+
+  const files = (await readdir(imagesDir)).filter((file) => SOURCE_PATTERN.test(file)).sort();
+  const images = {};
+  let variantCount = 0;
+
+  for (const file of files) {
+    const source = path.join(imagesDir, file);
+    const { width } = await sharp(source).metadata();
+    const baseName = file.replace(SOURCE_PATTERN, '');
+    // Nunca se amplía: los anchos menores al original y el propio ancho original recodificado (el PNG/JPG queda de respaldo)
+    const widths = [...WIDTHS.filter((candidate) => candidate < width), width];
+
+    for (const targetWidth of widths) {
+      for (const { format, options } of FORMATS) {
+        await sharp(source)
+          .resize({ width: targetWidth })
+          .toFormat(format, options)
+          .toFile(path.join(variantsDir, `${baseName}-${targetWidth}.${format}`));
+        variantCount += 1;
+      }
+    }
+
+    images[`imgs/${file}`] = {
+      width,
+      widths,
+      formats: FORMATS.map(({ format }) => format),
+      pattern: `imgs/variantes/${baseName}-{width}.{format}`
+    };
+  }
+
+  const manifest = { generatedAt: new Date().toISOString(), images };
+  await writeFile(path.join(baseDir, 'data', 'imagenes_locales.json'), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+
+  console.log(JSON.stringify({
+    generatedAt: manifest.generatedAt,
+    sourceImages: files.length,
+    imagesWithVariants: Object.keys(images).length,
+    variantsWritten: variantCount,
+    outputFiles: ['imgs/variantes/', 'data/imagenes_locales.json']
+  }, null, 2));
+};
+
+try {
+  await main();
+} catch (error) {
+  console.error('Error al generar variantes de imágenes:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,165 @@
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { Readable } from 'node:stream';
+import path from 'node:path';
+
+// Almacenamiento de diseños para desarrollo: reemplaza al endpoint real guardando los archivos en disco.
+// Uso: node tools/servidor_artes_local.mjs  (PORT=8787 por defecto, archivos en uploads/artes)
+// En la consola del sitio local: cyberduck.upsertArtworkStorageConfig({ storage: 'local' })
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BYTES = 15 * 1024 * 1024;
+const MAX_BODY_BYTES = MAX_BYTES + 64 * 1024; // margen para los límites multipart y el campo meta
+const ALLOWED_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+};
+const CONTENT_TYPES = Object.fromEntries(Object.entries(ALLOWED_TYPES).map(([type, ext]) => [ext, type]));
+
+const uploadsDir = path.join(process.cwd(), 'uploads', 'artes');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+};
+
+// Los SVG pueden traer scripts: se descargan como adjunto y sin permiso para ejecutar nada
+const downloadHeaders = ext => ({
+  ...CORS_HEADERS,
+  'Content-Type': CONTENT_TYPES[ext],
+  'X-Content-Type-Options': 'nosniff',
+  ...(ext === 'svg'
+    ? { 'Content-Disposition': 'attachment', 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox" }
+    : {})
+});
+
+// Cuenta los bytes a medida que llegan y corta el cuerpo apenas pasa el límite, sin importar el Content-Length declarado
+const limitBody = (req, maxBytes, onExceeded) => {
+  let received = 0;
+  return Readable.toWeb(req).pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (received > maxBytes) {
+        onExceeded();
+        controller.error(new Error('archivo-muy-grande'));
+        return;
+      }
+      controller.enqueue(chunk);
+    }
+  }));
+};
+
+const rejectTooLarge = (req, res) => {
+  res.setHeader('Connection', 'close');
+  sendJson(res, 413, { error: 'archivo-muy-grande' });
+  req.destroy();
+};
+
+const createRef = () => `ART-${Date.now().toString(36).toUpperCase()}-${randomBytes(3).toString('hex').toUpperCase()}`;
+
+const handleUpload = async (req, res) => {
+  const declaredLength = Number(req.headers['content-length']) || 0;
+  if (declaredLength > MAX_BODY_BYTES) {
+    rejectTooLarge(req, res);
+    return;
+  }
+
+  let exceeded = false;
+  const request = new Request(`http://localhost${req.url}`, {
+    method: 'POST',
+    headers: req.headers,
+    body: limitBody(req, MAX_BODY_BYTES, () => { exceeded = true; }),
+    duplex: 'half'
+  });
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    if (exceeded) {
+      rejectTooLarge(req, res);
+    } else {
+      sendJson(res, 400, { error: 'formulario-invalido' });
+    }
+    return;
+  }
+  const file = form.get('file');
+
+  if (!file || typeof file === 'string') {
+    sendJson(res, 400, { error: 'sin-archivo' });
+    return;
+  }
+
+  const ext = ALLOWED_TYPES[file.type];
+  if (!ext) {
+    sendJson(res, 415, { error: 'tipo-no-permitido' });
+    return;
+  }
+
+  if (file.size > MAX_BYTES) {
+    sendJson(res, 413, { error: 'archivo-muy-grande' });
+    return;
+  }
+
+  let meta = {};
+  try {
+    meta = JSON.parse(String(form.get('meta') || '{}'));
+  } catch {
+    meta = {};
+  }
+
+  const ref = createRef();
+  const fileName = `${ref}.${ext}`;
+  await mkdir(uploadsDir, { recursive: true });
+  await writeFile(path.join(uploadsDir, fileName), Buffer.from(await file.arrayBuffer()));
+  await writeFile(path.join(uploadsDir, `${ref}.json`), JSON.stringify({ ...meta, ref, fileName, receivedAt: new Date().toISOString() }, null, 2), 'utf8');
+
+  console.log(`Diseño guardado: ${fileName} (${file.size} bytes)`);
+  sendJson(res, 201, { ref, url: `/artes/${fileName}` });
+};
+
+const handleDownload = async (req, res) => {
+  const match = /^\/artes\/(ART-[A-Z0-9]+-[A-F0-9]+\.(png|jpg|svg))$/.exec(req.url);
+  if (!match) {
+    sendJson(res, 404, { error: 'no-encontrado' });
+    return;
+  }
+
+  try {
+    const content = await readFile(path.join(uploadsDir, match[1]));
+    res.writeHead(200, downloadHeaders(match[2]));
+    res.end(content);
+  } catch {
+    sendJson(res, 404, { error: 'no-encontrado' });
+  }
+};
+
+const server = createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'POST' && req.url === '/artes') {
+      await handleUpload(req, res);
+    } else if (req.method === 'GET' && req.url.startsWith('/artes/')) {
+      await handleDownload(req, res);
+    } else {
+      sendJson(res, 404, { error: 'no-encontrado' });
+    }
+  } catch (error) {
+    console.error('Error al procesar diseño:', error);
+    sendJson(res, 500, { error: 'error-interno' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Servidor de diseños en http://localhost:${PORT}/artes → ${uploadsDir}`);
+});